@@ -0,0 +1,51 @@
+-- Named collections and filtered search for the embeddings knowledge base
+-- Rows belong to a collection ('tutorials' by default), and
+-- match_tutorial_embeddings can filter by collection, category, tags and
+-- metadata (used by the vector_search workflow tool).
+
+ALTER TABLE tutorial_embeddings
+ADD COLUMN IF NOT EXISTS collection TEXT NOT NULL DEFAULT 'tutorials';
+
+CREATE INDEX IF NOT EXISTS idx_tutorial_embeddings_collection ON tutorial_embeddings(collection);
+
+-- Replace the three-argument version; leaving it would make three-argument
+-- calls ambiguous
+DROP FUNCTION IF EXISTS match_tutorial_embeddings(vector, float, int);
+
+CREATE OR REPLACE FUNCTION match_tutorial_embeddings(
+  query_embedding vector(1536),
+  match_threshold float,
+  match_count int,
+  filter_collection text DEFAULT NULL,
+  filter_category text DEFAULT NULL,
+  filter_tags text[] DEFAULT NULL,
+  filter_metadata jsonb DEFAULT NULL
+)
+RETURNS TABLE (
+  id UUID,
+  content TEXT,
+  metadata JSONB,
+  category TEXT,
+  tags TEXT[],
+  collection TEXT,
+  similarity float
+)
+LANGUAGE sql STABLE
+AS $$
+  SELECT
+    id,
+    content,
+    metadata,
+    category,
+    tags,
+    collection,
+    1 - (embedding <=> query_embedding) as similarity
+  FROM tutorial_embeddings
+  WHERE 1 - (embedding <=> query_embedding) > match_threshold
+    AND (filter_collection IS NULL OR collection = filter_collection)
+    AND (filter_category IS NULL OR category = filter_category)
+    AND (filter_tags IS NULL OR tags @> filter_tags)
+    AND (filter_metadata IS NULL OR metadata @> filter_metadata)
+  ORDER BY embedding <=> query_embedding
+  LIMIT match_count;
+$$;
@@ -0,0 +1,19 @@
+-- Make workflow executions durable and resumable
+-- Stores the workflow definition and input each execution started with, a
+-- per-step checkpoint and a heartbeat, so executions orphaned by a crash or
+-- redeploy can be detected (status 'interrupted') and resumed.
+
+ALTER TABLE workflow_executions
+ADD COLUMN IF NOT EXISTS input JSONB;
+
+ALTER TABLE workflow_executions
+ADD COLUMN IF NOT EXISTS workflow_snapshot JSONB;
+
+ALTER TABLE workflow_executions
+ADD COLUMN IF NOT EXISTS checkpoint JSONB;
+
+ALTER TABLE workflow_executions
+ADD COLUMN IF NOT EXISTS heartbeat_at TIMESTAMPTZ;
+
+COMMENT ON COLUMN workflow_executions.checkpoint IS 'Settled steps by step id ({ status, output, error, reason }); steps in the checkpoint are restored instead of re-run when the execution is resumed.';
+COMMENT ON COLUMN workflow_executions.heartbeat_at IS 'Refreshed while the execution is queued or running; executions without a recent heartbeat are marked interrupted.';
@@ -0,0 +1,20 @@
+-- Encrypted secret storage
+-- Secrets are encrypted by the app (AES-256-GCM with SECRETS_ENCRYPTION_KEY)
+-- before they are stored, and referenced from workflow steps and connector
+-- configs as {{secrets.NAME}}; values are only decrypted to run a workflow.
+
+CREATE TABLE IF NOT EXISTS secrets (
+  id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+  user_id UUID,
+  name TEXT NOT NULL,
+  encrypted_value TEXT NOT NULL,
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  updated_at TIMESTAMPTZ DEFAULT NOW(),
+  UNIQUE NULLS NOT DISTINCT (user_id, name)
+);
+
+DROP TRIGGER IF EXISTS update_secrets_updated_at ON secrets;
+CREATE TRIGGER update_secrets_updated_at BEFORE UPDATE ON secrets
+  FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+COMMENT ON COLUMN secrets.encrypted_value IS 'v1:<iv>:<auth tag>:<ciphertext> (base64), bound to the user and name; never store plaintext here.';
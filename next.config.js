@@ -2,6 +2,10 @@
 const nextConfig = {
   reactStrictMode: true,
   swcMinify: true,
+  experimental: {
+    // Runs src/instrumentation.js on startup (interrupted execution sweeper)
+    instrumentationHook: true,
+  },
   env: {
     NEXT_PUBLIC_APP_NAME: 'Workflow Autopilot',
     NEXT_PUBLIC_APP_VERSION: '1.0.0',
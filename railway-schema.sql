@@ -30,7 +30,11 @@ CREATE TABLE IF NOT EXISTS workflow_executions (
   result JSONB,
   error TEXT,
   execution_log JSONB,
-  duration_ms INTEGER
+  duration_ms INTEGER,
+  input JSONB,
+  workflow_snapshot JSONB,
+  checkpoint JSONB,
+  heartbeat_at TIMESTAMPTZ
 );
 
 -- Tutorial/Learning data table with vector embeddings
@@ -41,6 +45,7 @@ CREATE TABLE IF NOT EXISTS tutorial_embeddings (
   metadata JSONB,
   category TEXT,
   tags TEXT[],
+  collection TEXT NOT NULL DEFAULT 'tutorials',
   created_at TIMESTAMPTZ DEFAULT NOW(),
   updated_at TIMESTAMPTZ DEFAULT NOW()
 );
@@ -70,12 +75,24 @@ CREATE TABLE IF NOT EXISTS connectors (
   updated_at TIMESTAMPTZ DEFAULT NOW()
 );
 
+-- Encrypted secrets (AES-256-GCM), referenced from workflows as {{secrets.NAME}}
+CREATE TABLE IF NOT EXISTS secrets (
+  id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+  user_id UUID,
+  name TEXT NOT NULL,
+  encrypted_value TEXT NOT NULL,
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  updated_at TIMESTAMPTZ DEFAULT NOW(),
+  UNIQUE NULLS NOT DISTINCT (user_id, name)
+);
+
 -- Create indexes
 CREATE INDEX IF NOT EXISTS idx_workflows_status ON workflows(status);
 CREATE INDEX IF NOT EXISTS idx_workflows_user_id ON workflows(user_id);
 CREATE INDEX IF NOT EXISTS idx_workflow_executions_workflow_id ON workflow_executions(workflow_id);
 CREATE INDEX IF NOT EXISTS idx_workflow_executions_status ON workflow_executions(status);
 CREATE INDEX IF NOT EXISTS idx_tutorial_embeddings_category ON tutorial_embeddings(category);
+CREATE INDEX IF NOT EXISTS idx_tutorial_embeddings_collection ON tutorial_embeddings(collection);
 CREATE INDEX IF NOT EXISTS idx_mcp_tool_usage_tool_name ON mcp_tool_usage(tool_name);
 CREATE INDEX IF NOT EXISTS idx_connectors_type ON connectors(type);
 
@@ -83,12 +100,19 @@ CREATE INDEX IF NOT EXISTS idx_connectors_type ON connectors(type);
 CREATE OR REPLACE FUNCTION match_tutorial_embeddings(
   query_embedding vector(1536),
   match_threshold float,
-  match_count int
+  match_count int,
+  filter_collection text DEFAULT NULL,
+  filter_category text DEFAULT NULL,
+  filter_tags text[] DEFAULT NULL,
+  filter_metadata jsonb DEFAULT NULL
 )
 RETURNS TABLE (
   id UUID,
   content TEXT,
   metadata JSONB,
+  category TEXT,
+  tags TEXT[],
+  collection TEXT,
   similarity float
 )
 LANGUAGE sql STABLE
@@ -97,9 +121,16 @@ AS $$
     id,
     content,
     metadata,
+    category,
+    tags,
+    collection,
     1 - (embedding <=> query_embedding) as similarity
   FROM tutorial_embeddings
   WHERE 1 - (embedding <=> query_embedding) > match_threshold
+    AND (filter_collection IS NULL OR collection = filter_collection)
+    AND (filter_category IS NULL OR category = filter_category)
+    AND (filter_tags IS NULL OR tags @> filter_tags)
+    AND (filter_metadata IS NULL OR metadata @> filter_metadata)
   ORDER BY embedding <=> query_embedding
   LIMIT match_count;
 $$;
@@ -129,5 +160,10 @@ CREATE TRIGGER update_connectors_updated_at
   FOR EACH ROW
   EXECUTE FUNCTION update_updated_at_column();
 
+CREATE TRIGGER update_secrets_updated_at
+  BEFORE UPDATE ON secrets
+  FOR EACH ROW
+  EXECUTE FUNCTION update_updated_at_column();
+
 -- Success message
 SELECT 'Database schema created successfully! ✅' as status;
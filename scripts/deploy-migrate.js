@@ -70,6 +70,14 @@ async function runMigration() {
                             await checkTableExists(client, 'workflow_executions');
 
     if (coreTablesExist) {
+      // Idempotent column additions for databases created before them
+      const checkpointsPath = path.join(__dirname, '../migrations/add-execution-checkpoints.sql');
+      await client.query(fs.readFileSync(checkpointsPath, 'utf-8'));
+      const collectionsPath = path.join(__dirname, '../migrations/add-embedding-collections.sql');
+      await client.query(fs.readFileSync(collectionsPath, 'utf-8'));
+      const secretsPath = path.join(__dirname, '../migrations/add-secrets-vault.sql');
+      await client.query(fs.readFileSync(secretsPath, 'utf-8'));
+
       console.log('✅ Database schema is up to date');
       console.log('   All required tables exist.\n');
       return;
@@ -71,6 +71,23 @@ async function checkTableExists(tableName: string): Promise<boolean> {
   }
 }
 
+async function checkColumnExists(tableName: string, columnName: string): Promise<boolean> {
+  const client = await pool.connect();
+  try {
+    const result = await client.query(`
+      SELECT EXISTS (
+        SELECT FROM information_schema.columns
+        WHERE table_schema = 'public'
+        AND table_name = $1
+        AND column_name = $2
+      );
+    `, [tableName, columnName]);
+    return result.rows[0].exists;
+  } finally {
+    client.release();
+  }
+}
+
 async function runAllMigrations() {
   console.log('🔍 VidDazzle Database Migration Runner\n');
   console.log(`📍 Database: ${databaseUrl.replace(/:[^:@]+@/, ':****@')}\n`);
@@ -106,6 +123,37 @@ async function runAllMigrations() {
       console.log('✨ Database is now ready for social listening features!\n');
     }
 
+    // Check if workflow executions are checkpointed (durable, resumable runs)
+    if (await checkTableExists('workflow_executions')) {
+      const checkpointExists = await checkColumnExists('workflow_executions', 'checkpoint');
+      const heartbeatExists = await checkColumnExists('workflow_executions', 'heartbeat_at');
+
+      if (checkpointExists && heartbeatExists) {
+        console.log('ℹ️  Execution checkpoint columns already exist\n');
+      } else {
+        console.log('📝 Execution checkpoint columns need to be added\n');
+        await runMigration('add-execution-checkpoints.sql');
+      }
+    }
+
+    // Check if the embeddings knowledge base has named collections
+    if (await checkTableExists('tutorial_embeddings')) {
+      if (await checkColumnExists('tutorial_embeddings', 'collection')) {
+        console.log('ℹ️  Embedding collection column already exists\n');
+      } else {
+        console.log('📝 Embedding collections need to be added\n');
+        await runMigration('add-embedding-collections.sql');
+      }
+    }
+
+    // Check if the encrypted secrets vault exists
+    if (await checkTableExists('secrets')) {
+      console.log('ℹ️  Secrets table already exists\n');
+    } else {
+      console.log('📝 Secrets table needs to be created\n');
+      await runMigration('add-secrets-vault.sql');
+    }
+
     // Show table stats
     console.log('📊 Table Statistics:');
     const tables = [
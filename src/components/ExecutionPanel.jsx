@@ -0,0 +1,215 @@
+import { CheckCircle, XCircle, Clock, Loader2, RotateCw, Ban } from 'lucide-react';
+
+/**
+ * Apply a streamed execution event to the execution state
+ *
+ * `execution` is `{ executionId, status, entries, outputs, error, duration }`;
+ * events come from POST /api/execute-workflow (or /api/executions/:id/resume)
+ * with `stream: true`.
+ */
+export function applyExecutionEvent(execution, event, data) {
+  switch (event) {
+    case 'execution_started':
+      return { ...execution, executionId: data.executionId, status: 'running' };
+    case 'step_started':
+    case 'step_completed':
+    case 'step_failed':
+    case 'step_skipped':
+    case 'step_cancelled':
+    case 'step_restored':
+    case 'compensation_started':
+    case 'compensation_completed':
+    case 'compensation_failed':
+      return { ...execution, entries: upsertEntry(execution.entries, data.entry) };
+    case 'retry':
+      return {
+        ...execution,
+        entries: upsertEntry(execution.entries, {
+          ...data.entry,
+          retry: { attempt: data.attempt, max_attempts: data.max_attempts, error: data.error },
+        }),
+      };
+    case 'workflow_finished':
+      return {
+        ...execution,
+        status: data.cancelled ? 'cancelled' : (data.success ? 'completed' : 'failed'),
+        outputs: data.outputs,
+        error: data.error,
+        duration: data.duration,
+      };
+    default:
+      return execution;
+  }
+}
+
+function upsertEntry(entries, entry) {
+  const index = entries.findIndex(e => e.step_id === entry.step_id);
+  if (index === -1) return [...entries, entry];
+  const next = [...entries];
+  next[index] = { ...next[index], ...entry };
+  return next;
+}
+
+export default function ExecutionPanel({ execution, onCancel }) {
+  const running = execution.status === 'running';
+
+  return (
+    <div className="bg-white rounded-lg shadow-sm p-6">
+      <div className="flex items-center justify-between mb-6">
+        <h2 className="text-2xl font-bold text-gray-900">Execution Results</h2>
+        <div className="flex items-center gap-3">
+          {running && onCancel && execution.executionId && (
+            <button
+              onClick={onCancel}
+              className="flex items-center gap-1 px-3 py-2 border border-gray-300 text-gray-700 rounded-lg hover:bg-gray-50"
+            >
+              <Ban className="w-4 h-4" />
+              Cancel
+            </button>
+          )}
+          <ExecutionStatusBadge status={execution.status} />
+        </div>
+      </div>
+
+      <div className="space-y-4">
+        <div className="flex items-center gap-4 text-sm text-gray-600">
+          {execution.duration !== undefined && (
+            <span className="flex items-center gap-1">
+              <Clock className="w-4 h-4" />
+              Duration: {execution.duration}ms
+            </span>
+          )}
+          {execution.executionId && (
+            <span>Execution: <code className="bg-gray-100 px-2 py-0.5 rounded">{execution.executionId}</code></span>
+          )}
+        </div>
+
+        {execution.error && (
+          <p className="text-sm text-red-600">Error: {execution.error}</p>
+        )}
+
+        <div>
+          <h3 className="text-lg font-semibold mb-3">Execution Log</h3>
+          <div className="space-y-2">
+            {execution.entries.map((entry) => (
+              <ExecutionLogEntry key={entry.step_id} entry={entry} />
+            ))}
+            {running && execution.entries.length === 0 && (
+              <p className="text-sm text-gray-500">Waiting for the first step...</p>
+            )}
+          </div>
+        </div>
+
+        {!running && execution.outputs && (
+          <div>
+            <h3 className="text-lg font-semibold mb-3">Outputs</h3>
+            <pre className="bg-gray-50 p-4 rounded-lg overflow-auto text-sm">
+              {JSON.stringify(execution.outputs, null, 2)}
+            </pre>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
+
+function ExecutionStatusBadge({ status }) {
+  if (status === 'running') {
+    return (
+      <div className="flex items-center gap-2 px-4 py-2 rounded-lg bg-blue-100 text-blue-800">
+        <Loader2 className="w-5 h-5 animate-spin" />
+        Running
+      </div>
+    );
+  }
+
+  if (status === 'cancelled') {
+    return (
+      <div className="flex items-center gap-2 px-4 py-2 rounded-lg bg-gray-100 text-gray-700">
+        <Ban className="w-5 h-5" />
+        Cancelled
+      </div>
+    );
+  }
+
+  const success = status === 'completed';
+  return (
+    <div className={`flex items-center gap-2 px-4 py-2 rounded-lg ${
+      success
+        ? 'bg-green-100 text-green-800'
+        : 'bg-red-100 text-red-800'
+    }`}>
+      {success ? (
+        <>
+          <CheckCircle className="w-5 h-5" />
+          Success
+        </>
+      ) : (
+        <>
+          <XCircle className="w-5 h-5" />
+          Failed
+        </>
+      )}
+    </div>
+  );
+}
+
+function ExecutionLogEntry({ entry }) {
+  const statusColors = {
+    running: 'bg-blue-100 text-blue-800',
+    completed: 'bg-green-100 text-green-800',
+    failed: 'bg-red-100 text-red-800',
+    skipped: 'bg-gray-100 text-gray-600',
+    cancelled: 'bg-gray-100 text-gray-700',
+  };
+
+  return (
+    <div className="border border-gray-200 rounded-lg p-3">
+      <div className="flex items-start justify-between">
+        <div className="flex-1">
+          <div className="flex items-center gap-2">
+            {entry.status === 'running' && (
+              <Loader2 className="w-4 h-4 text-blue-600 animate-spin" />
+            )}
+            <span className="font-medium text-gray-900">{entry.step_name}</span>
+            <span className={`text-xs px-2 py-0.5 rounded ${statusColors[entry.status]}`}>
+              {entry.status}
+            </span>
+          </div>
+          {entry.handled_by && (
+            <p className="text-xs text-gray-500 mt-1">Handled by step {entry.handled_by}</p>
+          )}
+          {entry.resumed && (
+            <p className="text-xs text-gray-500 mt-1">Restored from the interrupted run</p>
+          )}
+          {entry.retry && entry.status === 'running' && (
+            <p className="text-sm text-yellow-700 mt-1 flex items-center gap-1">
+              <RotateCw className="w-3 h-3" />
+              Retrying (attempt {entry.retry.attempt + 1} of {entry.retry.max_attempts}): {entry.retry.error}
+            </p>
+          )}
+          {entry.error && (
+            <p className="text-sm text-red-600 mt-1">Error: {entry.error}</p>
+          )}
+          {entry.attempts?.length > 1 && (
+            <ol className="text-xs text-gray-500 mt-1 space-y-0.5">
+              {entry.attempts.map((attempt) => (
+                <li key={attempt.attempt}>
+                  Attempt {attempt.attempt}: {attempt.status}
+                  {attempt.error && ` (${attempt.error})`}
+                  {attempt.delay_ms !== undefined && `, retried after ${attempt.delay_ms}ms`}
+                </li>
+              ))}
+            </ol>
+          )}
+          {entry.reason && (
+            <p className="text-sm text-gray-500 mt-1">{entry.reason}</p>
+          )}
+          {entry.duration && (
+            <p className="text-xs text-gray-500 mt-1">Duration: {entry.duration}ms</p>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+}
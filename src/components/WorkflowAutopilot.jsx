@@ -1,12 +1,16 @@
 import { useState, useEffect } from 'react';
-import { Play, Plus, Sparkles, Loader2, CheckCircle, XCircle, Clock, Zap } from 'lucide-react';
+import { Play, Plus, Sparkles, Loader2, Zap, RotateCw } from 'lucide-react';
 import ReactMarkdown from 'react-markdown';
+import ExecutionPanel, { applyExecutionEvent } from '@/components/ExecutionPanel';
+import { readEventStream } from '@/lib/event-stream';
 
 export default function WorkflowAutopilot() {
   const [prompt, setPrompt] = useState('');
   const [workflows, setWorkflows] = useState([]);
   const [currentWorkflow, setCurrentWorkflow] = useState(null);
+  const [generation, setGeneration] = useState(null);
   const [execution, setExecution] = useState(null);
+  const [interruptedExecutions, setInterruptedExecutions] = useState([]);
   const [loading, setLoading] = useState(false);
   const [executing, setExecuting] = useState(false);
   const [activeTab, setActiveTab] = useState('generate');
@@ -14,6 +18,7 @@ export default function WorkflowAutopilot() {
   // Load workflows on mount
   useEffect(() => {
     loadWorkflows();
+    loadInterruptedExecutions();
   }, []);
 
   const loadWorkflows = async () => {
@@ -28,57 +33,107 @@ export default function WorkflowAutopilot() {
     }
   };
 
+  // Executions cut off by a server restart, which can be resumed
+  const loadInterruptedExecutions = async () => {
+    try {
+      const response = await fetch('/api/executions?status=interrupted');
+      if (response.ok) {
+        const data = await response.json();
+        setInterruptedExecutions(data.executions || []);
+      }
+    } catch (error) {
+      console.error('Error loading interrupted executions:', error);
+    }
+  };
+
   const handleGenerate = async () => {
     if (!prompt.trim()) return;
 
     setLoading(true);
+    setGeneration({ round: 0, steps: [], diagnostics: [] });
     try {
       const response = await fetch('/api/generate-workflow', {
         method: 'POST',
         headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({ prompt, save: true }),
+        body: JSON.stringify({ prompt, save: true, stream: true }),
       });
 
-      const data = await response.json();
+      if (!response.ok) {
+        const data = await response.json();
+        throw new Error(data.message || data.error);
+      }
+
+      // Preview steps as Claude writes them; the final event has the validated workflow
+      let result = null;
+      await readEventStream(response, (event, data) => {
+        if (event === 'generation_finished') {
+          result = data;
+        } else {
+          setGeneration((current) => applyGenerationEvent(current, event, data));
+        }
+      });
 
-      if (data.success) {
-        setCurrentWorkflow(data.workflow);
-        setWorkflows([data.saved, ...workflows]);
+      if (result?.success) {
+        setCurrentWorkflow(result.workflow);
+        if (result.saved) setWorkflows((current) => [result.saved, ...current]);
         setActiveTab('workflow');
         setPrompt('');
+        setGeneration(null);
       } else {
-        alert('Failed to generate workflow: ' + data.error);
+        throw new Error(result?.message || result?.error || 'The stream ended early');
       }
     } catch (error) {
       console.error('Error generating workflow:', error);
-      alert('Failed to generate workflow');
+      alert('Failed to generate workflow: ' + error.message);
     } finally {
       setLoading(false);
     }
   };
 
-  const handleExecute = async (workflowId) => {
+  const handleExecute = (workflowId) => streamExecution('/api/execute-workflow', { workflowId });
+
+  const handleResume = async (executionId) => {
+    setInterruptedExecutions((current) => current.filter(e => e.id !== executionId));
+    await streamExecution(`/api/executions/${executionId}/resume`, {});
+  };
+
+  const handleCancel = async (executionId) => {
+    try {
+      const response = await fetch(`/api/executions/${executionId}/cancel`, { method: 'POST' });
+      if (!response.ok) {
+        const data = await response.json();
+        throw new Error(data.message || data.error);
+      }
+    } catch (error) {
+      console.error('Error cancelling execution:', error);
+      alert('Failed to cancel execution: ' + error.message);
+    }
+  };
+
+  const streamExecution = async (url, body) => {
     setExecuting(true);
-    setExecution(null);
+    setExecution({ status: 'running', entries: [] });
+    setActiveTab('execution');
 
     try {
-      const response = await fetch('/api/execute-workflow', {
+      const response = await fetch(url, {
         method: 'POST',
         headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({ workflowId }),
+        body: JSON.stringify({ ...body, stream: true }),
       });
 
-      const data = await response.json();
-
-      if (data.success) {
-        setExecution(data);
-        setActiveTab('execution');
-      } else {
-        alert('Execution failed: ' + data.error);
+      if (!response.ok) {
+        const data = await response.json();
+        throw new Error(data.message || data.error);
       }
+
+      // Update the execution panel as step events arrive
+      await readEventStream(response, (event, data) => {
+        setExecution((current) => applyExecutionEvent(current, event, data));
+      });
     } catch (error) {
       console.error('Error executing workflow:', error);
-      alert('Failed to execute workflow');
+      setExecution((current) => ({ ...current, status: 'failed', error: error.message }));
     } finally {
       setExecuting(false);
     }
@@ -177,6 +232,8 @@ export default function WorkflowAutopilot() {
                 )}
               </button>
             </div>
+
+            {generation && <GenerationPreview generation={generation} />}
           </div>
         )}
 
@@ -221,61 +278,31 @@ export default function WorkflowAutopilot() {
         {/* Execution Tab */}
         {activeTab === 'execution' && execution && (
           <div className="space-y-6">
-            <div className="bg-white rounded-lg shadow-sm p-6">
-              <div className="flex items-center justify-between mb-6">
-                <h2 className="text-2xl font-bold text-gray-900">Execution Results</h2>
-                <div className={`flex items-center gap-2 px-4 py-2 rounded-lg ${
-                  execution.success
-                    ? 'bg-green-100 text-green-800'
-                    : 'bg-red-100 text-red-800'
-                }`}>
-                  {execution.success ? (
-                    <>
-                      <CheckCircle className="w-5 h-5" />
-                      Success
-                    </>
-                  ) : (
-                    <>
-                      <XCircle className="w-5 h-5" />
-                      Failed
-                    </>
-                  )}
-                </div>
-              </div>
-
-              <div className="space-y-4">
-                <div className="flex items-center gap-4 text-sm text-gray-600">
-                  <span className="flex items-center gap-1">
-                    <Clock className="w-4 h-4" />
-                    Duration: {execution.duration}ms
-                  </span>
-                </div>
-
-                <div>
-                  <h3 className="text-lg font-semibold mb-3">Execution Log</h3>
-                  <div className="space-y-2">
-                    {execution.log?.map((entry, index) => (
-                      <ExecutionLogEntry key={index} entry={entry} />
-                    ))}
-                  </div>
-                </div>
-
-                {execution.outputs && (
-                  <div>
-                    <h3 className="text-lg font-semibold mb-3">Outputs</h3>
-                    <pre className="bg-gray-50 p-4 rounded-lg overflow-auto text-sm">
-                      {JSON.stringify(execution.outputs, null, 2)}
-                    </pre>
-                  </div>
-                )}
-              </div>
-            </div>
+            <ExecutionPanel execution={execution} onCancel={() => handleCancel(execution.executionId)} />
           </div>
         )}
 
         {/* Library Tab */}
         {activeTab === 'library' && (
           <div className="space-y-6">
+            {interruptedExecutions.length > 0 && (
+              <div className="bg-white rounded-lg shadow-sm p-6">
+                <h2 className="text-xl font-bold text-gray-900 mb-2">Interrupted Runs</h2>
+                <p className="text-sm text-gray-600 mb-4">
+                  These executions stopped when the server restarted. Resuming skips the steps that already finished.
+                </p>
+                <div className="space-y-2">
+                  {interruptedExecutions.map((interrupted) => (
+                    <InterruptedExecutionRow
+                      key={interrupted.id}
+                      execution={interrupted}
+                      disabled={executing}
+                      onResume={() => handleResume(interrupted.id)}
+                    />
+                  ))}
+                </div>
+              </div>
+            )}
             <div className="bg-white rounded-lg shadow-sm p-6">
               <h2 className="text-2xl font-bold text-gray-900 mb-6">Workflow Library</h2>
               {workflows.length === 0 ? (
@@ -317,6 +344,52 @@ function QuickActionCard({ title, description, onClick }) {
   );
 }
 
+/**
+ * Fold a generate-workflow stream event into the preview state
+ */
+function applyGenerationEvent(generation, event, data) {
+  switch (event) {
+    case 'round_started':
+      // A repair round rewrites the workflow, so its steps replace the preview
+      return { round: data.round, steps: [], diagnostics: data.diagnostics };
+    case 'step': {
+      const steps = [...generation.steps];
+      steps[data.index] = data.step;
+      return { ...generation, steps };
+    }
+    default:
+      return generation;
+  }
+}
+
+function GenerationPreview({ generation }) {
+  const errors = generation.diagnostics.filter(diagnostic => diagnostic.severity === 'error');
+
+  return (
+    <div className="bg-white rounded-lg shadow-sm p-6">
+      <h3 className="text-lg font-semibold mb-2 flex items-center gap-2">
+        <Loader2 className="w-5 h-5 animate-spin text-blue-600" />
+        {generation.round > 0 ? `Fixing ${errors.length} error(s), attempt ${generation.round}` : 'Writing workflow steps'}
+      </h3>
+      {errors.length > 0 && (
+        <ul className="mb-4 text-sm text-yellow-700 list-disc list-inside">
+          {errors.map((diagnostic, index) => (
+            <li key={index}><code>{diagnostic.path}</code>: {diagnostic.message}</li>
+          ))}
+        </ul>
+      )}
+      <div className="space-y-4">
+        {generation.steps.map((step, index) => step && (
+          <WorkflowStep key={`${step.id}-${index}`} step={step} index={index} />
+        ))}
+        {generation.steps.length === 0 && (
+          <p className="text-sm text-gray-500">Waiting for the first step...</p>
+        )}
+      </div>
+    </div>
+  );
+}
+
 function WorkflowStep({ step, index }) {
   return (
     <div className="border border-gray-200 rounded-lg p-4 hover:border-blue-300 transition-colors">
@@ -341,31 +414,27 @@ function WorkflowStep({ step, index }) {
   );
 }
 
-function ExecutionLogEntry({ entry }) {
-  const statusColors = {
-    running: 'bg-blue-100 text-blue-800',
-    completed: 'bg-green-100 text-green-800',
-    failed: 'bg-red-100 text-red-800',
-  };
+function InterruptedExecutionRow({ execution, disabled, onResume }) {
+  const settledSteps = Object.keys(execution.checkpoint || {}).length;
+  const totalSteps = execution.workflow_snapshot?.steps?.length;
 
   return (
-    <div className="border border-gray-200 rounded-lg p-3">
-      <div className="flex items-start justify-between">
-        <div className="flex-1">
-          <div className="flex items-center gap-2">
-            <span className="font-medium text-gray-900">{entry.step_name}</span>
-            <span className={`text-xs px-2 py-0.5 rounded ${statusColors[entry.status]}`}>
-              {entry.status}
-            </span>
-          </div>
-          {entry.error && (
-            <p className="text-sm text-red-600 mt-1">Error: {entry.error}</p>
-          )}
-          {entry.duration && (
-            <p className="text-xs text-gray-500 mt-1">Duration: {entry.duration}ms</p>
-          )}
-        </div>
+    <div className="flex items-center justify-between border border-yellow-200 bg-yellow-50 rounded-lg p-3">
+      <div>
+        <p className="font-medium text-gray-900">{execution.workflow_snapshot?.name || execution.workflow_id || execution.id}</p>
+        <p className="text-xs text-gray-600">
+          Started {new Date(execution.started_at).toLocaleString()}
+          {totalSteps ? ` · ${settledSteps} of ${totalSteps} steps done` : ''}
+        </p>
       </div>
+      <button
+        onClick={onResume}
+        disabled={disabled}
+        className="flex items-center gap-1 px-3 py-1.5 bg-yellow-600 text-white text-sm rounded hover:bg-yellow-700 disabled:opacity-50"
+      >
+        <RotateCw className="w-4 h-4" />
+        Resume
+      </button>
     </div>
   );
 }
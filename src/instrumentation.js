@@ -0,0 +1,23 @@
+/**
+ * Server startup hook (Next.js instrumentation)
+ *
+ * Sweeps for executions orphaned by a crash or redeploy and marks them
+ * `interrupted`, then keeps sweeping periodically (on a zero-downtime
+ * redeploy the old server is still heartbeating when the new one starts).
+ * Interrupted executions can be resumed with POST /api/executions/:id/resume.
+ */
+
+const SWEEP_INTERVAL_MS = 60000;
+
+export async function register() {
+  // Inline check so the edge build drops the Node-only import
+  if (process.env.NEXT_RUNTIME === 'nodejs') {
+    const { sweepInterruptedExecutions } = await import('@/lib/workflow/runner');
+    const sweep = () => sweepInterruptedExecutions().catch((error) => {
+      console.error('Error sweeping interrupted executions:', error);
+    });
+
+    await sweep();
+    setInterval(sweep, SWEEP_INTERVAL_MS).unref?.();
+  }
+}
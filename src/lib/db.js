@@ -28,12 +28,19 @@ if (hasPostgresUrl) {
     deleteWorkflow: async () => {},
     createExecution: async (data) => ({ id: 'mock-exec', ...data }),
     updateExecution: async (id, data) => ({ id, ...data }),
+    updateExecutionIfStatus: async (id, statuses, data) => ({ id, ...data }),
+    getExecution: async (id) => ({ id, status: 'completed', execution_log: [] }),
     getExecutions: async () => [],
+    getExecutionsByStatus: async () => [],
+    markInterruptedExecutions: async () => [],
     searchTutorials: async () => [],
     insertTutorialEmbedding: async (content) => ({ id: 'mock-tutorial', content }),
     logToolUsage: async (data) => ({ id: 'mock-log', ...data }),
     getConnectors: async () => [],
     upsertConnector: async (data) => ({ id: 'mock-connector', ...data }),
+    getSecrets: async () => [],
+    upsertSecret: async (data) => ({ id: 'mock-secret', ...data }),
+    deleteSecret: async () => false,
   };
 }
 
@@ -46,12 +53,19 @@ export const {
   deleteWorkflow,
   createExecution,
   updateExecution,
+  updateExecutionIfStatus,
+  getExecution,
   getExecutions,
+  getExecutionsByStatus,
+  markInterruptedExecutions,
   searchTutorials,
   insertTutorialEmbedding,
   logToolUsage,
   getConnectors,
   upsertConnector,
+  getSecrets,
+  upsertSecret,
+  deleteSecret,
   supabase,
   supabaseAdmin,
   query,
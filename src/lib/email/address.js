@@ -0,0 +1,15 @@
+/**
+ * Email address helpers
+ */
+
+/**
+ * Split "Name <email>" into its parts
+ * @returns {{email: string, name?: string}}
+ */
+export function parseAddress(address) {
+  const match = /^\s*"?([^"<]*?)"?\s*<([^>]+)>\s*$/.exec(address);
+  if (match) {
+    return match[1] ? { email: match[2].trim(), name: match[1].trim() } : { email: match[2].trim() };
+  }
+  return { email: address.trim() };
+}
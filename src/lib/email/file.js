@@ -0,0 +1,35 @@
+/**
+ * Local mailbox email transport
+ *
+ * Writes each message as an .eml file (openable in any mail client) to
+ * EMAIL_MAILBOX_DIR instead of delivering it.
+ */
+
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import nodemailer from 'nodemailer';
+import { toNodemailerMessage } from './smtp';
+
+const streamTransport = nodemailer.createTransport({ streamTransport: true, buffer: true, newline: 'unix' });
+
+/**
+ * Save a normalized message to the mailbox directory
+ */
+export async function sendToMailbox(email, config = {}, signal) {
+  const mailboxDir = config.mailbox_dir || process.env.EMAIL_MAILBOX_DIR || path.join(os.tmpdir(), 'workflow-mailbox');
+  const info = await streamTransport.sendMail(toNodemailerMessage(email));
+
+  await fs.mkdir(mailboxDir, { recursive: true });
+  const filename = `${new Date().toISOString().replace(/[:.]/g, '-')}-${info.messageId.replace(/[^A-Za-z0-9.-]/g, '')}.eml`;
+  const filePath = path.join(mailboxDir, filename);
+  await fs.writeFile(filePath, info.message, { signal });
+
+  return {
+    status: 'saved',
+    message_id: info.messageId,
+    accepted: [...email.to, ...email.cc, ...email.bcc],
+    rejected: [],
+    path: filePath,
+  };
+}
@@ -0,0 +1,152 @@
+/**
+ * Email Service
+ *
+ * One entry point for every email the app sends (the email_send workflow
+ * tool and email outreach), with pluggable transports:
+ * - smtp: any SMTP server (SMTP_HOST, SMTP_PORT, SMTP_USER, SMTP_PASS)
+ * - sendgrid: the SendGrid v3 mail API or a compatible service (SENDGRID_API_KEY)
+ * - file: writes .eml files to a local mailbox directory, for development and tests
+ *
+ * EMAIL_TRANSPORT picks the transport; otherwise SendGrid is used when an
+ * API key is configured, then SMTP, then the file sink.
+ */
+
+import { resolveTemplate } from '@/lib/workflow/template';
+import { invalid } from '@/lib/workflow/util';
+import { parseAddress } from './address';
+import { sendWithSmtp } from './smtp';
+import { sendWithSendGrid } from './sendgrid';
+import { sendToMailbox } from './file';
+
+const TRANSPORTS = {
+  smtp: sendWithSmtp,
+  sendgrid: sendWithSendGrid,
+  file: sendToMailbox,
+};
+
+const ADDRESS_PATTERN = /^[^\s@<>]+@[^\s@<>]+\.[^\s@<>]+$/;
+
+/**
+ * Send an email
+ *
+ * @param {Object} message
+ * @param {string|string[]} message.to - Recipients ("a@b.com" or "Name <a@b.com>")
+ * @param {string|string[]} [message.cc]
+ * @param {string|string[]} [message.bcc]
+ * @param {string} [message.from] - Defaults to the configured sender
+ * @param {string} [message.reply_to]
+ * @param {string} message.subject
+ * @param {string} [message.text] - Plain-text body
+ * @param {string} [message.html] - HTML body (text, html or both)
+ * @param {Object} [message.template_data] - Values for `{{name}}` placeholders in the subject and bodies
+ * @param {Array<{filename: string, content: string, encoding?: string, content_type?: string}>} [message.attachments]
+ *   Attachment content is text, or base64 with `encoding: 'base64'`
+ * @param {Object} [message.headers] - Extra headers
+ * @param {Object} [options]
+ * @param {string} [options.transport] - 'smtp', 'sendgrid' or 'file'
+ * @param {Object} [options.config] - Overrides for the environment settings
+ *   (api_key, api_url, from_email, from_name, host, port, secure, user, pass, mailbox_dir)
+ * @param {AbortSignal} [options.signal]
+ * @returns {Promise<{success: boolean, transport: string, status: string, message_id: string, accepted: string[], rejected: string[]}>}
+ *   status is 'sent' (SMTP accepted), 'queued' (API accepted) or 'saved' (file sink)
+ */
+export async function sendEmail(message, { transport, config = {}, signal } = {}) {
+  const name = resolveTransport(transport, config);
+  const send = TRANSPORTS[name];
+  if (!send) {
+    throw invalid(`Unknown email transport "${name}" (expected ${Object.keys(TRANSPORTS).join(', ')})`);
+  }
+
+  const email = normalizeMessage(message, config);
+  const result = await send(email, config, signal);
+
+  return { success: true, transport: name, ...result };
+}
+
+/**
+ * Transport used when none is given explicitly
+ */
+export function resolveTransport(transport, config = {}) {
+  if (transport || config.transport || process.env.EMAIL_TRANSPORT) {
+    return transport || config.transport || process.env.EMAIL_TRANSPORT;
+  }
+  if (config.api_key || process.env.SENDGRID_API_KEY) return 'sendgrid';
+  if (config.host || process.env.SMTP_HOST) return 'smtp';
+  return 'file';
+}
+
+/**
+ * Validate a message, render its templates and decode attachments
+ */
+function normalizeMessage(message, config) {
+  const render = (value) => (message.template_data && typeof value === 'string'
+    ? resolveTemplate(value, message.template_data)
+    : value);
+
+  const to = toAddressList(message.to, 'to');
+  if (to.length === 0) {
+    throw invalid('An email needs at least one recipient');
+  }
+  if (!message.subject) {
+    throw invalid('An email needs a subject');
+  }
+  if (!message.text && !message.html) {
+    throw invalid('An email needs a text or html body');
+  }
+
+  const from = message.from || formatSender(
+    config.from_email || process.env.EMAIL_FROM,
+    config.from_name || process.env.EMAIL_FROM_NAME
+  );
+  if (!from) {
+    throw invalid('No sender address: set from, EMAIL_FROM or the connector from_email');
+  }
+  toAddressList(from, 'from');
+
+  return {
+    from,
+    to,
+    cc: toAddressList(message.cc, 'cc'),
+    bcc: toAddressList(message.bcc, 'bcc'),
+    reply_to: message.reply_to || null,
+    subject: render(message.subject),
+    text: render(message.text) || null,
+    html: render(message.html) || null,
+    headers: message.headers || {},
+    attachments: (message.attachments || []).map(normalizeAttachment),
+  };
+}
+
+function normalizeAttachment(attachment, index) {
+  if (!attachment?.filename || attachment.content === undefined) {
+    throw invalid(`Attachment ${index + 1} needs a filename and content`);
+  }
+
+  const encoding = attachment.encoding || 'utf8';
+  if (!['utf8', 'base64'].includes(encoding)) {
+    throw invalid(`Attachment ${attachment.filename}: unsupported encoding "${encoding}"`);
+  }
+
+  return {
+    filename: attachment.filename,
+    content: Buffer.from(String(attachment.content), encoding),
+    content_type: attachment.content_type || null,
+  };
+}
+
+function toAddressList(value, field) {
+  if (!value) return [];
+  const list = Array.isArray(value) ? value : String(value).split(',');
+
+  return list.map(entry => String(entry).trim()).filter(Boolean).map((entry) => {
+    if (!ADDRESS_PATTERN.test(parseAddress(entry).email)) {
+      throw invalid(`Invalid ${field} address: ${entry}`);
+    }
+    return entry;
+  });
+}
+
+function formatSender(email, name) {
+  if (!email) return null;
+  return name ? `"${name.replace(/"/g, '')}" <${email}>` : email;
+}
@@ -0,0 +1,70 @@
+/**
+ * SendGrid-compatible HTTP email transport
+ *
+ * Posts to the v3 `/mail/send` API. SENDGRID_API_URL points it at another
+ * service that accepts the same payload.
+ */
+
+import axios from 'axios';
+import { parseAddress } from './address';
+
+const DEFAULT_API_URL = 'https://api.sendgrid.com';
+
+/**
+ * Send a normalized message through the SendGrid API
+ */
+export async function sendWithSendGrid(email, config = {}, signal) {
+  const apiKey = config.api_key || process.env.SENDGRID_API_KEY;
+  if (!apiKey) {
+    const error = new Error('SendGrid transport needs SENDGRID_API_KEY or a connector api_key');
+    error.retryable = false;
+    throw error;
+  }
+
+  const apiUrl = (config.api_url || process.env.SENDGRID_API_URL || DEFAULT_API_URL).replace(/\/$/, '');
+  const response = await axios.post(`${apiUrl}/v3/mail/send`, toSendGridPayload(email), {
+    headers: {
+      Authorization: `Bearer ${apiKey}`,
+      'Content-Type': 'application/json',
+    },
+    signal,
+  });
+
+  return {
+    status: 'queued',
+    message_id: response.headers['x-message-id'] || null,
+    accepted: [...email.to, ...email.cc, ...email.bcc],
+    rejected: [],
+  };
+}
+
+function toSendGridPayload(email) {
+  const personalization = { to: email.to.map(parseAddress) };
+  if (email.cc.length > 0) personalization.cc = email.cc.map(parseAddress);
+  if (email.bcc.length > 0) personalization.bcc = email.bcc.map(parseAddress);
+
+  // SendGrid requires text/plain before text/html
+  const content = [];
+  if (email.text) content.push({ type: 'text/plain', value: email.text });
+  if (email.html) content.push({ type: 'text/html', value: email.html });
+
+  const payload = {
+    personalizations: [personalization],
+    from: parseAddress(email.from),
+    subject: email.subject,
+    content,
+  };
+
+  if (email.reply_to) payload.reply_to = parseAddress(email.reply_to);
+  if (Object.keys(email.headers).length > 0) payload.headers = email.headers;
+  if (email.attachments.length > 0) {
+    payload.attachments = email.attachments.map(attachment => ({
+      content: attachment.content.toString('base64'),
+      filename: attachment.filename,
+      type: attachment.content_type || 'application/octet-stream',
+      disposition: 'attachment',
+    }));
+  }
+
+  return payload;
+}
@@ -0,0 +1,77 @@
+/**
+ * SMTP email transport
+ */
+
+import nodemailer from 'nodemailer';
+
+// Pooled connections, one pool per server and account
+const transporters = new Map();
+
+/**
+ * Send a normalized message over SMTP
+ */
+export async function sendWithSmtp(email, config = {}) {
+  const settings = {
+    host: config.host || process.env.SMTP_HOST,
+    port: parseInt(config.port || process.env.SMTP_PORT) || 587,
+    secure: String(config.secure ?? process.env.SMTP_SECURE ?? 'false') === 'true',
+    user: config.user || process.env.SMTP_USER,
+    pass: config.pass || process.env.SMTP_PASS,
+  };
+  if (!settings.host) {
+    const error = new Error('SMTP transport needs SMTP_HOST');
+    error.retryable = false;
+    throw error;
+  }
+
+  const info = await getTransporter(settings).sendMail(toNodemailerMessage(email));
+  if (info.accepted.length === 0) {
+    const error = new Error(`SMTP server rejected all recipients: ${info.rejected.join(', ')}`);
+    error.retryable = false;
+    throw error;
+  }
+
+  return {
+    status: 'sent',
+    message_id: info.messageId,
+    accepted: info.accepted.map(String),
+    rejected: info.rejected.map(String),
+    response: info.response,
+  };
+}
+
+/**
+ * Shape a normalized message for nodemailer (also used by the file sink)
+ */
+export function toNodemailerMessage(email) {
+  return {
+    from: email.from,
+    to: email.to,
+    cc: email.cc,
+    bcc: email.bcc,
+    replyTo: email.reply_to || undefined,
+    subject: email.subject,
+    text: email.text || undefined,
+    html: email.html || undefined,
+    headers: email.headers,
+    attachments: email.attachments.map(attachment => ({
+      filename: attachment.filename,
+      content: attachment.content,
+      contentType: attachment.content_type || undefined,
+    })),
+  };
+}
+
+function getTransporter(settings) {
+  const key = `${settings.user || ''}@${settings.host}:${settings.port}`;
+  if (!transporters.has(key)) {
+    transporters.set(key, nodemailer.createTransport({
+      pool: true,
+      host: settings.host,
+      port: settings.port,
+      secure: settings.secure,
+      auth: settings.user ? { user: settings.user, pass: settings.pass } : undefined,
+    }));
+  }
+  return transporters.get(key);
+}
@@ -0,0 +1,83 @@
+/**
+ * Text Embeddings
+ *
+ * Shared by the tutorial knowledge base (learn-tutorial) and the
+ * vector_search workflow tool, so stored and query vectors come from the
+ * same model.
+ */
+
+import axios from 'axios';
+
+/**
+ * Generate embedding for text
+ *
+ * This uses OpenAI's text-embedding-3-small model by default
+ * You can also use Claude's embedding capabilities or other providers
+ *
+ * @param {string} text - Text to embed
+ * @param {Object} [options]
+ * @param {AbortSignal} [options.signal]
+ * @returns {Promise<number[]>} Embedding vector
+ */
+export async function generateEmbedding(text, { signal } = {}) {
+  const embeddingModel = process.env.EMBEDDING_MODEL || 'text-embedding-3-small';
+
+  try {
+    // Using OpenAI's embedding API
+    // You'll need to set OPENAI_API_KEY in your environment
+    if (process.env.OPENAI_API_KEY) {
+      const response = await axios.post(
+        'https://api.openai.com/v1/embeddings',
+        {
+          model: embeddingModel,
+          input: text,
+        },
+        {
+          headers: {
+            'Authorization': `Bearer ${process.env.OPENAI_API_KEY}`,
+            'Content-Type': 'application/json',
+          },
+          signal,
+        }
+      );
+
+      return response.data.data[0].embedding;
+    }
+
+    // Fallback: Generate a simple embedding (for testing only)
+    // In production, you should always use a proper embedding model
+    console.warn('No embedding API key found, using fallback embedding');
+    return generateFallbackEmbedding(text);
+  } catch (error) {
+    console.error('Error generating embedding:', error);
+    if (signal?.aborted) throw error;
+
+    const wrapped = new Error('Failed to generate embedding');
+    // Keep the HTTP status so retry policies can tell rate limits from bad requests
+    wrapped.status = error.response?.status;
+    throw wrapped;
+  }
+}
+
+/**
+ * Generate a simple fallback embedding (for testing only)
+ * This creates a deterministic vector based on the text content
+ *
+ * WARNING: This is NOT suitable for production use!
+ * Use a proper embedding model like OpenAI's text-embedding-3-small
+ */
+function generateFallbackEmbedding(text) {
+  const dimension = parseInt(process.env.EMBEDDING_DIMENSION) || 1536;
+  const embedding = new Array(dimension).fill(0);
+
+  // Simple hash-based embedding (not semantically meaningful)
+  for (let i = 0; i < text.length; i++) {
+    const charCode = text.charCodeAt(i);
+    const index = (charCode * (i + 1)) % dimension;
+    embedding[index] += charCode / 1000;
+  }
+
+  // Normalize the vector
+  const magnitude = Math.sqrt(embedding.reduce((sum, val) => sum + val * val, 0));
+  return embedding.map(val => val / (magnitude || 1));
+}
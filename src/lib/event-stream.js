@@ -0,0 +1,93 @@
+/**
+ * Server-Sent Events helpers
+ *
+ * openEventStream(res) turns an API route response into an SSE stream;
+ * readEventStream(response, onEvent) parses one in the browser. The reader
+ * works with fetch() responses, so streams can be opened with POST bodies
+ * (EventSource only supports GET).
+ */
+
+/**
+ * Start an SSE response
+ * @param {object} res - Next.js API response
+ * @returns {{send: Function, close: Function, closed: Function}} Stream controls
+ */
+export function openEventStream(res) {
+  let closed = false;
+
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream; charset=utf-8',
+    'Cache-Control': 'no-cache, no-transform',
+    'Connection': 'keep-alive',
+    'X-Accel-Buffering': 'no',
+  });
+  res.flushHeaders?.();
+
+  res.on('close', () => {
+    closed = true;
+  });
+
+  return {
+    /**
+     * Send an event with a JSON payload
+     * @param {string} event - Event name
+     * @param {*} data - Payload (JSON serialized)
+     */
+    send(event, data) {
+      if (closed) return;
+      res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+      // Push through the compression middleware, which buffers otherwise
+      res.flush?.();
+    },
+    close() {
+      if (closed) return;
+      closed = true;
+      res.end();
+    },
+    closed: () => closed,
+  };
+}
+
+/**
+ * Read an SSE stream from a fetch() response
+ * @param {Response} response - fetch response with an event-stream body
+ * @param {Function} onEvent - Called with (event, data) for each event
+ * @returns {Promise<void>} Resolves when the stream ends
+ */
+export async function readEventStream(response, onEvent) {
+  const reader = response.body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = '';
+
+  const dispatch = (block) => {
+    let event = 'message';
+    const data = [];
+    for (const line of block.split('\n')) {
+      if (line.startsWith('event:')) event = line.slice(6).trim();
+      else if (line.startsWith('data:')) data.push(line.slice(5).trimStart());
+    }
+    if (data.length === 0) return;
+    const text = data.join('\n');
+    let payload;
+    try {
+      payload = JSON.parse(text);
+    } catch {
+      payload = text;
+    }
+    onEvent(event, payload);
+  };
+
+  for (;;) {
+    const { value, done } = await reader.read();
+    if (done) break;
+    buffer += decoder.decode(value, { stream: true });
+
+    let boundary;
+    while ((boundary = buffer.indexOf('\n\n')) !== -1) {
+      dispatch(buffer.slice(0, boundary));
+      buffer = buffer.slice(boundary + 2);
+    }
+  }
+
+  if (buffer.trim()) dispatch(buffer);
+}
@@ -131,13 +131,34 @@ export async function deleteWorkflow(id) {
  * Create a workflow execution record
  */
 export async function createExecution(executionData) {
-  const { workflow_id, status = 'pending', result = null, error = null, execution_log = null } = executionData;
+  const {
+    workflow_id,
+    status = 'pending',
+    result = null,
+    error = null,
+    execution_log = null,
+    input = null,
+    workflow_snapshot = null,
+    checkpoint = null,
+    heartbeat_at = null,
+  } = executionData;
 
   const queryResult = await query(
-    `INSERT INTO workflow_executions (workflow_id, status, result, error, execution_log)
-     VALUES ($1, $2, $3, $4, $5)
+    `INSERT INTO workflow_executions
+       (workflow_id, status, result, error, execution_log, input, workflow_snapshot, checkpoint, heartbeat_at)
+     VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
      RETURNING *`,
-    [workflow_id, status, JSON.stringify(result), error, JSON.stringify(execution_log)]
+    [
+      workflow_id,
+      status,
+      JSON.stringify(result),
+      error,
+      JSON.stringify(execution_log),
+      JSON.stringify(input),
+      JSON.stringify(workflow_snapshot),
+      JSON.stringify(checkpoint),
+      heartbeat_at,
+    ]
   );
 
   return queryResult.rows[0];
@@ -147,7 +168,41 @@ export async function createExecution(executionData) {
  * Update a workflow execution
  */
 export async function updateExecution(id, updates) {
-  const { status, completed_at, result, error, execution_log, duration_ms } = updates;
+  const { fields, values } = executionAssignments(updates);
+  values.push(id);
+
+  const queryResult = await query(
+    `UPDATE workflow_executions SET ${fields.join(', ')} WHERE id = $${values.length} RETURNING *`,
+    values
+  );
+
+  return queryResult.rows[0];
+}
+
+/**
+ * Update a workflow execution only if it is in one of `statuses`, in a
+ * single statement, so concurrent callers cannot both claim it
+ * @returns {Promise<Object|null>} The updated execution, or null if its status did not match
+ */
+export async function updateExecutionIfStatus(id, statuses, updates) {
+  const { fields, values } = executionAssignments(updates);
+  values.push(id, statuses);
+
+  const queryResult = await query(
+    `UPDATE workflow_executions SET ${fields.join(', ')}
+     WHERE id = $${values.length - 1} AND status = ANY($${values.length})
+     RETURNING *`,
+    values
+  );
+
+  return queryResult.rows[0] || null;
+}
+
+/**
+ * SET clauses and parameters for the execution fields present in `updates`
+ */
+function executionAssignments(updates) {
+  const { status, completed_at, result, error, execution_log, duration_ms, checkpoint, heartbeat_at } = updates;
 
   const fields = [];
   const values = [];
@@ -177,15 +232,24 @@ export async function updateExecution(id, updates) {
     fields.push(`duration_ms = $${paramCount++}`);
     values.push(duration_ms);
   }
+  if (checkpoint !== undefined) {
+    fields.push(`checkpoint = $${paramCount++}`);
+    values.push(JSON.stringify(checkpoint));
+  }
+  if (heartbeat_at !== undefined) {
+    fields.push(`heartbeat_at = $${paramCount++}`);
+    values.push(heartbeat_at);
+  }
 
-  values.push(id);
-
-  const queryResult = await query(
-    `UPDATE workflow_executions SET ${fields.join(', ')} WHERE id = $${paramCount} RETURNING *`,
-    values
-  );
+  return { fields, values };
+}
 
-  return queryResult.rows[0];
+/**
+ * Get a single execution by ID (null if it does not exist)
+ */
+export async function getExecution(id) {
+  const result = await query('SELECT * FROM workflow_executions WHERE id = $1', [id]);
+  return result.rows[0] || null;
 }
 
 /**
@@ -200,13 +264,53 @@ export async function getExecutions(workflowId) {
   return result.rows;
 }
 
+/**
+ * Get executions in a given status, newest first
+ */
+export async function getExecutionsByStatus(status, limit = 50) {
+  const result = await query(
+    'SELECT * FROM workflow_executions WHERE status = $1 ORDER BY started_at DESC LIMIT $2',
+    [status, limit]
+  );
+
+  return result.rows;
+}
+
+/**
+ * Mark queued or running executions without a heartbeat since `staleBefore`
+ * as interrupted (their process died); returns the marked executions
+ */
+export async function markInterruptedExecutions(staleBefore) {
+  const result = await query(
+    `UPDATE workflow_executions
+     SET status = 'interrupted'
+     WHERE status IN ('queued', 'running')
+       AND COALESCE(heartbeat_at, started_at) < $1
+     RETURNING *`,
+    [staleBefore]
+  );
+
+  return result.rows;
+}
+
 /**
  * Search tutorial embeddings using vector similarity
+ * @param {Object} [filters] - Optional collection, category, tags (all must match) and metadata (containment)
  */
-export async function searchTutorials(queryEmbedding, matchThreshold = 0.7, matchCount = 5) {
+export async function searchTutorials(queryEmbedding, matchThreshold = 0.7, matchCount = 5, filters = {}) {
+  const { collection = null, category = null, tags = null, metadata = null } = filters;
+
   const result = await query(
-    'SELECT * FROM match_tutorial_embeddings($1::vector, $2, $3)',
-    [JSON.stringify(queryEmbedding), matchThreshold, matchCount]
+    'SELECT * FROM match_tutorial_embeddings($1::vector, $2, $3, $4, $5, $6, $7)',
+    [
+      JSON.stringify(queryEmbedding),
+      matchThreshold,
+      matchCount,
+      collection,
+      category,
+      tags,
+      metadata ? JSON.stringify(metadata) : null,
+    ]
   );
 
   return result.rows;
@@ -216,13 +320,13 @@ export async function searchTutorials(queryEmbedding, matchThreshold = 0.7, matc
  * Insert tutorial embedding
  */
 export async function insertTutorialEmbedding(content, embedding, metadata = {}) {
-  const { category = null, tags = [] } = metadata;
+  const { category = null, tags = [], collection = 'tutorials' } = metadata;
 
   const result = await query(
-    `INSERT INTO tutorial_embeddings (content, embedding, metadata, category, tags)
-     VALUES ($1, $2::vector, $3, $4, $5)
+    `INSERT INTO tutorial_embeddings (content, embedding, metadata, category, tags, collection)
+     VALUES ($1, $2::vector, $3, $4, $5, $6)
      RETURNING *`,
-    [content, JSON.stringify(embedding), JSON.stringify(metadata), category, tags]
+    [content, JSON.stringify(embedding), JSON.stringify(metadata), category, tags, collection]
   );
 
   return result.rows[0];
@@ -285,4 +389,48 @@ export async function upsertConnector(connectorData) {
   return result.rows[0];
 }
 
+/**
+ * Get a user's encrypted secrets (user_id NULL holds shared secrets)
+ */
+export async function getSecrets(userId = null) {
+  const result = await query(
+    'SELECT * FROM secrets WHERE user_id IS NOT DISTINCT FROM $1 ORDER BY name',
+    [userId]
+  );
+
+  return result.rows;
+}
+
+/**
+ * Upsert an encrypted secret
+ */
+export async function upsertSecret(secretData) {
+  const { user_id = null, name, encrypted_value } = secretData;
+
+  const result = await query(
+    `INSERT INTO secrets (user_id, name, encrypted_value)
+     VALUES ($1, $2, $3)
+     ON CONFLICT (user_id, name) DO UPDATE SET
+       encrypted_value = EXCLUDED.encrypted_value,
+       updated_at = NOW()
+     RETURNING *`,
+    [user_id, name, encrypted_value]
+  );
+
+  return result.rows[0];
+}
+
+/**
+ * Delete a secret
+ * @returns {Promise<boolean>} Whether a secret was deleted
+ */
+export async function deleteSecret(userId, name) {
+  const result = await query(
+    'DELETE FROM secrets WHERE user_id IS NOT DISTINCT FROM $1 AND name = $2',
+    [userId, name]
+  );
+
+  return result.rowCount > 0;
+}
+
 export default pool;
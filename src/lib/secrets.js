@@ -0,0 +1,182 @@
+/**
+ * Secrets Vault
+ *
+ * Stores API keys and tokens encrypted at rest (AES-256-GCM with
+ * SECRETS_ENCRYPTION_KEY) in the `secrets` table, per user. Workflow steps
+ * and connector configs reference them as `{{secrets.NAME}}`; values are
+ * only decrypted when a workflow runs, and a redactor built from them
+ * masks any value that shows up in outputs, errors or logs.
+ */
+
+import crypto from 'crypto';
+import { getSecrets, upsertSecret, deleteSecret } from '@/lib/db';
+import { invalid } from '@/lib/workflow/util';
+
+const ALGORITHM = 'aes-256-gcm';
+const FORMAT_VERSION = 'v1';
+const NAME_PATTERN = /^[A-Za-z_][A-Za-z0-9_]*$/;
+const REFERENCE_PATTERN = /\{\{\s*secrets\.([A-Za-z_][A-Za-z0-9_]*)/g;
+
+export const REDACTED = '[REDACTED]';
+
+// Shorter values are not redacted: masking every "1" or "id" would garble outputs
+const MIN_REDACTED_LENGTH = 4;
+
+/**
+ * Whether a string can be used as a secret name (`{{secrets.NAME}}`)
+ */
+export function isValidSecretName(name) {
+  return typeof name === 'string' && NAME_PATTERN.test(name);
+}
+
+/**
+ * List a user's secrets (names and dates only, never values)
+ * @param {string|null} userId - Owner; null for shared secrets
+ * @returns {Promise<Array<{name: string, created_at: string, updated_at: string}>>}
+ */
+export async function listSecrets(userId = null) {
+  const rows = await getSecrets(userId);
+  return rows.map(({ name, created_at, updated_at }) => ({ name, created_at, updated_at }));
+}
+
+/**
+ * Encrypt and store a secret, replacing any secret with the same name
+ * @returns {Promise<{name: string, created_at: string, updated_at: string}>}
+ */
+export async function saveSecret(userId, name, value) {
+  if (!isValidSecretName(name)) {
+    throw invalid('Secret names start with a letter or underscore and contain only letters, digits and underscores');
+  }
+  if (typeof value !== 'string' || value === '') {
+    throw invalid('Secret value must be a non-empty string');
+  }
+
+  const row = await upsertSecret({
+    user_id: userId || null,
+    name,
+    encrypted_value: encryptSecret(value, { userId, name }),
+  });
+  return { name: row.name, created_at: row.created_at, updated_at: row.updated_at };
+}
+
+/**
+ * Delete a secret
+ * @returns {Promise<boolean>} Whether it existed
+ */
+export async function removeSecret(userId, name) {
+  return deleteSecret(userId || null, name);
+}
+
+/**
+ * Decrypt a user's secrets for a workflow run
+ * @returns {Promise<Object<string, string>>} Values by name
+ */
+export async function loadSecrets(userId = null) {
+  const rows = await getSecrets(userId || null);
+  const secrets = {};
+  for (const row of rows) {
+    secrets[row.name] = decryptSecret(row.encrypted_value, { userId: row.user_id, name: row.name });
+  }
+  return secrets;
+}
+
+/**
+ * Encrypt a value, bound to its owner and name so it cannot be moved to another row
+ * @returns {string} `v1:<iv>:<auth tag>:<ciphertext>`, each part base64
+ */
+export function encryptSecret(value, { userId, name }) {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv(ALGORITHM, getEncryptionKey(), iv);
+  cipher.setAAD(Buffer.from(`${userId || ''}:${name}`));
+  const ciphertext = Buffer.concat([cipher.update(value, 'utf8'), cipher.final()]);
+
+  return [FORMAT_VERSION, iv, cipher.getAuthTag(), ciphertext]
+    .map(part => (Buffer.isBuffer(part) ? part.toString('base64') : part))
+    .join(':');
+}
+
+/**
+ * Decrypt a value produced by encryptSecret
+ */
+export function decryptSecret(encrypted, { userId, name }) {
+  const [version, iv, tag, ciphertext] = String(encrypted).split(':');
+  if (version !== FORMAT_VERSION || !ciphertext) {
+    throw new Error(`Secret ${name} is not in a recognized encrypted format`);
+  }
+
+  try {
+    const decipher = crypto.createDecipheriv(ALGORITHM, getEncryptionKey(), Buffer.from(iv, 'base64'));
+    decipher.setAAD(Buffer.from(`${userId || ''}:${name}`));
+    decipher.setAuthTag(Buffer.from(tag, 'base64'));
+    return Buffer.concat([decipher.update(Buffer.from(ciphertext, 'base64')), decipher.final()]).toString('utf8');
+  } catch {
+    throw new Error(`Secret ${name} could not be decrypted; was SECRETS_ENCRYPTION_KEY changed?`);
+  }
+}
+
+/**
+ * Names of the secrets referenced by `{{secrets.NAME}}` placeholders in a value
+ * @param {*} value - String, array or object (searched recursively)
+ * @returns {string[]}
+ */
+export function findSecretReferences(value) {
+  const names = new Set();
+  const visit = (item) => {
+    if (typeof item === 'string') {
+      for (const match of item.matchAll(REFERENCE_PATTERN)) names.add(match[1]);
+    } else if (Array.isArray(item)) {
+      item.forEach(visit);
+    } else if (item && typeof item === 'object') {
+      Object.values(item).forEach(visit);
+    }
+  };
+  visit(value);
+  return [...names];
+}
+
+/**
+ * Build a function that replaces secret values with [REDACTED]
+ *
+ * Strings are searched recursively through arrays and objects; the raw and
+ * URL-encoded forms of each value are masked.
+ * @param {Object<string, string>} [secrets] - Values by name
+ * @returns {Function} redact(value) returning a redacted copy
+ */
+export function createRedactor(secrets = {}) {
+  const needles = [...new Set(
+    Object.values(secrets)
+      .filter(value => typeof value === 'string' && value.length >= MIN_REDACTED_LENGTH)
+      .flatMap(value => [value, encodeURIComponent(value)])
+  )].sort((a, b) => b.length - a.length);
+
+  const redact = (value) => {
+    if (needles.length === 0) return value;
+    if (typeof value === 'string') {
+      return needles.reduce((text, needle) => text.split(needle).join(REDACTED), value);
+    }
+    if (Array.isArray(value)) return value.map(redact);
+    if (value && typeof value === 'object' && !(value instanceof Date)) {
+      return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, redact(item)]));
+    }
+    return value;
+  };
+  return redact;
+}
+
+/**
+ * The 32-byte key from SECRETS_ENCRYPTION_KEY (base64 or hex)
+ */
+function getEncryptionKey() {
+  const configured = process.env.SECRETS_ENCRYPTION_KEY;
+  if (!configured) {
+    throw invalid('SECRETS_ENCRYPTION_KEY is not set; generate one with `openssl rand -base64 32`');
+  }
+
+  const key = /^[0-9a-f]{64}$/i.test(configured)
+    ? Buffer.from(configured, 'hex')
+    : Buffer.from(configured, 'base64');
+  if (key.length !== 32) {
+    throw invalid('SECRETS_ENCRYPTION_KEY must be 32 bytes, base64 or hex encoded');
+  }
+  return key;
+}
@@ -2,6 +2,7 @@
 import { TwitterClient } from './twitter-client.js';
 import { RedditClient } from './reddit-client.js';
 import { LinkedInClient } from './linkedin-client.js';
+import { sendEmail } from '../email/index.js';
 
 export class OutreachAutomation {
   constructor(dbPool) {
@@ -67,7 +68,7 @@ export class OutreachAutomation {
           sendResult = await this.sendDirectMessage(message, credentials);
           break;
         case 'email':
-          sendResult = await this.sendEmail(message);
+          sendResult = await this.sendEmail(message, credentials);
           break;
         default:
           throw new Error(`Unknown channel type: ${channel.type}`);
@@ -175,11 +176,28 @@ export class OutreachAutomation {
   }
 
   /**
-   * Send an email (requires email integration)
+   * Send an email through the shared email service
+   *
+   * The recipient comes from the channel (`{ type: 'email', to, subject }`)
+   * or the mention metadata. An active 'email' platform credential
+   * (`{ transport, api_key, from_email, ... }`) overrides the server's
+   * email settings.
    */
-  async sendEmail(message) {
-    // This would integrate with your email system (SendGrid, etc.)
-    throw new Error('Email outreach not yet implemented');
+  async sendEmail(message, credentials = {}) {
+    const to = message.channel.to || message.metadata?.email;
+    if (!to) {
+      throw new Error('No email address for this mention');
+    }
+
+    return await sendEmail({
+      to,
+      subject: message.channel.subject || `Re: your ${message.platform} post`,
+      text: message.message_content,
+      template_data: {
+        author_username: message.author_username,
+        platform: message.platform,
+      },
+    }, { config: credentials.email || {} });
   }
 
   /**
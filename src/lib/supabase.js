@@ -118,6 +118,38 @@ export async function updateExecution(id, updates) {
   return data;
 }
 
+/**
+ * Update a workflow execution only if it is in one of `statuses`, in a
+ * single statement, so concurrent callers cannot both claim it
+ * @returns {Promise<Object|null>} The updated execution, or null if its status did not match
+ */
+export async function updateExecutionIfStatus(id, statuses, updates) {
+  const { data, error } = await supabase
+    .from('workflow_executions')
+    .update(updates)
+    .eq('id', id)
+    .in('status', statuses)
+    .select()
+    .maybeSingle();
+
+  if (error) throw error;
+  return data;
+}
+
+/**
+ * Get a single execution by ID (null if it does not exist)
+ */
+export async function getExecution(id) {
+  const { data, error } = await supabase
+    .from('workflow_executions')
+    .select('*')
+    .eq('id', id)
+    .maybeSingle();
+
+  if (error) throw error;
+  return data;
+}
+
 /**
  * Get executions for a workflow
  */
@@ -132,14 +164,50 @@ export async function getExecutions(workflowId) {
   return data;
 }
 
+/**
+ * Get executions in a given status, newest first
+ */
+export async function getExecutionsByStatus(status, limit = 50) {
+  const { data, error } = await supabase
+    .from('workflow_executions')
+    .select('*')
+    .eq('status', status)
+    .order('started_at', { ascending: false })
+    .limit(limit);
+
+  if (error) throw error;
+  return data;
+}
+
+/**
+ * Mark queued or running executions without a heartbeat since `staleBefore`
+ * as interrupted (their process died); returns the marked executions
+ */
+export async function markInterruptedExecutions(staleBefore) {
+  const { data, error } = await supabase
+    .from('workflow_executions')
+    .update({ status: 'interrupted' })
+    .in('status', ['queued', 'running'])
+    .or(`heartbeat_at.lt.${staleBefore},and(heartbeat_at.is.null,started_at.lt.${staleBefore})`)
+    .select();
+
+  if (error) throw error;
+  return data;
+}
+
 /**
  * Search tutorial embeddings using vector similarity
+ * @param {Object} [filters] - Optional collection, category, tags (all must match) and metadata (containment)
  */
-export async function searchTutorials(queryEmbedding, matchThreshold = 0.7, matchCount = 5) {
+export async function searchTutorials(queryEmbedding, matchThreshold = 0.7, matchCount = 5, filters = {}) {
   const { data, error } = await supabase.rpc('match_tutorial_embeddings', {
     query_embedding: queryEmbedding,
     match_threshold: matchThreshold,
     match_count: matchCount,
+    filter_collection: filters.collection || null,
+    filter_category: filters.category || null,
+    filter_tags: filters.tags || null,
+    filter_metadata: filters.metadata || null,
   });
 
   if (error) throw error;
@@ -158,6 +226,7 @@ export async function insertTutorialEmbedding(content, embedding, metadata = {})
       metadata,
       category: metadata.category || null,
       tags: metadata.tags || [],
+      collection: metadata.collection || 'tutorials',
     }])
     .select()
     .single();
@@ -208,4 +277,45 @@ export async function upsertConnector(connectorData) {
   return data;
 }
 
+/**
+ * Get a user's encrypted secrets (user_id NULL holds shared secrets)
+ */
+export async function getSecrets(userId = null) {
+  let query = supabase.from('secrets').select('*');
+  query = userId ? query.eq('user_id', userId) : query.is('user_id', null);
+
+  const { data, error } = await query.order('name');
+
+  if (error) throw error;
+  return data;
+}
+
+/**
+ * Upsert an encrypted secret
+ */
+export async function upsertSecret(secretData) {
+  const { data, error } = await supabase
+    .from('secrets')
+    .upsert([{ user_id: null, ...secretData }], { onConflict: 'user_id,name' })
+    .select()
+    .single();
+
+  if (error) throw error;
+  return data;
+}
+
+/**
+ * Delete a secret
+ * @returns {Promise<boolean>} Whether a secret was deleted
+ */
+export async function deleteSecret(userId, name) {
+  let query = supabase.from('secrets').delete().eq('name', name);
+  query = userId ? query.eq('user_id', userId) : query.is('user_id', null);
+
+  const { data, error } = await query.select();
+
+  if (error) throw error;
+  return data.length > 0;
+}
+
 export default supabase;
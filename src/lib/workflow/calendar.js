@@ -0,0 +1,434 @@
+/**
+ * Calendar Events
+ *
+ * Builds RFC 5545 iCalendar (.ics) events for calendar_event steps, with
+ * IANA time zones (emitted as VTIMEZONE components), attendees, recurrence
+ * rules and reminders, and optionally stores them on a CalDAV server
+ * configured as a `caldav` connector.
+ */
+
+import axios from 'axios';
+import crypto from 'crypto';
+import { parseAddress } from '@/lib/email/address';
+import { getConnectorConfig } from './connectors';
+import { invalid } from './util';
+
+const PRODUCT_ID = '-//Workflow Autopilot//Workflows//EN';
+const RECURRENCE_FREQUENCIES = ['SECONDLY', 'MINUTELY', 'HOURLY', 'DAILY', 'WEEKLY', 'MONTHLY', 'YEARLY'];
+const WEEKDAYS = ['MO', 'TU', 'WE', 'TH', 'FR', 'SA', 'SU'];
+const EVENT_STATUSES = ['TENTATIVE', 'CONFIRMED', 'CANCELLED'];
+const DATE_TIME_PATTERN = /^(\d{4})-(\d{2})-(\d{2})(?:[T ](\d{2}):(\d{2})(?::(\d{2}))?(?:\.\d+)?)?(Z|[+-]\d{2}:?\d{2})?$/;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Create an event from a calendar_event step input
+ *
+ * Times are ISO 8601. With `timezone` (an IANA name such as
+ * 'Europe/Paris') the event keeps that zone; times without an offset are
+ * read as wall-clock time there. Without it, times are stored in UTC.
+ * All-day events (`all_day`, or a date-only start_time) span start_time
+ * through end_time inclusive.
+ * Setting `connector` (or `push: true`) also PUTs the event to CalDAV.
+ *
+ * @param {Object} input - calendar_event step input
+ * @param {AbortSignal} [signal]
+ * @param {Object} [options]
+ * @param {Object} [options.secrets] - Vault secrets referenced by the connector config
+ * @returns {Promise<{success: boolean, event_id: string, ics: string, filename: string, caldav?: Object}>}
+ */
+export async function createCalendarEvent(input, signal, { secrets } = {}) {
+  const { uid, ics } = buildICalendar(input);
+  const result = { success: true, event_id: uid, ics, filename: `${uid.split('@')[0]}.ics` };
+
+  if (input.connector || input.push) {
+    result.caldav = await putCalDavEvent(uid, ics, input.connector, signal, secrets);
+  }
+
+  return result;
+}
+
+/**
+ * Build a VCALENDAR containing one VEVENT
+ * @returns {{uid: string, ics: string}}
+ */
+export function buildICalendar(input) {
+  if (!input.title) {
+    throw invalid('calendar_event needs a title');
+  }
+
+  const timezone = input.timezone ? validateTimezone(input.timezone) : null;
+  const allDay = Boolean(input.all_day) || /^\d{4}-\d{2}-\d{2}$/.test(input.start_time || '');
+  const start = parseDateTime(input.start_time, 'start_time', timezone);
+  const end = resolveEnd(input, start, timezone, allDay);
+  if (allDay ? end.utc < start.utc : end.utc <= start.utc) {
+    throw invalid('calendar_event end_time must be after start_time');
+  }
+
+  const uid = input.uid ? singleLine(input.uid, 'uid') : `${crypto.randomUUID()}@workflow-autopilot`;
+  const event = [
+    'BEGIN:VEVENT',
+    `UID:${escapeText(uid)}`,
+    `DTSTAMP:${formatUtc(Date.now())}`,
+    ...(allDay
+      ? [`DTSTART;VALUE=DATE:${formatDate(start.wall)}`, `DTEND;VALUE=DATE:${formatDate(allDayEnd(start, end))}`]
+      : [formatDateTimeProperty('DTSTART', start, timezone), formatDateTimeProperty('DTEND', end, timezone)]),
+    `SUMMARY:${escapeText(input.title)}`,
+  ];
+
+  if (input.description) event.push(`DESCRIPTION:${escapeText(input.description)}`);
+  if (input.location) event.push(`LOCATION:${escapeText(input.location)}`);
+  if (input.url) event.push(`URL:${singleLine(input.url, 'url')}`);
+  if (input.organizer) event.push(formatPerson('ORGANIZER', input.organizer));
+  for (const attendee of input.attendees || []) {
+    event.push(formatPerson('ATTENDEE', attendee));
+  }
+  if (input.recurrence) event.push(`RRULE:${formatRecurrence(input.recurrence, allDay, timezone)}`);
+  event.push(`STATUS:${formatStatus(input.status)}`, 'SEQUENCE:0');
+
+  for (const minutes of [].concat(input.reminders || [])) {
+    event.push('BEGIN:VALARM', 'ACTION:DISPLAY', `DESCRIPTION:${escapeText(input.title)}`, `TRIGGER:-PT${Math.max(0, parseInt(minutes, 10) || 0)}M`, 'END:VALARM');
+  }
+  event.push('END:VEVENT');
+
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    `PRODID:${PRODUCT_ID}`,
+    'CALSCALE:GREGORIAN',
+    ...(timezone && !allDay ? buildTimezone(timezone, start.utc) : []),
+    ...event,
+    'END:VCALENDAR',
+  ];
+
+  return { uid, ics: lines.map(foldLine).join('\r\n') + '\r\n' };
+}
+
+/**
+ * Store an event on the CalDAV calendar from a `caldav` connector
+ */
+async function putCalDavEvent(uid, ics, connectorName, signal, secrets) {
+  const config = await getConnectorConfig('caldav', connectorName, secrets);
+  if (!config?.calendar_url) {
+    throw invalid('No CalDAV calendar: save a caldav connector with a calendar_url');
+  }
+
+  const url = `${config.calendar_url.replace(/\/?$/, '/')}${encodeURIComponent(uid)}.ics`;
+  const response = await axios.put(url, ics, {
+    headers: {
+      'Content-Type': 'text/calendar; charset=utf-8',
+      // Create only; never overwrite an existing event with the same UID
+      'If-None-Match': '*',
+    },
+    auth: config.username ? { username: config.username, password: config.password || '' } : undefined,
+    signal,
+  });
+
+  return { url, status: response.status, etag: response.headers.etag || null };
+}
+
+/**
+ * End from end_time or duration_minutes
+ */
+function resolveEnd(input, start, timezone, allDay) {
+  if (input.end_time) {
+    return parseDateTime(input.end_time, 'end_time', timezone);
+  }
+  if (input.duration_minutes !== undefined) {
+    const utc = start.utc + Number(input.duration_minutes) * 60000;
+    return { utc, wall: timezone ? toWallTime(utc, timezone) : toWallTime(utc, 'UTC') };
+  }
+  if (allDay) {
+    return start;
+  }
+  throw invalid('calendar_event needs end_time or duration_minutes');
+}
+
+/**
+ * Parse an ISO 8601 date or date-time
+ * @returns {{utc: number, wall: Object}} The instant and its wall-clock parts in the event zone
+ */
+function parseDateTime(value, field, timezone) {
+  const match = DATE_TIME_PATTERN.exec(String(value || '').trim());
+  if (!match) {
+    throw invalid(`calendar_event ${field} must be an ISO 8601 date or date-time, got "${value}"`);
+  }
+
+  const [, year, month, day, hour = '00', minute = '00', second = '00', offset] = match;
+  const wall = { year: +year, month: +month, day: +day, hour: +hour, minute: +minute, second: +second };
+
+  if (offset) {
+    const utc = Date.parse(value);
+    return { utc, wall: toWallTime(utc, timezone || 'UTC') };
+  }
+  return { utc: wallTimeToUtc(wall, timezone || 'UTC'), wall };
+}
+
+/**
+ * Exclusive DTEND for an all-day event; end_time is the last day of the event
+ */
+function allDayEnd(start, end) {
+  const last = end.utc > start.utc ? end.wall : start.wall;
+  const next = new Date(Date.UTC(last.year, last.month - 1, last.day) + DAY_MS);
+  return { year: next.getUTCFullYear(), month: next.getUTCMonth() + 1, day: next.getUTCDate() };
+}
+
+function formatDateTimeProperty(name, time, timezone) {
+  return timezone
+    ? `${name};TZID=${timezone}:${formatWall(time.wall)}`
+    : `${name}:${formatUtc(time.utc)}`;
+}
+
+/**
+ * ORGANIZER / ATTENDEE from "Name <email>", an email, or { email, name, role, rsvp }
+ */
+function formatPerson(property, person) {
+  const { email, name, role, rsvp = true } = typeof person === 'string' ? parseAddress(person) : person;
+  if (!email || !/^[^\s@]+@[^\s@]+$/.test(email)) {
+    throw invalid(`Invalid ${property.toLowerCase()} email: ${JSON.stringify(person)}`);
+  }
+
+  const participantRole = (role || 'req-participant').toUpperCase();
+  if (!/^[A-Z-]+$/.test(participantRole)) {
+    throw invalid(`Invalid attendee role: ${JSON.stringify(role)}`);
+  }
+
+  const params = name ? [`CN=${quoteParam(name)}`] : [];
+  if (property === 'ATTENDEE') {
+    params.push(`ROLE=${participantRole}`, 'PARTSTAT=NEEDS-ACTION', `RSVP=${rsvp ? 'TRUE' : 'FALSE'}`);
+  }
+  return `${[property, ...params].join(';')}:mailto:${email}`;
+}
+
+/**
+ * RRULE value from a string ("FREQ=WEEKLY;BYDAY=MO,WE") or an object
+ * ({ freq: 'weekly', interval: 2, by_day: ['MO'], count: 10, until: '2026-12-31' })
+ */
+function formatRecurrence(recurrence, allDay, timezone) {
+  if (typeof recurrence === 'string') {
+    const rule = recurrence.replace(/^RRULE:/i, '').trim().toUpperCase();
+    const frequency = /(?:^|;)FREQ=([A-Z]+)/.exec(rule)?.[1];
+    if (!RECURRENCE_FREQUENCIES.includes(frequency) || !/^[A-Z]+=[A-Z0-9,+:-]+(;[A-Z]+=[A-Z0-9,+:-]+)*$/.test(rule)) {
+      throw invalid(`Invalid recurrence rule: ${recurrence}`);
+    }
+    return rule;
+  }
+
+  const frequency = String(recurrence.freq || recurrence.frequency || '').toUpperCase();
+  if (!RECURRENCE_FREQUENCIES.includes(frequency)) {
+    throw invalid(`Invalid recurrence frequency "${recurrence.freq || recurrence.frequency}" (expected ${RECURRENCE_FREQUENCIES.join(', ').toLowerCase()})`);
+  }
+
+  const parts = [`FREQ=${frequency}`];
+  if (recurrence.interval) parts.push(`INTERVAL=${parseInt(recurrence.interval, 10)}`);
+  if (recurrence.count) parts.push(`COUNT=${parseInt(recurrence.count, 10)}`);
+  if (recurrence.until) {
+    // UNTIL is a date for all-day events and a UTC time otherwise; a bare
+    // date includes occurrences on that day
+    const dateOnly = /^\d{4}-\d{2}-\d{2}$/.test(recurrence.until);
+    const until = parseDateTime(dateOnly && !allDay ? `${recurrence.until}T23:59:59` : recurrence.until, 'recurrence.until', timezone);
+    parts.push(`UNTIL=${allDay ? formatDate(until.wall) : formatUtc(until.utc)}`);
+  }
+  if (recurrence.by_day) {
+    const days = [].concat(recurrence.by_day).map(day => String(day).toUpperCase());
+    if (!days.every(day => WEEKDAYS.includes(day.replace(/^[+-]?\d+/, '')))) {
+      throw invalid(`Invalid recurrence by_day: ${days.join(',')}`);
+    }
+    parts.push(`BYDAY=${days.join(',')}`);
+  }
+  if (recurrence.by_month_day) parts.push(`BYMONTHDAY=${formatIntegers(recurrence.by_month_day, 'by_month_day')}`);
+  if (recurrence.by_month) parts.push(`BYMONTH=${formatIntegers(recurrence.by_month, 'by_month')}`);
+
+  return parts.join(';');
+}
+
+/**
+ * VTIMEZONE for an IANA zone, listing the offset transitions from the
+ * start of the event's year through the following year
+ */
+function buildTimezone(timezone, aroundUtc) {
+  const year = new Date(aroundUtc).getUTCFullYear();
+  const rangeStart = wallTimeToUtc({ year, month: 1, day: 1, hour: 0, minute: 0, second: 0 }, timezone);
+  const rangeEnd = Date.UTC(year + 2, 0, 1);
+
+  const transitions = [];
+  let previous = getOffsetMinutes(timezone, rangeStart);
+  for (let time = rangeStart + DAY_MS; time <= rangeEnd; time += DAY_MS) {
+    const offset = getOffsetMinutes(timezone, time);
+    if (offset !== previous) {
+      transitions.push({ utc: findTransition(timezone, time - DAY_MS, time), from: previous, to: offset });
+      previous = offset;
+    }
+  }
+
+  const initialOffset = getOffsetMinutes(timezone, rangeStart);
+  const standardOffset = Math.min(initialOffset, ...transitions.map(transition => transition.to));
+  const observances = [
+    { utc: rangeStart, from: initialOffset, to: initialOffset },
+    ...transitions,
+  ].map(({ utc, from, to }) => {
+    const type = to > standardOffset ? 'DAYLIGHT' : 'STANDARD';
+    return [
+      `BEGIN:${type}`,
+      `DTSTART:${formatWall(toWallTime(utc + from * 60000, 'UTC'))}`,
+      `TZOFFSETFROM:${formatOffset(from)}`,
+      `TZOFFSETTO:${formatOffset(to)}`,
+      `END:${type}`,
+    ];
+  });
+
+  return ['BEGIN:VTIMEZONE', `TZID:${timezone}`, ...observances.flat(), 'END:VTIMEZONE'];
+}
+
+/**
+ * Narrow an offset change down to the minute
+ */
+function findTransition(timezone, before, after) {
+  const offsetBefore = getOffsetMinutes(timezone, before);
+  while (after - before > 60000) {
+    const middle = before + Math.floor((after - before) / 120000) * 60000;
+    if (getOffsetMinutes(timezone, middle) === offsetBefore) {
+      before = middle;
+    } else {
+      after = middle;
+    }
+  }
+  return after;
+}
+
+function validateTimezone(timezone) {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+    return timezone;
+  } catch (error) {
+    throw invalid(`Unknown time zone: ${timezone}`);
+  }
+}
+
+/**
+ * Wall-clock parts of an instant in a time zone
+ */
+function toWallTime(utc, timezone) {
+  const parts = Object.fromEntries(new Intl.DateTimeFormat('en-US', {
+    timeZone: timezone,
+    hourCycle: 'h23',
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit',
+    second: '2-digit',
+  }).formatToParts(new Date(utc)).map(part => [part.type, part.value]));
+
+  return {
+    year: +parts.year,
+    month: +parts.month,
+    day: +parts.day,
+    hour: +parts.hour,
+    minute: +parts.minute,
+    second: +parts.second,
+  };
+}
+
+function getOffsetMinutes(timezone, utc) {
+  const wall = toWallTime(utc, timezone);
+  const asUtc = Date.UTC(wall.year, wall.month - 1, wall.day, wall.hour, wall.minute, wall.second);
+  return Math.round((asUtc - Math.floor(utc / 1000) * 1000) / 60000);
+}
+
+/**
+ * The instant a wall-clock time in a zone refers to
+ */
+function wallTimeToUtc(wall, timezone) {
+  const asUtc = Date.UTC(wall.year, wall.month - 1, wall.day, wall.hour, wall.minute, wall.second);
+  const guess = asUtc - getOffsetMinutes(timezone, asUtc) * 60000;
+  return asUtc - getOffsetMinutes(timezone, guess) * 60000;
+}
+
+function pad(value, length = 2) {
+  return String(value).padStart(length, '0');
+}
+
+function formatDate(wall) {
+  return `${pad(wall.year, 4)}${pad(wall.month)}${pad(wall.day)}`;
+}
+
+function formatWall(wall) {
+  return `${formatDate(wall)}T${pad(wall.hour)}${pad(wall.minute)}${pad(wall.second)}`;
+}
+
+function formatUtc(utc) {
+  return `${formatWall(toWallTime(utc, 'UTC'))}Z`;
+}
+
+function formatOffset(minutes) {
+  const sign = minutes < 0 ? '-' : '+';
+  const absolute = Math.abs(minutes);
+  return `${sign}${pad(Math.floor(absolute / 60))}${pad(absolute % 60)}`;
+}
+
+function escapeText(text) {
+  return String(text)
+    .replace(/\\/g, '\\\\')
+    .replace(/;/g, '\\;')
+    .replace(/,/g, '\\,')
+    .replace(/\r\n|\r|\n/g, '\\n');
+}
+
+/**
+ * A value written as-is (URL, UID), which must not contain line breaks or
+ * other control characters that would start a new content line
+ */
+function singleLine(value, field) {
+  const text = String(value);
+  // eslint-disable-next-line no-control-regex
+  if (/[\x00-\x1f\x7f]/.test(text)) {
+    throw invalid(`calendar_event ${field} must not contain line breaks or control characters`);
+  }
+  return text;
+}
+
+function formatStatus(status) {
+  const value = String(status || 'confirmed').toUpperCase();
+  if (!EVENT_STATUSES.includes(value)) {
+    throw invalid(`Invalid calendar_event status "${status}" (expected ${EVENT_STATUSES.join(', ').toLowerCase()})`);
+  }
+  return value;
+}
+
+function formatIntegers(values, field) {
+  const numbers = [].concat(values).map(value => Number(value));
+  if (!numbers.every(Number.isInteger)) {
+    throw invalid(`Invalid recurrence ${field}: ${[].concat(values).join(',')}`);
+  }
+  return numbers.join(',');
+}
+
+function quoteParam(value) {
+  // eslint-disable-next-line no-control-regex
+  const clean = String(value).replace(/["\x00-\x1f\x7f]/g, '');
+  return /[;:,]/.test(clean) ? `"${clean}"` : clean;
+}
+
+/**
+ * Fold content lines longer than 75 octets (RFC 5545 section 3.1)
+ */
+function foldLine(line) {
+  const chunks = [];
+  let current = '';
+  let currentBytes = 0;
+
+  for (const char of line) {
+    const bytes = Buffer.byteLength(char);
+    const limit = chunks.length === 0 ? 75 : 74;
+    if (currentBytes + bytes > limit) {
+      chunks.push(current);
+      current = '';
+      currentBytes = 0;
+    }
+    current += char;
+    currentBytes += bytes;
+  }
+  chunks.push(current);
+
+  return chunks.join('\r\n ');
+}
@@ -0,0 +1,220 @@
+/**
+ * JavaScript Code Sandbox
+ *
+ * Runs execute_code snippets in a worker thread with heap limits, inside a
+ * fresh VM context that has no require, process, timers, filesystem or
+ * network, and cannot compile code from strings (eval / new Function).
+ *
+ * Only primitives cross into the sandbox (the input as JSON, the code as
+ * source) and the outcome leaves it as a JSON string, so sandboxed code
+ * never holds a reference to a host object. The main thread terminates the
+ * worker on timeout or abort, which also stops runaway async code.
+ */
+
+import { Worker } from 'worker_threads';
+
+const DEFAULT_TIMEOUT_MS = 30000;
+const MAX_TIMEOUT_MS = 120000;
+const DEFAULT_MEMORY_LIMIT_MB = 64;
+const MAX_MEMORY_LIMIT_MB = 256;
+const MAX_OUTPUT_LENGTH = 100000;
+
+// Runs inside the worker (CommonJS, evaluated from this string so bundlers
+// leave it alone)
+const WORKER_SOURCE = `
+const { parentPort, workerData } = require('worker_threads');
+const vm = require('vm');
+
+const { code, inputJson, timeout } = workerData;
+
+const context = vm.createContext(Object.create(null), {
+  name: 'execute_code',
+  codeGeneration: { strings: false, wasm: false },
+});
+
+// The state lives in a closure the snippet cannot reach, and it is
+// serialized with the JSON.stringify captured before the snippet runs.
+// The prelude evaluates to the functions the worker calls afterwards.
+const prelude = [
+  '(() => {',
+  '  const stringify = JSON.stringify;',
+  '  const state = { stdout: [], stderr: [], done: false, error: null, result: undefined };',
+  '  const format = (value) => {',
+  '    if (typeof value === "string") return value;',
+  '    try { return stringify(value); } catch (e) { return String(value); }',
+  '  };',
+  '  const write = (stream) => (...args) => { const lines = state[stream]; lines[lines.length] = args.map(format).join(" "); };',
+  '  const console = { log: write("stdout"), info: write("stdout"), debug: write("stdout"), warn: write("stderr"), error: write("stderr") };',
+  '  const run = (fn) => {',
+  '    Promise.resolve()',
+  '      .then(() => fn(JSON.parse(' + JSON.stringify(inputJson) + '), console))',
+  '      .then(',
+  '        (value) => { state.result = value === undefined ? null : value; state.done = true; },',
+  '        (error) => { state.error = error && error.stack ? String(error.stack) : String(error); state.done = true; }',
+  '      );',
+  '  };',
+  '  const isDone = () => state.done === true;',
+  '  const serialize = () => stringify(state, (key, value) => (typeof value === "bigint" ? String(value) : value));',
+  '  return { run, isDone, serialize };',
+  '})()',
+].join('\\n');
+
+try {
+  const sandbox = vm.runInContext(prelude, context);
+  const snippet = vm.runInContext('(async function (input, console) {\\n' + code + '\\n})', context, {
+    filename: 'execute_code.js',
+    lineOffset: -1,
+    timeout,
+  });
+  sandbox.run(snippet);
+
+  // The sandbox has no timers or I/O, so once the microtask queue drains
+  // the snippet has either settled or never will
+  setImmediate(() => {
+    try {
+      if (sandbox.isDone()) {
+        parentPort.postMessage({ state: sandbox.serialize() });
+      } else {
+        parentPort.postMessage({ error: 'Error: the code awaited a promise that never settles' });
+      }
+    } catch (error) {
+      parentPort.postMessage({ error: String(error && error.stack || error) });
+    }
+  });
+} catch (error) {
+  parentPort.postMessage({ error: String(error && error.stack || error) });
+}
+`;
+
+/**
+ * Run a JavaScript snippet in the sandbox
+ *
+ * The snippet is the body of an async function: `input` and a `console`
+ * (captured to stdout / stderr) are in scope, and its `return` value
+ * becomes `result`. An uncaught exception gives exit_code 1 with the error
+ * on stderr; exceeding the time or memory limit rejects.
+ *
+ * @param {string} code - Function body
+ * @param {Object} [options]
+ * @param {*} [options.input] - JSON-serializable value bound as `input`
+ * @param {number} [options.timeout] - Wall-clock limit in ms
+ * @param {number} [options.memoryLimitMb] - Heap limit in MB
+ * @param {AbortSignal} [options.signal] - Terminates the run when aborted
+ * @returns {Promise<{stdout: string, stderr: string, exit_code: number, execution_time: number, result: *}>}
+ */
+export function runJavaScript(code, { input = null, timeout, memoryLimitMb, signal } = {}) {
+  if (typeof code !== 'string' || code.trim() === '') {
+    return Promise.reject(new Error('execute_code requires code'));
+  }
+
+  const timeoutMs = clamp(timeout, DEFAULT_TIMEOUT_MS, MAX_TIMEOUT_MS);
+  const memoryMb = clamp(memoryLimitMb, DEFAULT_MEMORY_LIMIT_MB, MAX_MEMORY_LIMIT_MB);
+  const startTime = Date.now();
+
+  return new Promise((resolve, reject) => {
+    const worker = new Worker(WORKER_SOURCE, {
+      eval: true,
+      env: {},
+      stdout: true,
+      stderr: true,
+      workerData: { code, inputJson: JSON.stringify(input ?? null), timeout: timeoutMs },
+      resourceLimits: {
+        maxOldGenerationSizeMb: memoryMb,
+        maxYoungGenerationSizeMb: Math.max(4, Math.round(memoryMb / 8)),
+        stackSizeMb: 4,
+      },
+    });
+
+    let settled = false;
+    const settle = (callback, value) => {
+      if (settled) return;
+      settled = true;
+      clearTimeout(timer);
+      signal?.removeEventListener('abort', onAbort);
+      worker.terminate();
+      callback(value);
+    };
+
+    const onAbort = () => settle(reject, signal.reason);
+    const timer = setTimeout(() => {
+      settle(reject, new Error(`Code execution timed out after ${timeoutMs}ms`));
+    }, timeoutMs);
+    if (signal?.aborted) onAbort();
+    signal?.addEventListener('abort', onAbort, { once: true });
+
+    worker.on('message', (message) => {
+      const executionTime = Date.now() - startTime;
+
+      // Syntax errors and synchronous timeouts surface here
+      if (message.error) {
+        if (/Script execution timed out/.test(message.error)) {
+          settle(reject, new Error(`Code execution timed out after ${timeoutMs}ms`));
+          return;
+        }
+        settle(resolve, { stdout: '', stderr: cleanStack(message.error), exit_code: 1, execution_time: executionTime, result: null });
+        return;
+      }
+
+      // The state is built from values the snippet returned, so check it
+      // before trusting its shape
+      let state;
+      try {
+        state = JSON.parse(message.state);
+      } catch {
+        state = null;
+      }
+      if (!isValidState(state)) {
+        settle(reject, new Error('Code execution returned a malformed result'));
+        return;
+      }
+
+      const stderr = [...state.stderr, ...(state.error ? [cleanStack(state.error)] : [])];
+      settle(resolve, {
+        stdout: truncate(state.stdout.join('\n')),
+        stderr: truncate(stderr.join('\n')),
+        exit_code: state.error ? 1 : 0,
+        execution_time: executionTime,
+        result: state.error ? null : state.result,
+      });
+    });
+
+    worker.on('error', (error) => {
+      if (error.code === 'ERR_WORKER_OUT_OF_MEMORY') {
+        settle(reject, new Error(`Code execution exceeded the ${memoryMb}MB memory limit`));
+        return;
+      }
+      settle(reject, error);
+    });
+
+    worker.on('exit', () => {
+      settle(reject, new Error('Code execution stopped unexpectedly'));
+    });
+  });
+}
+
+function isValidState(state) {
+  const isLines = (lines) => Array.isArray(lines) && lines.every(line => typeof line === 'string');
+  return Boolean(state) && typeof state === 'object' &&
+    isLines(state.stdout) && isLines(state.stderr) &&
+    (state.error === null || typeof state.error === 'string');
+}
+
+function clamp(value, fallback, max) {
+  const parsed = parseInt(value, 10);
+  if (!Number.isFinite(parsed) || parsed <= 0) return fallback;
+  return Math.min(parsed, max);
+}
+
+/**
+ * Drop sandbox and Node internals from a stack trace, keeping the snippet's frames
+ */
+function cleanStack(stack) {
+  return stack
+    .split('\n')
+    .filter(line => !/^\s+at /.test(line) || line.includes('execute_code.js'))
+    .join('\n');
+}
+
+function truncate(text) {
+  return text.length > MAX_OUTPUT_LENGTH ? `${text.slice(0, MAX_OUTPUT_LENGTH)}\n[output truncated]` : text;
+}
@@ -0,0 +1,276 @@
+/**
+ * Connector Actions
+ *
+ * Runs `connector.action` steps (e.g. `github.create_issue`) from the
+ * declarative HTTP templates in CONNECTORS_LIBRARY.json, so a connector
+ * action needs no bespoke code:
+ *
+ * - `connector.http`: `base_url`, `auth`, default `headers`, `body_type`
+ *   and, for APIs that answer 200 with an error flag, `response`
+ * - `action.request`: `method`, `path`, `query`, `headers`, `body`
+ * - `action.defaults`: input values filled from the connector config
+ * - `action.input_schema`: the action's input, validated once defaults are applied
+ *
+ * Templates use the workflow placeholder syntax over `{ input, config }`.
+ * Query, header and body entries whose placeholder has no value are left
+ * out, so optional inputs can be omitted. Actions that map to an MCP tool
+ * (`action.tool`) run that tool instead.
+ *
+ * Auth types: `bearer` (token), `basic` (username, password), `header`
+ * (name, value) and `oauth2_refresh` (an access token from token_url for a
+ * client_id / client_secret / refresh_token, cached until it expires).
+ */
+
+import axios from 'axios';
+import fs from 'fs';
+import path from 'path';
+import { getConnectorConfig } from './connectors';
+import { formatSchemaErrors, validateSchema } from './schema';
+import { resolveTemplate } from './template';
+import { invalid } from './util';
+
+const connectorsPath = path.join(process.cwd(), 'public/config/CONNECTORS_LIBRARY.json');
+const connectorsLibrary = JSON.parse(fs.readFileSync(connectorsPath, 'utf-8'));
+
+const PLACEHOLDER_PATTERN = /\{\{[^{}]+\}\}/g;
+const WHOLE_PLACEHOLDER_PATTERN = /^\{\{[^{}]+\}\}$/;
+
+// Refresh a cached OAuth access token this long before it expires
+const TOKEN_EXPIRY_MARGIN_MS = 60 * 1000;
+const accessTokens = new Map();
+
+/**
+ * Look up a connector action by step tool name
+ * @param {string} toolName - `connector.action`, e.g. 'github.create_issue'
+ * @returns {{connector: Object, action: Object}|null}
+ */
+export function getConnectorAction(toolName) {
+  const [connectorId, actionId, ...rest] = String(toolName).split('.');
+  if (!actionId || rest.length > 0) return null;
+
+  const connector = connectorsLibrary.connectors.find(candidate => candidate.id === connectorId);
+  const action = connector?.actions.find(candidate => candidate.id === actionId);
+  return action ? { connector, action } : null;
+}
+
+/**
+ * Run a connector action's HTTP request
+ *
+ * @param {Object} connector - Connector from CONNECTORS_LIBRARY.json
+ * @param {Object} action - One of its actions, with a `request` template
+ * @param {Object} input - Step input; `input.connector` names a saved connector
+ * @param {AbortSignal} [signal]
+ * @param {Object} [options]
+ * @param {Object} [options.secrets] - Vault secrets referenced by the connector config
+ * @returns {Promise<{status: number, body: *}>}
+ */
+export async function runConnectorAction(connector, action, input, signal, { secrets } = {}) {
+  const label = `${connector.id}.${action.id}`;
+  if (!connector.http || !action.request) {
+    throw invalid(`Connector action ${label} has no request template`);
+  }
+
+  const { connector: connectorName, ...params } = input;
+  const config = await getConnectorConfig(connector.id, connectorName, secrets);
+  if (!config) {
+    throw invalid(`No ${connector.name} connector saved; add one to use ${label}`);
+  }
+
+  const missingConfig = (connector.config_schema?.required || []).filter(key => isBlank(config[key]));
+  if (missingConfig.length > 0) {
+    throw invalid(`${connector.name} connector is missing ${missingConfig.join(', ')}`);
+  }
+
+  const defaults = prune(resolveTemplate(action.defaults || {}, { config })) || {};
+  const inputCheck = validateSchema({ ...defaults, ...params }, action.input_schema, { applyDefaults: true, coerce: true });
+  if (inputCheck.errors.length > 0) {
+    const error = invalid(`Invalid input for ${label}: ${formatSchemaErrors(inputCheck.errors)}`);
+    error._validation = inputCheck.errors.map(error => ({ source: 'input', ...error }));
+    throw error;
+  }
+  const variables = { input: inputCheck.value, config };
+
+  const { http } = connector;
+  const { request } = action;
+  const baseUrl = config.base_url || resolveTemplate(http.base_url, variables);
+  const url = baseUrl.replace(/\/$/, '') + resolvePath(request.path || '', variables, label);
+  const bodyType = request.body_type || http.body_type || 'json';
+  const body = request.body === undefined ? undefined : prune(resolveTemplate(request.body, variables));
+
+  const headers = {
+    ...prune(resolveTemplate({ ...http.headers, ...request.headers }, variables)),
+    ...await getAuthHeaders(connector, variables, signal),
+  };
+  if (bodyType === 'form') {
+    headers['Content-Type'] = 'application/x-www-form-urlencoded';
+  }
+
+  let response;
+  try {
+    response = await axios({
+      url,
+      method: request.method || 'GET',
+      params: prune(resolveTemplate(request.query || {}, variables)),
+      headers,
+      data: bodyType === 'form' && body !== undefined ? encodeForm(body) : body,
+      signal,
+    });
+  } catch (error) {
+    throw describeError(error, connector);
+  }
+
+  const flag = http.response?.success_flag;
+  if (flag && response.data?.[flag] === false) {
+    const message = response.data[http.response.error_message] || 'request failed';
+    const error = new Error(`${connector.name} API error: ${message}`);
+    error.retryable = false;
+    throw error;
+  }
+
+  return { status: response.status, body: response.data };
+}
+
+/**
+ * Fill path placeholders with URL-encoded values
+ */
+function resolvePath(template, variables, label) {
+  const missing = [];
+  const resolved = template.replace(PLACEHOLDER_PATTERN, (placeholder) => {
+    const value = resolveTemplate(placeholder, variables);
+    if (value === placeholder || isBlank(value)) {
+      missing.push(placeholder);
+      return placeholder;
+    }
+    return encodeURIComponent(value);
+  });
+
+  if (missing.length > 0) {
+    throw invalid(`${label} is missing path values for ${missing.join(', ')}`);
+  }
+  return resolved;
+}
+
+/**
+ * Build the auth headers for a request
+ */
+async function getAuthHeaders(connector, variables, signal) {
+  if (!connector.http.auth) return {};
+  const settings = resolveTemplate(connector.http.auth, variables);
+
+  const unresolved = Object.values(settings).filter(value => WHOLE_PLACEHOLDER_PATTERN.test(value));
+  if (unresolved.length > 0) {
+    throw invalid(`${connector.name} connector has no value for ${unresolved.join(', ')}`);
+  }
+
+  switch (settings.type) {
+    case 'bearer':
+      return { Authorization: `Bearer ${settings.token}` };
+    case 'basic':
+      return { Authorization: `Basic ${Buffer.from(`${settings.username}:${settings.password}`).toString('base64')}` };
+    case 'header':
+      return { [settings.name]: settings.value };
+    case 'oauth2_refresh':
+      return { Authorization: `Bearer ${await getAccessToken(settings, signal)}` };
+    default:
+      throw invalid(`Unsupported connector auth type: ${settings.type}`);
+  }
+}
+
+/**
+ * Exchange a refresh token for an access token, reusing it until it expires
+ */
+async function getAccessToken(settings, signal) {
+  const key = `${settings.token_url}:${settings.client_id}:${settings.refresh_token}`;
+  const cached = accessTokens.get(key);
+  if (cached && cached.expiresAt > Date.now() + TOKEN_EXPIRY_MARGIN_MS) {
+    return cached.token;
+  }
+
+  let response;
+  try {
+    response = await axios.post(settings.token_url, encodeForm({
+      grant_type: 'refresh_token',
+      client_id: settings.client_id,
+      client_secret: settings.client_secret,
+      refresh_token: settings.refresh_token,
+    }), {
+      headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+      signal,
+    });
+  } catch (error) {
+    const status = error.response?.status;
+    if (status === 400 || status === 401) {
+      error.message = `OAuth token refresh failed (${status}): ${error.response.data?.error || 'invalid credentials'}`;
+      error.retryable = false;
+    }
+    throw error;
+  }
+
+  const { access_token: token, expires_in: expiresIn = 3600 } = response.data;
+  accessTokens.set(key, { token, expiresAt: Date.now() + expiresIn * 1000 });
+  return token;
+}
+
+/**
+ * Drop values whose placeholder had no value, and objects left empty by it
+ */
+function prune(value) {
+  if (typeof value === 'string' && WHOLE_PLACEHOLDER_PATTERN.test(value)) {
+    return undefined;
+  }
+
+  if (Array.isArray(value)) {
+    return value.map(prune).filter(item => item !== undefined);
+  }
+
+  if (typeof value === 'object' && value !== null) {
+    const entries = Object.entries(value)
+      .map(([key, item]) => [key, prune(item)])
+      .filter(([, item]) => item !== undefined);
+    if (entries.length === 0 && Object.keys(value).length > 0) return undefined;
+    return Object.fromEntries(entries);
+  }
+
+  return value;
+}
+
+/**
+ * URL-encode a body, nesting objects and arrays with brackets
+ * (`metadata[plan]=pro`, `items[0][price]=price_1`)
+ */
+function encodeForm(body) {
+  const form = new URLSearchParams();
+  const append = (key, value) => {
+    if (value === undefined || value === null) return;
+    if (typeof value === 'object') {
+      for (const [childKey, child] of Object.entries(value)) {
+        append(`${key}[${childKey}]`, child);
+      }
+    } else {
+      form.append(key, String(value));
+    }
+  };
+
+  for (const [key, value] of Object.entries(body)) {
+    append(key, value);
+  }
+  return form.toString();
+}
+
+/**
+ * Surface the API's error message
+ */
+function describeError(error, connector) {
+  const body = error.response?.data;
+  if (error.response && body) {
+    const detail = typeof body === 'string'
+      ? body
+      : body.error?.message || body.message || body.error || JSON.stringify(body);
+    error.message = `${connector.name} API error (${error.response.status}): ${typeof detail === 'string' ? detail : JSON.stringify(detail)}`;
+  }
+  return error;
+}
+
+function isBlank(value) {
+  return value === undefined || value === null || value === '';
+}
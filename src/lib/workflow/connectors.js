@@ -0,0 +1,47 @@
+/**
+ * Connector Credentials
+ *
+ * Looks up configurations saved in the connector store (the `connectors`
+ * table) for tools that call third-party services. Config values may
+ * reference vault secrets as `{{secrets.NAME}}`.
+ */
+
+import { getConnectors } from '@/lib/db';
+import { findSecretReferences } from '@/lib/secrets';
+import { resolveTemplate } from './template';
+
+/**
+ * Get the config of a saved connector
+ * @param {string} type - Connector type from CONNECTORS_LIBRARY.json (e.g. 'slack')
+ * @param {string} [name] - A specific saved connector; defaults to the first enabled one of the type
+ * @param {Object} [secrets] - Vault secrets of the run, for `{{secrets.NAME}}` values
+ * @returns {Promise<Object|null>} The connector's config, or null when none is saved
+ */
+export async function getConnectorConfig(type, name, secrets = {}) {
+  const connectors = await getConnectors();
+  const connector = name
+    ? connectors.find(candidate => candidate.name === name)
+    : connectors.find(candidate => candidate.type === type);
+
+  if (name && !connector) {
+    throw notConfigured(`Connector not found: ${name}`);
+  }
+  if (connector && connector.type !== type) {
+    throw notConfigured(`Connector ${name} is a ${connector.type} connector, not ${type}`);
+  }
+
+  if (!connector?.config) return null;
+
+  const config = resolveTemplate(connector.config, { secrets });
+  const missing = findSecretReferences(config);
+  if (missing.length > 0) {
+    throw notConfigured(`Connector ${connector.name} references unknown secret(s): ${missing.join(', ')}`);
+  }
+  return config;
+}
+
+function notConfigured(message) {
+  const error = new Error(message);
+  error.retryable = false;
+  return error;
+}
@@ -0,0 +1,96 @@
+/**
+ * CSV parsing and serialization (RFC 4180)
+ *
+ * Handles quoted fields, escaped quotes ("") and line breaks inside quotes.
+ * With `header: true` rows are objects keyed by the first row.
+ */
+
+/**
+ * Parse CSV text
+ * @param {string} text - CSV content
+ * @param {Object} [options]
+ * @param {string} [options.delimiter=','] - Field delimiter
+ * @param {boolean} [options.header=true] - Use the first row as keys
+ * @returns {Array<Object>|Array<string[]>} Rows
+ */
+export function parseCsv(text, { delimiter = ',', header = true } = {}) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+
+  // Skip a UTF-8 byte order mark
+  const source = text.charCodeAt(0) === 0xfeff ? text.slice(1) : text;
+
+  for (let i = 0; i < source.length; i++) {
+    const char = source[i];
+
+    if (quoted) {
+      if (char === '"' && source[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"' && field === '') {
+      quoted = true;
+    } else if (char === delimiter) {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && source[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  if (quoted) {
+    throw new Error('Invalid CSV: unterminated quoted field');
+  }
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  if (!header) return rows;
+
+  const [keys = [], ...records] = rows;
+  return records.map(record => Object.fromEntries(keys.map((key, index) => [key, record[index] ?? ''])));
+}
+
+/**
+ * Serialize rows to CSV text
+ * @param {Array<Object>|Array<Array>} rows - Objects (columns from their keys) or arrays
+ * @param {Object} [options]
+ * @param {string} [options.delimiter=','] - Field delimiter
+ * @param {string[]} [options.columns] - Column order for object rows
+ * @returns {string} CSV content
+ */
+export function toCsv(rows, { delimiter = ',', columns } = {}) {
+  if (!Array.isArray(rows)) {
+    throw new Error('CSV output requires an array of rows');
+  }
+
+  const escape = (value) => {
+    if (value === undefined || value === null) return '';
+    const text = typeof value === 'object' ? JSON.stringify(value) : String(value);
+    return /["\r\n]/.test(text) || text.includes(delimiter) ? `"${text.replace(/"/g, '""')}"` : text;
+  };
+
+  if (rows.every(Array.isArray)) {
+    return rows.map(row => row.map(escape).join(delimiter)).join('\n');
+  }
+
+  const keys = columns || [...new Set(rows.flatMap(row => Object.keys(row || {})))];
+  const lines = [keys.map(escape).join(delimiter)];
+  for (const row of rows) {
+    lines.push(keys.map(key => escape(row?.[key])).join(delimiter));
+  }
+  return lines.join('\n');
+}
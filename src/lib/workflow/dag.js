@@ -0,0 +1,249 @@
+/**
+ * Workflow Dependency Graph
+ *
+ * Builds the dependency graph between workflow steps and schedules
+ * independent steps concurrently.
+ *
+ * A step depends on:
+ * - every step id listed in its `depends_on` (string or array), or
+ * - when `depends_on` is omitted, every step referenced from its input
+ *   through a `{{step_id.field}}` placeholder, and
+ * - any conditional_branch step listing it in `then` / `else`, and
+ * - any step naming it as its error handler (`on_error: { goto }`).
+ */
+
+import { getReferencedNames } from './template';
+
+/**
+ * Collect the root names of all `{{...}}` references in a value
+ * @param {*} value - Step input (string, array or object)
+ * @param {Set<string>} [names] - Accumulator
+ * @returns {Set<string>} Referenced root names
+ */
+export function collectReferences(value, names = new Set()) {
+  if (typeof value === 'string') {
+    getReferencedNames(value).forEach(name => names.add(name));
+  } else if (Array.isArray(value)) {
+    value.forEach(item => collectReferences(item, names));
+  } else if (typeof value === 'object' && value !== null) {
+    Object.values(value).forEach(item => collectReferences(item, names));
+  }
+
+  return names;
+}
+
+/**
+ * Get the ids of the steps a step depends on
+ * @param {Object} step - Workflow step
+ * @param {Set<string>} stepIds - Ids of all steps in the workflow
+ * @returns {string[]} Dependency step ids
+ */
+export function getStepDependencies(step, stepIds) {
+  if (step.depends_on !== undefined && step.depends_on !== null) {
+    return Array.isArray(step.depends_on) ? [...step.depends_on] : [step.depends_on];
+  }
+
+  // Nested loop steps may reference outer steps too
+  const nested = getNestedSteps(step);
+  const nestedIds = new Set(nested.map(child => child.id));
+  const names = collectReferences(step.input);
+  nested.forEach(child => collectReferences(child.input, names));
+
+  return [...names].filter(name => name !== step.id && !nestedIds.has(name) && stepIds.has(name));
+}
+
+/**
+ * The nested steps of a loop step, without entries that are not step
+ * objects (the linter reports those)
+ * @param {Object} step - Workflow step
+ * @returns {Object[]}
+ */
+export function getNestedSteps(step) {
+  return Array.isArray(step.steps) ? step.steps.filter(child => child && typeof child === 'object') : [];
+}
+
+/**
+ * Get the step ids routed by a branch step's `then` / `else`
+ * @param {Object} step - Workflow step
+ * @returns {{then: string[], else: string[]}} Branch targets
+ */
+export function getBranchTargets(step) {
+  const toList = (value) => {
+    if (value === undefined || value === null) return [];
+    return Array.isArray(value) ? value : [value];
+  };
+
+  return {
+    then: toList(step.then),
+    else: toList(step.else),
+  };
+}
+
+/**
+ * Get the id of a step's error handler (`on_error: { goto: 'step_id' }`)
+ * @param {Object} step - Workflow step
+ * @returns {string|null} Handler step id
+ */
+export function getErrorHandler(step) {
+  const onError = step.on_error;
+  return onError && typeof onError === 'object' && onError.goto ? onError.goto : null;
+}
+
+/**
+ * Map each error handler step to the steps that route errors to it
+ * @param {Array} steps - Workflow steps
+ * @returns {Map<string, string[]>} Handler id -> source step ids
+ */
+export function getErrorHandlerSources(steps) {
+  const sources = new Map();
+  for (const step of steps) {
+    const handler = getErrorHandler(step);
+    if (handler) {
+      sources.set(handler, [...(sources.get(handler) || []), step.id]);
+    }
+  }
+  return sources;
+}
+
+/**
+ * Build the dependency graph for a list of steps
+ * @param {Array} steps - Workflow steps
+ * @returns {Map<string, string[]>} Step id -> dependency ids
+ * @throws {Error} On duplicate ids, unknown dependencies, branch or error
+ *   handler targets, or cycles
+ */
+export function buildDependencyGraph(steps) {
+  const stepIds = new Set();
+  for (const step of steps) {
+    if (stepIds.has(step.id)) {
+      throw new Error(`Duplicate step id: ${step.id}`);
+    }
+    stepIds.add(step.id);
+  }
+
+  const graph = new Map();
+  for (const step of steps) {
+    const dependencies = getStepDependencies(step, stepIds);
+    const unknown = dependencies.find(id => !stepIds.has(id));
+    if (unknown) {
+      throw new Error(`Step ${step.id} depends on unknown step: ${unknown}`);
+    }
+    graph.set(step.id, dependencies);
+  }
+
+  // Branch targets must wait for the branch decision
+  for (const step of steps) {
+    const targets = getBranchTargets(step);
+    for (const target of [...targets.then, ...targets.else]) {
+      if (!stepIds.has(target)) {
+        throw new Error(`Step ${step.id} branches to unknown step: ${target}`);
+      }
+      if (!graph.get(target).includes(step.id)) {
+        graph.get(target).push(step.id);
+      }
+    }
+  }
+
+  // Error handlers must wait for the steps they handle
+  for (const step of steps) {
+    const handler = getErrorHandler(step);
+    if (!handler) continue;
+    if (handler === step.id) {
+      throw new Error(`Step ${step.id} cannot be its own error handler`);
+    }
+    if (!stepIds.has(handler)) {
+      throw new Error(`Step ${step.id} routes errors to unknown step: ${handler}`);
+    }
+    if (!graph.get(handler).includes(step.id)) {
+      graph.get(handler).push(step.id);
+    }
+  }
+
+  const cycle = findCycle(graph);
+  if (cycle) {
+    throw new Error(`Circular dependency between steps: ${cycle.join(' -> ')}`);
+  }
+
+  return graph;
+}
+
+/**
+ * Find a dependency cycle in the graph
+ * @param {Map<string, string[]>} graph - Step id -> dependency ids
+ * @returns {string[]|null} Step ids forming the cycle, or null
+ */
+export function findCycle(graph) {
+  const visiting = new Set();
+  const visited = new Set();
+  const path = [];
+
+  const visit = (id) => {
+    if (visited.has(id)) return null;
+    if (visiting.has(id)) {
+      return [...path.slice(path.indexOf(id)), id];
+    }
+
+    visiting.add(id);
+    path.push(id);
+    for (const dependency of graph.get(id) || []) {
+      const cycle = visit(dependency);
+      if (cycle) return cycle;
+    }
+    path.pop();
+    visiting.delete(id);
+    visited.add(id);
+    return null;
+  };
+
+  for (const id of graph.keys()) {
+    const cycle = visit(id);
+    if (cycle) return cycle;
+  }
+
+  return null;
+}
+
+/**
+ * Run steps in dependency order, at most `maxParallelism` at a time
+ *
+ * Steps become ready once all their dependencies have settled; ready steps
+ * start in workflow order. If `runStep` rejects, no further steps are
+ * started, in-flight steps are awaited, and the first error is rethrown.
+ *
+ * @param {Array} steps - Workflow steps
+ * @param {Map<string, string[]>} graph - Graph from buildDependencyGraph
+ * @param {number} maxParallelism - Maximum concurrently running steps
+ * @param {Function} runStep - async (step) => void
+ */
+export async function runInDependencyOrder(steps, graph, maxParallelism, runStep) {
+  const pending = new Set(steps.map(step => step.id));
+  const settled = new Set();
+  const running = new Map();
+  let failure = null;
+
+  while (pending.size > 0 || running.size > 0) {
+    if (!failure) {
+      for (const step of steps) {
+        if (running.size >= maxParallelism) break;
+        if (!pending.has(step.id)) continue;
+        if (!graph.get(step.id).every(id => settled.has(id))) continue;
+
+        pending.delete(step.id);
+        running.set(step.id, Promise.resolve()
+          .then(() => runStep(step))
+          .catch((error) => {
+            failure = failure || error;
+          })
+          .then(() => {
+            running.delete(step.id);
+            settled.add(step.id);
+          }));
+      }
+    }
+
+    if (running.size === 0) break;
+    await Promise.race(running.values());
+  }
+
+  if (failure) throw failure;
+}
@@ -0,0 +1,78 @@
+/**
+ * Workflow Diff
+ *
+ * Compares two versions of a workflow definition by step id, so a refined
+ * workflow can be reviewed before it is saved.
+ */
+
+import { isDeepStrictEqual } from 'util';
+
+// Top-level fields compared besides the steps
+const WORKFLOW_FIELDS = ['name', 'description', 'variables', 'max_parallelism', 'strict', 'triggers'];
+
+/**
+ * Diff two workflow definitions
+ *
+ * Steps are matched by id. Changes are listed per field as dotted paths
+ * (`input.url`, `retry.max_attempts`); arrays are compared as a whole.
+ * @param {Object} before
+ * @param {Object} after
+ * @returns {{
+ *   added: Array<{id: string, index: number, step: Object}>,
+ *   removed: Array<{id: string, index: number, step: Object}>,
+ *   changed: Array<{id: string, changes: Array<{path: string, before: *, after: *}>}>,
+ *   reordered: boolean,
+ *   workflow: Array<{path: string, before: *, after: *}>
+ * }}
+ */
+export function diffWorkflows(before, after) {
+  const beforeSteps = before.steps || [];
+  const afterSteps = after.steps || [];
+  const beforeById = new Map(beforeSteps.map(step => [step.id, step]));
+  const afterById = new Map(afterSteps.map(step => [step.id, step]));
+
+  const added = afterSteps
+    .map((step, index) => ({ id: step.id, index, step }))
+    .filter(({ id }) => !beforeById.has(id));
+  const removed = beforeSteps
+    .map((step, index) => ({ id: step.id, index, step }))
+    .filter(({ id }) => !afterById.has(id));
+
+  const changed = afterSteps
+    .filter(step => beforeById.has(step.id))
+    .map(step => ({ id: step.id, changes: diffValues(beforeById.get(step.id), step) }))
+    .filter(({ changes }) => changes.length > 0);
+
+  // Relative order of the steps present in both versions
+  const keptBefore = beforeSteps.map(step => step.id).filter(id => afterById.has(id));
+  const keptAfter = afterSteps.map(step => step.id).filter(id => beforeById.has(id));
+
+  const workflow = WORKFLOW_FIELDS
+    .filter(field => !isDeepStrictEqual(before[field], after[field]))
+    .map(field => ({ path: field, before: before[field], after: after[field] }));
+
+  return {
+    added,
+    removed,
+    changed,
+    reordered: !isDeepStrictEqual(keptBefore, keptAfter),
+    workflow,
+  };
+}
+
+/**
+ * List the leaf-level differences between two values
+ */
+function diffValues(before, after, path = '') {
+  if (isDeepStrictEqual(before, after)) return [];
+  if (!isPlainObject(before) || !isPlainObject(after)) {
+    return [{ path, before, after }];
+  }
+
+  const keys = [...new Set([...Object.keys(before), ...Object.keys(after)])];
+  return keys.flatMap(key => diffValues(before[key], after[key], path ? `${path}.${key}` : key));
+}
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
@@ -0,0 +1,958 @@
+/**
+ * Workflow Executor
+ *
+ * Runs workflow steps against the MCP tool catalog: dependency scheduling,
+ * branching, loops, retries, variable substitution and tool dispatch.
+ */
+
+import { logToolUsage, searchTutorials } from '@/lib/db';
+import { sendEmail } from '@/lib/email';
+import { generateEmbedding } from '@/lib/embeddings';
+import { createRedactor, findSecretReferences } from '@/lib/secrets';
+import {
+  buildDependencyGraph,
+  getBranchTargets,
+  getErrorHandler,
+  getErrorHandlerSources,
+  runInDependencyOrder,
+} from './dag';
+import { evaluateExpression, parseExpression } from './expression';
+import { extractPath, resolveTemplate } from './template';
+import { classifyError, getRetryDelay, isRetryableError, resolveRetryPolicy } from './retry';
+import { formatSchemaErrors, validateSchema } from './schema';
+import { runJavaScript } from './code-sandbox';
+import { scrapePage } from './scraper';
+import { createCalendarEvent } from './calendar';
+import { postSlackMessage } from './slack';
+import { getConnectorAction, runConnectorAction } from './connector-actions';
+import { getWorkspaceDir, readWorkspaceFile, writeWorkspaceFile } from './workspace';
+import { sleep } from './util';
+import axios from 'axios';
+import fs from 'fs';
+import path from 'path';
+
+// Load MCP tools definition
+const mcpToolsPath = path.join(process.cwd(), 'public/config/MCP_TOOLS_DEFINITION.json');
+const mcpTools = JSON.parse(fs.readFileSync(mcpToolsPath, 'utf-8'));
+
+// Steps run one at a time unless the workflow (or request) opts into parallelism
+const DEFAULT_MAX_PARALLELISM = 5;
+const DEFAULT_LOOP_CONCURRENCY = 1;
+const MAX_PARALLELISM_LIMIT = 10;
+
+/**
+ * Execute workflow steps
+ *
+ * Steps are scheduled through the dependency graph (explicit `depends_on`
+ * or inferred `{{step_id.*}}` references), so independent branches run
+ * concurrently while dependents wait for their inputs. conditional_branch
+ * steps route execution: steps in the untaken `then` / `else` list, and
+ * steps whose dependencies were all skipped, are marked `skipped`.
+ *
+ * A step with `on_error: { goto: 'handler' }` routes its failure to the
+ * handler step, which runs (with `{{error}}` bound) only if a step routing
+ * to it failed; the failure does not fail the workflow. When the workflow
+ * does fail (or is cancelled), the `compensate` actions of completed steps
+ * run in reverse completion order and are added to the log.
+ *
+ * Step inputs and outputs are checked against the tool's JSON Schemas; the
+ * field errors go on the log entry as `validation`. With `strict` on the
+ * workflow (or a step), an output that does not match fails the step.
+ *
+ * `options.onEvent` receives `{ type, step_id, entry, log }` for each
+ * step_started / step_completed / step_failed / step_skipped /
+ * step_cancelled / compensation_started / compensation_completed /
+ * compensation_failed event, and
+ * `{ type: 'retry', attempt, error, delay_ms, ... }` before a retry.
+ *
+ * `options.signal` (an AbortSignal) cancels the run: no further steps start,
+ * running tools are aborted and the result has `cancelled: true`.
+ *
+ * `options.checkpoint` maps step ids to the settled state of each step
+ * (`{ status, output, error, reason }`) and is updated as steps settle.
+ * Steps already in the checkpoint are restored instead of run again (with
+ * a step_restored event), which is how an interrupted execution resumes.
+ *
+ * `options.secrets` maps vault secret names to values for `{{secrets.NAME}}`
+ * placeholders. Secret values are redacted from step outputs, errors and
+ * tool usage logs, so they never reach the execution log or checkpoint.
+ */
+export async function executeWorkflow(workflow, input, executionId, workflowId, options = {}) {
+  const startTime = Date.now();
+  const log = [];
+  const outputs = {};
+  const variables = { ...(workflow.variables ?? workflow.metadata?.variables), ...input, secrets: options.secrets || {} };
+  const skipped = new Map();
+  const failures = new Map();
+  const completed = [];
+  const checkpoint = options.checkpoint || {};
+  const signal = options.signal;
+  const emit = (type, entry, details = {}) => options.onEvent?.({ type, step_id: entry.step_id, entry, ...details, log });
+
+  try {
+    const graph = buildDependencyGraph(workflow.steps);
+    const errorHandlerSources = getErrorHandlerSources(workflow.steps);
+    const maxParallelism = resolveMaxParallelism(options.maxParallelism ?? workflow.max_parallelism ?? workflow.metadata?.max_parallelism);
+    const strict = Boolean(workflow.strict ?? workflow.metadata?.strict);
+
+    await runInDependencyOrder(workflow.steps, graph, maxParallelism, async (step) => {
+      signal?.throwIfAborted();
+
+      if (checkpoint[step.id]) {
+        const restoredEntry = restoreStep(step, checkpoint[step.id], { outputs, variables, skipped, failures, completed });
+        log.push(restoredEntry);
+        emit('step_restored', restoredEntry);
+        return;
+      }
+
+      const dependencies = graph.get(step.id);
+      if (!skipped.has(step.id) && dependencies.length > 0 && dependencies.every(id => skipped.has(id))) {
+        skipped.set(step.id, 'All dependencies were skipped');
+      }
+
+      // Error handlers only run when a step routing to them failed
+      let stepVariables = variables;
+      const handledSteps = errorHandlerSources.get(step.id);
+      if (handledSteps && !skipped.has(step.id)) {
+        const handledFailure = handledSteps.map(id => failures.get(id)).find(Boolean);
+        if (handledFailure) {
+          stepVariables = { ...variables, error: handledFailure };
+        } else {
+          skipped.set(step.id, 'No error to handle');
+        }
+      }
+
+      if (skipped.has(step.id)) {
+        const skippedEntry = {
+          step_id: step.id,
+          step_name: step.name,
+          status: 'skipped',
+          reason: skipped.get(step.id),
+          timestamp: new Date().toISOString(),
+        };
+        log.push(skippedEntry);
+        checkpoint[step.id] = { status: 'skipped', reason: skippedEntry.reason };
+        emit('step_skipped', skippedEntry);
+        return;
+      }
+
+      const entry = {
+        step_id: step.id,
+        step_name: step.name,
+        status: 'running',
+        timestamp: new Date().toISOString(),
+      };
+      log.push(entry);
+      emit('step_started', entry);
+
+      try {
+        // Execute step with retry logic
+        const stepResult = await executeStepWithRetry(step, stepVariables, workflowId, executionId, signal, {
+          strict: step.strict ?? strict,
+          onAttempt: (attempt) => {
+            entry.attempts = [...(entry.attempts || []), attempt];
+          },
+          onRetry: (retry) => emit('retry', entry, retry),
+        });
+
+        // Store output
+        outputs[step.id] = stepResult;
+        variables[step.id] = stepResult;
+
+        entry.status = 'completed';
+        entry.output = stepResult;
+        entry.duration = stepResult._duration;
+        moveLogDetails(stepResult, entry);
+        checkpoint[step.id] = { status: 'completed', output: stepResult };
+        completed.push(step);
+        emit('step_completed', entry);
+
+        skipUntakenBranch(step, stepResult.branch, skipped);
+      } catch (error) {
+        moveLogDetails(error, entry);
+
+        // Cancellation stops the workflow whatever the step's on_error says
+        if (signal?.aborted) {
+          entry.status = 'cancelled';
+          entry.error = signal.reason.message;
+          emit('step_cancelled', entry);
+          throw signal.reason;
+        }
+
+        entry.status = 'failed';
+        entry.error = error.message;
+        failures.set(step.id, { step_id: step.id, message: error.message });
+
+        // A failed branch step takes neither branch
+        skipUntakenBranch(step, null, skipped);
+
+        // Handle error based on step configuration. A step that stops the
+        // workflow is not checkpointed, so resuming runs it again.
+        // `retry` stops once the retry policy is exhausted.
+        if (step.on_error === 'stop' || step.on_error === 'retry') {
+          emit('step_failed', entry);
+          throw error;
+        }
+
+        // `continue` and `goto` (the handler takes over) keep going
+        const handler = getErrorHandler(step);
+        if (handler) {
+          entry.handled_by = handler;
+        }
+        const output = step.on_error === 'continue' || handler ? { error: error.message } : undefined;
+        if (output) {
+          outputs[step.id] = output;
+          variables[step.id] = output;
+        }
+        checkpoint[step.id] = { status: 'failed', error: error.message, output };
+        emit('step_failed', entry);
+      }
+    });
+
+    return {
+      success: true,
+      outputs,
+      log,
+      duration: Date.now() - startTime,
+    };
+  } catch (error) {
+    const failure = signal?.aborted ? signal.reason : error;
+    const compensated = await runCompensations(completed, failure, {
+      variables, log, checkpoint, emit, workflowId, executionId,
+    });
+
+    return {
+      success: false,
+      cancelled: Boolean(signal?.aborted),
+      outputs,
+      error: failure.message,
+      log,
+      compensated,
+      duration: Date.now() - startTime,
+    };
+  }
+}
+
+/**
+ * Run the `compensate` actions of completed steps, most recent first
+ *
+ * `compensate` is a step-like `{ tool, input, retry, timeout }` whose input
+ * sees the workflow variables plus `{{error.message}}`. Every compensation
+ * runs even if an earlier one fails, and none is cancelled with the run.
+ * Compensated steps leave the checkpoint, so a resumed run redoes them.
+ * @returns {Promise<number>} Number of successful compensations
+ */
+async function runCompensations(completed, failure, { variables, log, checkpoint, emit, workflowId, executionId }) {
+  const compensationVariables = { ...variables, error: { message: failure.message } };
+  let compensated = 0;
+
+  for (const step of [...completed].reverse()) {
+    if (!step.compensate) continue;
+
+    const entry = {
+      step_id: `${step.id}:compensate`,
+      step_name: `Compensate: ${step.name}`,
+      compensates: step.id,
+      status: 'running',
+      timestamp: new Date().toISOString(),
+    };
+    log.push(entry);
+    emit('compensation_started', entry);
+
+    try {
+      const result = await executeStepWithRetry(
+        { ...step.compensate, id: entry.step_id, name: entry.step_name },
+        compensationVariables,
+        workflowId,
+        executionId,
+        undefined,
+        {
+          onAttempt: (attempt) => {
+            entry.attempts = [...(entry.attempts || []), attempt];
+          },
+        }
+      );
+      entry.status = 'completed';
+      entry.output = result;
+      entry.duration = result._duration;
+      moveLogDetails(result, entry);
+      delete checkpoint[step.id];
+      compensated++;
+      emit('compensation_completed', entry);
+    } catch (error) {
+      moveLogDetails(error, entry);
+      entry.status = 'failed';
+      entry.error = error.message;
+      emit('compensation_failed', entry);
+    }
+  }
+
+  return compensated;
+}
+
+/**
+ * Restore a step settled in an earlier run of the execution
+ *
+ * Re-applies its output and branch routing, and returns its log entry.
+ */
+function restoreStep(step, state, { outputs, variables, skipped, failures, completed }) {
+  const entry = {
+    step_id: step.id,
+    step_name: step.name,
+    status: state.status,
+    resumed: true,
+    timestamp: new Date().toISOString(),
+  };
+
+  if (state.status === 'skipped') {
+    skipped.set(step.id, state.reason);
+    entry.reason = state.reason;
+    return entry;
+  }
+
+  if (state.output !== undefined) {
+    outputs[step.id] = state.output;
+    variables[step.id] = state.output;
+    entry.output = state.output;
+  }
+  if (state.error) {
+    entry.error = state.error;
+    failures.set(step.id, { step_id: step.id, message: state.error });
+  }
+  if (state.status === 'completed') {
+    completed.push(step);
+  }
+  skipUntakenBranch(step, state.status === 'completed' ? state.output?.branch : null, skipped);
+  return entry;
+}
+
+/**
+ * Move loop iteration logs and schema validation errors from a step result
+ * (or error) onto its log entry
+ */
+function moveLogDetails(source, entry) {
+  if (source?._iterations) {
+    entry.iterations = source._iterations;
+    delete source._iterations;
+  }
+  if (source?._validation) {
+    entry.validation = source._validation;
+    delete source._validation;
+  }
+}
+
+/**
+ * Mark the steps of the branches a step did not take as skipped
+ *
+ * `branch` is the conditional_branch result ('true' / 'false'); any other
+ * value skips both branches.
+ */
+function skipUntakenBranch(step, branch, skipped) {
+  const targets = getBranchTargets(step);
+  const untaken = {
+    true: targets.else,
+    false: targets.then,
+  }[branch] || [...targets.then, ...targets.else];
+
+  for (const id of untaken) {
+    if (!skipped.has(id)) {
+      skipped.set(id, `Branch not taken at step ${step.id}`);
+    }
+  }
+}
+
+/**
+ * Clamp the requested parallelism to a sane range
+ */
+function resolveMaxParallelism(value, fallback = DEFAULT_MAX_PARALLELISM) {
+  const parsed = parseInt(value, 10);
+  if (!Number.isFinite(parsed) || parsed < 1) {
+    return fallback;
+  }
+  return Math.min(parsed, MAX_PARALLELISM_LIMIT);
+}
+
+/**
+ * Execute a single step with its retry policy
+ *
+ * Retries use the step's backoff strategy and only happen for errors its
+ * `retry_on` rules accept (see ./retry). `onAttempt` receives a record of
+ * every attempt when the step may retry; `onRetry` is called before each
+ * retry. A cancelled step is not retried.
+ */
+async function executeStepWithRetry(step, variables, workflowId, executionId, signal, { onAttempt, onRetry, strict } = {}) {
+  const policy = resolveRetryPolicy(step);
+  const recordAttempts = policy.max_attempts > 1;
+
+  for (let attempt = 1; attempt <= policy.max_attempts; attempt++) {
+    const startedAt = Date.now();
+    try {
+      const result = await executeStep(step, variables, workflowId, executionId, signal, { strict });
+      if (recordAttempts) {
+        onAttempt?.({ attempt, status: 'completed', started_at: new Date(startedAt).toISOString(), duration: Date.now() - startedAt });
+      }
+      return result;
+    } catch (error) {
+      const retryable = !signal?.aborted && isRetryableError(policy, error);
+      const willRetry = retryable && attempt < policy.max_attempts;
+      const delayMs = willRetry ? getRetryDelay(policy, attempt, error) : undefined;
+
+      if (recordAttempts) {
+        const { type, status } = classifyError(error);
+        onAttempt?.({
+          attempt,
+          status: 'failed',
+          started_at: new Date(startedAt).toISOString(),
+          duration: Date.now() - startedAt,
+          error: error.message,
+          error_type: type,
+          error_status: status,
+          retryable,
+          delay_ms: delayMs,
+        });
+      }
+
+      if (!willRetry) {
+        throw error;
+      }
+      onRetry?.({ attempt, max_attempts: policy.max_attempts, error: error.message, delay_ms: delayMs });
+      await sleep(delayMs, signal);
+    }
+  }
+}
+
+/**
+ * Execute a single step
+ *
+ * The resolved input is validated against the tool's input schema (with
+ * its defaults applied) before the tool runs, and the result against its
+ * output schema afterwards. Output mismatches fail the step when `strict`
+ * is set and are recorded on the log entry otherwise.
+ */
+async function executeStep(step, variables, workflowId, executionId, signal, { strict = false } = {}) {
+  const startTime = Date.now();
+  const redact = createRedactor(variables.secrets);
+
+  // Resolve variables in input (secret values only exist from here to the tool call)
+  let resolvedInput;
+  try {
+    resolvedInput = resolveTemplate(step.input, variables);
+  } catch (error) {
+    error.message = redact(error.message);
+    throw error;
+  }
+
+  const missingSecrets = findSecretReferences(resolvedInput);
+  if (missingSecrets.length > 0) {
+    const error = new Error(`Secret not found: ${missingSecrets.join(', ')}`);
+    error.retryable = false;
+    throw error;
+  }
+
+  // Get tool definition (an MCP tool or a `connector.action`)
+  let tool = mcpTools.tools.find(t => t.name === step.tool);
+  if (!tool) {
+    const connectorAction = getConnectorAction(step.tool);
+    if (connectorAction?.action.tool) {
+      // Actions backed by an MCP tool run that tool
+      tool = mcpTools.tools.find(t => t.name === connectorAction.action.tool);
+      resolvedInput = { ...connectorAction.action.input, ...resolvedInput };
+    } else if (connectorAction) {
+      tool = { name: step.tool, category: 'connector', ...connectorAction };
+    }
+  }
+  if (!tool) {
+    const error = new Error(`Tool not found: ${step.tool}`);
+    error.retryable = false;
+    throw error;
+  }
+
+  // Check the input against the tool's schema, filling in its defaults
+  const inputCheck = validateSchema(resolvedInput, tool.input_schema, { applyDefaults: true, coerce: true });
+  if (inputCheck.errors.length > 0) {
+    throw schemaError(`Invalid input for ${step.tool}`, 'input', inputCheck.errors);
+  }
+  resolvedInput = inputCheck.value;
+
+  // Execute tool (loops with a nested steps block run through the executor)
+  let result;
+  try {
+    if (tool.name === 'loop_iteration' && Array.isArray(step.steps)) {
+      result = await executeLoop(step, resolvedInput, variables, workflowId, executionId, signal, strict);
+    } else {
+      result = await executeTool(tool, resolvedInput, step.timeout || 30000, signal, {
+        workflowId,
+        executionId,
+        secrets: variables.secrets,
+      });
+    }
+  } catch (error) {
+    error.message = redact(error.message);
+    await logToolUsage({
+      tool_name: step.tool,
+      workflow_id: workflowId,
+      execution_id: executionId,
+      input: redact(resolvedInput),
+      output: null,
+      success: false,
+      error: error.message,
+      duration_ms: Date.now() - startTime,
+    });
+    throw error;
+  }
+
+  // Output drift fails the step in strict mode and is logged otherwise
+  result = redact(result);
+  const outputCheck = validateSchema(result, tool.output_schema);
+  if (outputCheck.errors.length > 0 && strict) {
+    const error = schemaError(`Output of ${step.tool} does not match its schema`, 'output', outputCheck.errors);
+    error._iterations = result._iterations;
+    await logToolUsage({
+      tool_name: step.tool,
+      workflow_id: workflowId,
+      execution_id: executionId,
+      input: redact(resolvedInput),
+      output: result,
+      success: false,
+      error: error.message,
+      duration_ms: Date.now() - startTime,
+    });
+    throw error;
+  }
+
+  // Log tool usage
+  await logToolUsage({
+    tool_name: step.tool,
+    workflow_id: workflowId,
+    execution_id: executionId,
+    input: redact(resolvedInput),
+    output: result,
+    success: true,
+    error: null,
+    duration_ms: Date.now() - startTime,
+  });
+
+  if (outputCheck.errors.length > 0) {
+    result = { ...result, _validation: outputCheck.errors.map(error => ({ source: 'output', ...error })) };
+  }
+  return {
+    ...result,
+    _duration: Date.now() - startTime,
+  };
+}
+
+/**
+ * A non-retryable error listing the fields that failed schema validation
+ * (moved onto the step's log entry as `validation`)
+ */
+function schemaError(prefix, source, errors) {
+  const error = new Error(`${prefix}: ${formatSchemaErrors(errors)}`);
+  error.retryable = false;
+  error._validation = errors.map(error => ({ source, ...error }));
+  return error;
+}
+
+/**
+ * Run a loop step's nested steps once per item
+ *
+ * Each iteration executes `step.steps` as a sub-workflow with `{{item}}` and
+ * `{{index}}` bound, up to `concurrency` iterations at a time. The loop fails
+ * if any iteration fails, unless `continue_on_error` is set.
+ */
+async function executeLoop(step, input, variables, workflowId, executionId, signal, strict) {
+  if (!Array.isArray(input.items)) {
+    throw new Error('loop_iteration requires an items array');
+  }
+
+  const items = input.items.slice(0, input.max_iterations || 100);
+  const concurrency = resolveMaxParallelism(input.concurrency, DEFAULT_LOOP_CONCURRENCY);
+  const iterations = new Array(items.length);
+  let next = 0;
+
+  const worker = async () => {
+    while (next < items.length && !signal?.aborted) {
+      const index = next++;
+      const iterationResult = await executeWorkflow(
+        {
+          steps: step.steps,
+          variables: { ...variables, item: items[index], index },
+          max_parallelism: step.max_parallelism,
+          strict,
+        },
+        {},
+        executionId,
+        workflowId,
+        { signal, secrets: variables.secrets }
+      );
+      iterations[index] = { index, ...iterationResult };
+    }
+  };
+
+  await Promise.all(Array.from({ length: Math.min(concurrency, items.length) }, worker));
+  signal?.throwIfAborted();
+
+  const errors = iterations
+    .filter(iteration => !iteration.success)
+    .map(iteration => ({ index: iteration.index, error: iteration.error }));
+
+  const iterationLog = iterations.map(iteration => ({
+    index: iteration.index,
+    status: iteration.success ? 'completed' : 'failed',
+    error: iteration.error,
+    duration: iteration.duration,
+    log: iteration.log,
+  }));
+
+  if (errors.length > 0 && !input.continue_on_error) {
+    const error = new Error(`${errors.length} of ${items.length} loop iterations failed`);
+    error._iterations = iterationLog;
+    throw error;
+  }
+
+  return {
+    iterations: items.length,
+    results: iterations.map(iteration => withoutBookkeeping(iteration.outputs)),
+    errors,
+    _iterations: iterationLog,
+  };
+}
+
+/**
+ * Drop the underscore-prefixed fields the executor adds to step results
+ * (such as `_duration`) from an iteration's outputs
+ */
+function withoutBookkeeping(outputs) {
+  return Object.fromEntries(Object.entries(outputs).map(([stepId, output]) => [
+    stepId,
+    output && typeof output === 'object' && !Array.isArray(output)
+      ? Object.fromEntries(Object.entries(output).filter(([key]) => !key.startsWith('_')))
+      : output,
+  ]));
+}
+
+/**
+ * Execute a tool based on its type
+ *
+ * Tools receive an AbortSignal that fires on timeout or when the execution
+ * is cancelled, so requests, queries and delays stop instead of running on
+ * in the background. The call rejects as soon as the signal fires, even if
+ * a tool ignores it.
+ */
+async function executeTool(tool, input, timeout, signal, context = {}) {
+  const controller = new AbortController();
+  const abortWithParent = () => controller.abort(signal.reason);
+  if (signal?.aborted) abortWithParent();
+  signal?.addEventListener('abort', abortWithParent, { once: true });
+  const timer = setTimeout(() => controller.abort(new Error('Tool execution timeout')), timeout);
+
+  const abortPromise = new Promise((_, reject) => {
+    controller.signal.addEventListener('abort', () => reject(controller.signal.reason), { once: true });
+  });
+
+  const executionPromise = (async () => {
+    controller.signal.throwIfAborted();
+    switch (tool.category) {
+      case 'network':
+        return await executeNetworkTool(tool, input, controller.signal);
+      case 'database':
+        return await executeDatabaseTool(tool, input, controller.signal);
+      case 'control':
+        return await executeControlTool(tool, input, controller.signal);
+      case 'data':
+        return await executeDataTool(tool, input);
+      case 'execution':
+        return await executeCodeTool(tool, input, controller.signal);
+      case 'filesystem':
+        return await executeFilesystemTool(tool, input, controller.signal, context);
+      case 'communication':
+        return await executeCommunicationTool(tool, input, controller.signal, context);
+      case 'productivity':
+        return await executeProductivityTool(tool, input, controller.signal, context);
+      case 'ai':
+        return await executeAiTool(tool, input, controller.signal);
+      case 'connector':
+        return await runConnectorAction(tool.connector, tool.action, input, controller.signal, context);
+      default:
+        return await executeGenericTool(tool, input, controller.signal);
+    }
+  })();
+
+  try {
+    return await Promise.race([executionPromise, abortPromise]);
+  } finally {
+    clearTimeout(timer);
+    signal?.removeEventListener('abort', abortWithParent);
+  }
+}
+
+/**
+ * Execute network tools (HTTP requests, web scraping)
+ */
+async function executeNetworkTool(tool, input, signal) {
+  if (tool.name === 'http_request') {
+    const response = await axios({
+      url: input.url,
+      method: input.method || 'GET',
+      headers: input.headers || {},
+      data: input.body,
+      signal,
+    });
+
+    return {
+      status: response.status,
+      headers: response.headers,
+      body: response.data,
+    };
+  }
+
+  if (tool.name === 'web_scrape') {
+    return scrapePage(input, signal);
+  }
+
+  throw new Error(`Network tool not implemented: ${tool.name}`);
+}
+
+/**
+ * Execute database tools
+ */
+async function executeDatabaseTool(tool, input, signal) {
+  const { supabase } = require('@/lib/supabase');
+
+  if (tool.name === 'database_query') {
+    let query = supabase.from(input.table);
+
+    switch (input.operation) {
+      case 'select':
+        query = query.select('*');
+        if (input.filter) {
+          Object.entries(input.filter).forEach(([key, value]) => {
+            query = query.eq(key, value);
+          });
+        }
+        break;
+      case 'insert':
+        query = query.insert(input.data);
+        break;
+      case 'update':
+        query = query.update(input.data);
+        if (input.filter) {
+          Object.entries(input.filter).forEach(([key, value]) => {
+            query = query.eq(key, value);
+          });
+        }
+        break;
+      case 'delete':
+        if (input.filter) {
+          Object.entries(input.filter).forEach(([key, value]) => {
+            query = query.eq(key, value);
+          });
+        }
+        query = query.delete();
+        break;
+      default:
+        throw new Error(`Unsupported database operation: ${input.operation}`);
+    }
+
+    const { data, error, count } = await query.abortSignal(signal);
+
+    if (error) throw error;
+
+    return { data, count: count || data?.length || 0 };
+  }
+
+  throw new Error(`Database tool not implemented: ${tool.name}`);
+}
+
+/**
+ * Execute control flow tools
+ */
+async function executeControlTool(tool, input, signal) {
+  if (tool.name === 'conditional_branch') {
+    // Evaluate condition
+    const result = evaluateCondition(input.condition, input.context || {});
+    return {
+      result,
+      branch: result ? 'true' : 'false',
+    };
+  }
+
+  if (tool.name === 'wait_delay') {
+    await sleep(input.duration, signal);
+    return { waited: input.duration };
+  }
+
+  if (tool.name === 'loop_iteration') {
+    return {
+      iterations: input.items.length,
+      results: input.items,
+    };
+  }
+
+  throw new Error(`Control tool not implemented: ${tool.name}`);
+}
+
+/**
+ * Execute data transformation tools
+ */
+async function executeDataTool(tool, input) {
+  if (tool.name === 'transform_data') {
+    let result = input.data;
+
+    for (const operation of input.operations) {
+      switch (operation.type) {
+        case 'extract':
+          result = extractPath(result, operation.path);
+          break;
+        case 'map':
+          result = Array.isArray(result) ? result.map(item => extractPath(item, operation.path)) : result;
+          break;
+        case 'filter': {
+          if (!Array.isArray(result)) break;
+          const condition = parseExpression(operation.condition);
+          result = result.filter(item => evaluateCondition(condition, filterContext(item)));
+          break;
+        }
+      }
+    }
+
+    return { result };
+  }
+
+  throw new Error(`Data tool not implemented: ${tool.name}`);
+}
+
+/**
+ * Execute code tools (sandboxed JavaScript)
+ */
+async function executeCodeTool(tool, input, signal) {
+  if (tool.name === 'execute_code') {
+    const language = input.language || 'javascript';
+    if (language !== 'javascript') {
+      const error = new Error(`execute_code does not support ${language}; only javascript is available`);
+      error.retryable = false;
+      throw error;
+    }
+
+    return runJavaScript(input.code, {
+      input: input.input,
+      timeout: input.timeout,
+      memoryLimitMb: input.memory_limit_mb,
+      signal,
+    });
+  }
+
+  throw new Error(`Execution tool not implemented: ${tool.name}`);
+}
+
+/**
+ * Execute filesystem tools against the workflow's workspace directory
+ */
+async function executeFilesystemTool(tool, input, signal, { workflowId, executionId }) {
+  const workspaceDir = await getWorkspaceDir({ workflowId, executionId });
+
+  switch (tool.name) {
+    case 'file_read':
+      return readWorkspaceFile(workspaceDir, input, signal);
+    case 'file_write':
+      return writeWorkspaceFile(workspaceDir, input, signal);
+    default:
+      throw new Error(`Filesystem tool not implemented: ${tool.name}`);
+  }
+}
+
+/**
+ * Execute communication tools
+ */
+async function executeCommunicationTool(tool, input, signal, { secrets }) {
+  if (tool.name === 'email_send') {
+    const { body, html, transport, ...message } = input;
+    return sendEmail({
+      ...message,
+      text: html ? undefined : body,
+      html: html ? body : undefined,
+    }, { transport, signal });
+  }
+
+  if (tool.name === 'slack_message') {
+    return postSlackMessage(input, signal, { secrets });
+  }
+
+  return executeGenericTool(tool, input, signal);
+}
+
+/**
+ * Execute productivity tools
+ */
+async function executeProductivityTool(tool, input, signal, { secrets }) {
+  if (tool.name === 'calendar_event') {
+    return createCalendarEvent(input, signal, { secrets });
+  }
+
+  return executeGenericTool(tool, input, signal);
+}
+
+/**
+ * Execute AI tools
+ *
+ * vector_search embeds the query with the same model as the tutorial
+ * knowledge base and ranks chunks from one collection by cosine similarity.
+ */
+async function executeAiTool(tool, input, signal) {
+  if (tool.name === 'vector_search') {
+    if (!input.query || typeof input.query !== 'string') {
+      const error = new Error('vector_search needs a query string');
+      error.retryable = false;
+      throw error;
+    }
+
+    const embedding = await generateEmbedding(input.query, { signal });
+    const matches = await searchTutorials(
+      embedding,
+      input.match_threshold ?? 0.7,
+      input.match_count ?? 5,
+      {
+        collection: input.collection || 'tutorials',
+        category: input.category,
+        tags: input.tags,
+        metadata: input.filter,
+      }
+    );
+
+    const results = matches.map((match, index) => ({ rank: index + 1, ...match }));
+    return { results, count: results.length };
+  }
+
+  return executeGenericTool(tool, input, signal);
+}
+
+/**
+ * Execute generic tools (placeholder for future implementations)
+ */
+async function executeGenericTool(tool, input, signal) {
+  // This is a placeholder for tools that need custom implementation;
+  // long-running implementations should stop when `signal` aborts
+  console.log(`Executing generic tool: ${tool.name}`);
+  return { success: true, message: `Tool ${tool.name} executed (placeholder)` };
+}
+
+/**
+ * Evaluate a condition with the safe expression language
+ *
+ * Syntax errors are rethrown with context so they surface in the step log.
+ */
+function evaluateCondition(condition, context) {
+  try {
+    return Boolean(evaluateExpression(condition, context));
+  } catch (error) {
+    throw new Error(`Condition evaluation failed: ${error.message}`);
+  }
+}
+
+/**
+ * Variables visible to a filter condition: the item's own fields plus `item`
+ */
+function filterContext(item) {
+  return item !== null && typeof item === 'object' && !Array.isArray(item)
+    ? { ...item, item }
+    : { item };
+}
@@ -0,0 +1,411 @@
+/**
+ * Safe Expression Language
+ *
+ * Parses and evaluates the conditions used by conditional_branch and
+ * transform_data filters without `eval` / `new Function`.
+ *
+ * Supported syntax:
+ * - Literals: numbers, 'strings', "strings", true, false, null, [arrays]
+ * - Variables and member access: user.name, items[0], order['total']
+ * - Arithmetic: + - * / %
+ * - Comparisons: == != === !== < <= > >= (equality is always strict)
+ * - Boolean logic: && || ! (or and / or / not), ternary a ? b : c
+ * - Helper calls: len(x), contains(x, y), lower(x), ... (see HELPERS)
+ *
+ * Only own properties of context values can be read, and only the
+ * whitelisted helpers can be called.
+ */
+
+const MAX_EXPRESSION_LENGTH = 2000;
+const MAX_CACHED_EXPRESSIONS = 500;
+
+const BLOCKED_PROPERTIES = new Set(['__proto__', 'prototype', 'constructor']);
+
+const HELPERS = {
+  len: (value) => (value === null || value === undefined ? 0 : value.length ?? Object.keys(value).length),
+  contains: (haystack, needle) => {
+    if (typeof haystack === 'string') return haystack.includes(String(needle));
+    if (Array.isArray(haystack)) return haystack.includes(needle);
+    if (haystack && typeof haystack === 'object') return Object.prototype.hasOwnProperty.call(haystack, needle);
+    return false;
+  },
+  lower: (value) => String(value ?? '').toLowerCase(),
+  upper: (value) => String(value ?? '').toUpperCase(),
+  trim: (value) => String(value ?? '').trim(),
+  startsWith: (value, prefix) => String(value ?? '').startsWith(String(prefix)),
+  endsWith: (value, suffix) => String(value ?? '').endsWith(String(suffix)),
+  number: (value) => Number(value),
+  string: (value) => (value === null || value === undefined ? '' : String(value)),
+  isEmpty: (value) => HELPERS.len(value) === 0,
+  exists: (value) => value !== null && value !== undefined,
+  abs: (value) => Math.abs(value),
+  round: (value, digits = 0) => Number(Number(value).toFixed(digits)),
+  min: (...values) => Math.min(...values.flat()),
+  max: (...values) => Math.max(...values.flat()),
+};
+
+// JavaScript-style method calls mapped onto helpers (x.includes(y) -> contains(x, y))
+const METHOD_ALIASES = {
+  includes: 'contains',
+  toLowerCase: 'lower',
+  toUpperCase: 'upper',
+  trim: 'trim',
+  startsWith: 'startsWith',
+  endsWith: 'endsWith',
+};
+
+const KEYWORDS = {
+  true: true,
+  false: false,
+  null: null,
+  undefined: undefined,
+};
+
+const WORD_OPERATORS = {
+  and: '&&',
+  or: '||',
+  not: '!',
+};
+
+const PUNCTUATORS = [
+  '===', '!==', '==', '!=', '<=', '>=', '&&', '||',
+  '<', '>', '+', '-', '*', '/', '%', '!', '(', ')', '[', ']', ',', '.', '?', ':',
+];
+
+const BINARY_PRECEDENCE = {
+  '||': 1,
+  '&&': 2,
+  '==': 3, '!=': 3, '===': 3, '!==': 3,
+  '<': 4, '<=': 4, '>': 4, '>=': 4,
+  '+': 5, '-': 5,
+  '*': 6, '/': 6, '%': 6,
+};
+
+const parseCache = new Map();
+
+/**
+ * Build an error pointing at a position in the expression
+ */
+function syntaxError(message, source, position) {
+  return new Error(`Invalid expression "${source}": ${message} at position ${position}`);
+}
+
+/**
+ * Split an expression into tokens
+ * @param {string} source - Expression source
+ * @returns {Array<{type: string, value: *, position: number}>} Tokens
+ */
+function tokenize(source) {
+  const tokens = [];
+  let i = 0;
+
+  while (i < source.length) {
+    const char = source[i];
+
+    if (/\s/.test(char)) {
+      i++;
+      continue;
+    }
+
+    // Numbers
+    const numberMatch = /^\d+(?:\.\d+)?(?:[eE][+-]?\d+)?/.exec(source.slice(i));
+    if (numberMatch) {
+      tokens.push({ type: 'number', value: Number(numberMatch[0]), position: i });
+      i += numberMatch[0].length;
+      continue;
+    }
+
+    // Strings
+    if (char === '"' || char === "'") {
+      const start = i;
+      let value = '';
+      i++;
+      while (i < source.length && source[i] !== char) {
+        if (source[i] === '\\' && i + 1 < source.length) {
+          const escaped = source[i + 1];
+          value += { n: '\n', t: '\t', r: '\r' }[escaped] ?? escaped;
+          i += 2;
+        } else {
+          value += source[i++];
+        }
+      }
+      if (i >= source.length) {
+        throw syntaxError('Unterminated string', source, start);
+      }
+      i++;
+      tokens.push({ type: 'string', value, position: start });
+      continue;
+    }
+
+    // Identifiers, keywords and word operators
+    const identifierMatch = /^[A-Za-z_$][\w$]*/.exec(source.slice(i));
+    if (identifierMatch) {
+      const word = identifierMatch[0];
+      if (Object.prototype.hasOwnProperty.call(WORD_OPERATORS, word)) {
+        tokens.push({ type: 'operator', value: WORD_OPERATORS[word], position: i });
+      } else if (Object.prototype.hasOwnProperty.call(KEYWORDS, word)) {
+        tokens.push({ type: 'literal', value: KEYWORDS[word], position: i });
+      } else {
+        tokens.push({ type: 'identifier', value: word, position: i });
+      }
+      i += word.length;
+      continue;
+    }
+
+    const punctuator = PUNCTUATORS.find(p => source.startsWith(p, i));
+    if (punctuator) {
+      tokens.push({ type: 'operator', value: punctuator, position: i });
+      i += punctuator.length;
+      continue;
+    }
+
+    throw syntaxError(`Unexpected character '${char}'`, source, i);
+  }
+
+  tokens.push({ type: 'end', value: null, position: source.length });
+  return tokens;
+}
+
+/**
+ * Parse an expression into an AST
+ * @param {string} source - Expression source
+ * @returns {Object} AST node
+ * @throws {Error} With the position of the first syntax error
+ */
+export function parseExpression(source) {
+  if (typeof source !== 'string' || source.trim() === '') {
+    throw new Error('Expression must be a non-empty string');
+  }
+  if (source.length > MAX_EXPRESSION_LENGTH) {
+    throw new Error(`Expression exceeds ${MAX_EXPRESSION_LENGTH} characters`);
+  }
+  if (parseCache.has(source)) {
+    return parseCache.get(source);
+  }
+
+  const tokens = tokenize(source);
+  let index = 0;
+
+  const peek = () => tokens[index];
+  const next = () => tokens[index++];
+  const isOperator = (value) => peek().type === 'operator' && peek().value === value;
+  const expect = (value) => {
+    if (!isOperator(value)) {
+      throw syntaxError(`Expected '${value}'`, source, peek().position);
+    }
+    return next();
+  };
+
+  const parseTernary = () => {
+    const test = parseBinary(1);
+    if (!isOperator('?')) return test;
+    next();
+    const consequent = parseTernary();
+    expect(':');
+    const alternate = parseTernary();
+    return { type: 'conditional', test, consequent, alternate };
+  };
+
+  const parseBinary = (minPrecedence) => {
+    let left = parseUnary();
+    while (peek().type === 'operator' && BINARY_PRECEDENCE[peek().value] >= minPrecedence) {
+      const operator = next().value;
+      const right = parseBinary(BINARY_PRECEDENCE[operator] + 1);
+      left = { type: 'binary', operator, left, right };
+    }
+    return left;
+  };
+
+  const parseUnary = () => {
+    if (isOperator('!') || isOperator('-') || isOperator('+')) {
+      const operator = next().value;
+      return { type: 'unary', operator, argument: parseUnary() };
+    }
+    return parsePostfix();
+  };
+
+  const parseArguments = () => {
+    const args = [];
+    expect('(');
+    if (!isOperator(')')) {
+      do {
+        args.push(parseTernary());
+      } while (isOperator(',') && next());
+    }
+    expect(')');
+    return args;
+  };
+
+  const parsePostfix = () => {
+    let node = parsePrimary();
+
+    for (;;) {
+      if (isOperator('.')) {
+        next();
+        const property = next();
+        if (property.type !== 'identifier' && property.type !== 'literal') {
+          throw syntaxError('Expected property name', source, property.position);
+        }
+        const name = property.type === 'identifier' ? property.value : String(property.value);
+        if (isOperator('(')) {
+          const helper = Object.prototype.hasOwnProperty.call(METHOD_ALIASES, name) ? METHOD_ALIASES[name] : null;
+          if (!helper) {
+            throw syntaxError(`Method '${name}' is not allowed`, source, property.position);
+          }
+          node = { type: 'call', name: helper, args: [node, ...parseArguments()] };
+        } else {
+          node = { type: 'member', object: node, property: { type: 'literal', value: name } };
+        }
+      } else if (isOperator('[')) {
+        next();
+        const property = parseTernary();
+        expect(']');
+        node = { type: 'member', object: node, property };
+      } else if (isOperator('(')) {
+        const position = peek().position;
+        if (node.type !== 'identifier') {
+          throw syntaxError('Only helper functions can be called', source, position);
+        }
+        if (!Object.prototype.hasOwnProperty.call(HELPERS, node.name)) {
+          throw syntaxError(`Unknown function '${node.name}'`, source, position);
+        }
+        node = { type: 'call', name: node.name, args: parseArguments() };
+      } else {
+        return node;
+      }
+    }
+  };
+
+  const parsePrimary = () => {
+    const token = next();
+
+    switch (token.type) {
+      case 'number':
+      case 'string':
+      case 'literal':
+        return { type: 'literal', value: token.value };
+      case 'identifier':
+        return { type: 'identifier', name: token.value };
+      case 'operator':
+        if (token.value === '(') {
+          const expression = parseTernary();
+          expect(')');
+          return expression;
+        }
+        if (token.value === '[') {
+          const elements = [];
+          if (!isOperator(']')) {
+            do {
+              elements.push(parseTernary());
+            } while (isOperator(',') && next());
+          }
+          expect(']');
+          return { type: 'array', elements };
+        }
+        throw syntaxError(`Unexpected '${token.value}'`, source, token.position);
+      default:
+        throw syntaxError('Unexpected end of expression', source, token.position);
+    }
+  };
+
+  const ast = parseTernary();
+  if (peek().type !== 'end') {
+    throw syntaxError(`Unexpected '${peek().value}'`, source, peek().position);
+  }
+
+  if (parseCache.size >= MAX_CACHED_EXPRESSIONS) {
+    parseCache.clear();
+  }
+  parseCache.set(source, ast);
+  return ast;
+}
+
+/**
+ * Read a property, allowing only own properties (plus length of strings/arrays)
+ */
+function readProperty(object, property) {
+  if (object === null || object === undefined) return undefined;
+
+  const key = String(property);
+  if (BLOCKED_PROPERTIES.has(key)) return undefined;
+  if (key === 'length' && (typeof object === 'string' || Array.isArray(object))) {
+    return object.length;
+  }
+  if (typeof object !== 'object' && typeof object !== 'string') return undefined;
+
+  return Object.prototype.hasOwnProperty.call(object, key) ? object[key] : undefined;
+}
+
+/**
+ * Evaluate an AST node against a context
+ */
+function evaluateNode(node, context) {
+  switch (node.type) {
+    case 'literal':
+      return node.value;
+    case 'identifier':
+      return readProperty(context, node.name);
+    case 'array':
+      return node.elements.map(element => evaluateNode(element, context));
+    case 'member':
+      return readProperty(evaluateNode(node.object, context), evaluateNode(node.property, context));
+    case 'call':
+      return HELPERS[node.name](...node.args.map(arg => evaluateNode(arg, context)));
+    case 'conditional':
+      return evaluateNode(node.test, context)
+        ? evaluateNode(node.consequent, context)
+        : evaluateNode(node.alternate, context);
+    case 'unary': {
+      const value = evaluateNode(node.argument, context);
+      if (node.operator === '!') return !value;
+      if (node.operator === '-') return -value;
+      return +value;
+    }
+    case 'binary': {
+      // Short-circuit boolean operators
+      if (node.operator === '&&') {
+        return evaluateNode(node.left, context) && evaluateNode(node.right, context);
+      }
+      if (node.operator === '||') {
+        return evaluateNode(node.left, context) || evaluateNode(node.right, context);
+      }
+
+      const left = evaluateNode(node.left, context);
+      const right = evaluateNode(node.right, context);
+      switch (node.operator) {
+        case '==':
+        case '===':
+          return left === right;
+        case '!=':
+        case '!==':
+          return left !== right;
+        case '<': return left < right;
+        case '<=': return left <= right;
+        case '>': return left > right;
+        case '>=': return left >= right;
+        case '+': return left + right;
+        case '-': return left - right;
+        case '*': return left * right;
+        case '/': return left / right;
+        case '%': return left % right;
+      }
+      throw new Error(`Unsupported operator: ${node.operator}`);
+    }
+    default:
+      throw new Error(`Unsupported expression node: ${node.type}`);
+  }
+}
+
+/**
+ * Evaluate an expression against a context object
+ * @param {string|Object} expression - Expression source or parsed AST
+ * @param {Object} [context] - Variables available to the expression
+ * @returns {*} Result of the expression
+ * @throws {Error} On syntax errors or failing helper calls
+ */
+export function evaluateExpression(expression, context = {}) {
+  const ast = typeof expression === 'string' ? parseExpression(expression) : expression;
+  return evaluateNode(ast, context ?? {});
+}
+
+export { HELPERS as EXPRESSION_HELPERS };
@@ -0,0 +1,367 @@
+/**
+ * Workflow Generation
+ *
+ * Turns natural-language requests into workflows with Claude, using the MCP
+ * tool catalog and connector library as context. Every result is linted,
+ * and errors are sent back to Claude for a bounded number of repair rounds.
+ */
+
+import Anthropic from '@anthropic-ai/sdk';
+import fs from 'fs';
+import path from 'path';
+import { isDeepStrictEqual } from 'util';
+import { lintWorkflow } from './lint';
+import { createStepParser } from './step-parser';
+
+// Initialize Anthropic client
+const anthropic = new Anthropic({
+  apiKey: process.env.ANTHROPIC_API_KEY,
+});
+
+// Load MCP tools definition
+const mcpToolsPath = path.join(process.cwd(), 'public/config/MCP_TOOLS_DEFINITION.json');
+const mcpTools = JSON.parse(fs.readFileSync(mcpToolsPath, 'utf-8'));
+
+// Load connectors library
+const connectorsPath = path.join(process.cwd(), 'public/config/CONNECTORS_LIBRARY.json');
+const connectors = JSON.parse(fs.readFileSync(connectorsPath, 'utf-8'));
+
+// Rounds in which lint errors are sent back to Claude for a fix
+const DEFAULT_REPAIR_ROUNDS = 2;
+const MAX_REPAIR_ROUNDS = 5;
+
+/**
+ * Generate a workflow from a natural-language request
+ * @param {string} prompt - What the workflow should do
+ * @param {Object} context - Extra context for Claude
+ * @param {number} maxRepairRounds - From resolveRepairRounds
+ * @param {Object} [options]
+ * @param {Function} [options.onEvent] - Stream Claude's response, called with
+ *   round_started, text and step events as it arrives (see completeWithRepairs)
+ * @param {AbortSignal} [options.signal] - Stops a streamed generation
+ * @returns {Promise<{workflow: Object|null, validation: Object, usage: Object, repairRounds: number}>}
+ *   workflow is null if no round returned parseable JSON; usage is summed over all rounds
+ */
+export async function generateWorkflow(prompt, context, maxRepairRounds, options = {}) {
+  const messages = [{ role: 'user', content: buildUserPrompt(prompt, context) }];
+  return completeWithRepairs(messages, maxRepairRounds, { ...options, temperature: 0.7 });
+}
+
+/**
+ * Change an existing workflow as instructed ("make step 3 retry 5 times")
+ *
+ * Claude is asked to keep everything it was not told to change. Defaults
+ * filled into existing steps are dropped again and steps returned
+ * unchanged are replaced by the original objects, so manual edits survive
+ * exactly and the diff only shows real changes.
+ * @param {Object} workflow - Current definition: name, description, steps, variables, ...
+ * @param {string} instruction - The requested change
+ * @param {number} maxRepairRounds - From resolveRepairRounds
+ * @returns {Promise<{workflow: Object|null, validation: Object, usage: Object, repairRounds: number}>}
+ */
+export async function refineWorkflow(workflow, instruction, maxRepairRounds) {
+  const messages = [{ role: 'user', content: buildRefinePrompt(workflow, instruction) }];
+  // A low temperature keeps unrelated parts of the workflow as they are
+  const result = await completeWithRepairs(messages, maxRepairRounds, { temperature: 0.2 });
+  if (!result.workflow) return result;
+
+  const originals = new Map(workflow.steps.map(step => [step.id, step]));
+  result.workflow.steps = result.workflow.steps.map((step, index) => {
+    const original = originals.get(step.id);
+    return original ? dropFilledDefaults(step, original, index) : step;
+  });
+  return result;
+}
+
+/**
+ * Undo the defaults parseWorkflowResponse filled into a step that the
+ * original did not have, returning the original itself if nothing else changed
+ */
+function dropFilledDefaults(step, original, index) {
+  const defaults = normalizeStep({}, index);
+  const kept = { ...step };
+  for (const key of STEP_DEFAULT_FIELDS) {
+    if (!(key in original) && isDeepStrictEqual(kept[key], defaults[key])) {
+      delete kept[key];
+    }
+  }
+  return isDeepStrictEqual(kept, original) ? original : kept;
+}
+
+/**
+ * Send a conversation to Claude and repair the workflow it returns until
+ * it passes the linter
+ *
+ * Each round sends the errors (unparseable JSON, unknown tools, missing
+ * inputs, ...) back to Claude in the same conversation and asks for the
+ * corrected workflow. Stops when the workflow has no errors or after
+ * `maxRepairRounds` repairs.
+ *
+ * With `onEvent` each round is streamed: `{type: 'round_started', round,
+ * diagnostics}` (the errors being repaired; empty for round 0), then
+ * `{type: 'text', round, text}` for each chunk and `{type: 'step', round,
+ * index, step}` as soon as a step object is complete. Steps of a repair
+ * round replace those of the round before.
+ */
+async function completeWithRepairs(messages, maxRepairRounds, { temperature, onEvent, signal }) {
+  // Build the system prompt with MCP tools and connectors context
+  const systemPrompt = buildSystemPrompt();
+  const usage = { input_tokens: 0, output_tokens: 0 };
+
+  let workflow = null;
+  let validation;
+  let diagnostics = [];
+  for (let round = 0; ; round++) {
+    const params = {
+      model: process.env.CLAUDE_MODEL || 'claude-opus-4-20250514',
+      max_tokens: 8000,
+      system: systemPrompt,
+      messages,
+      temperature,
+    };
+    const response = onEvent
+      ? await streamRound(params, round, diagnostics, onEvent, signal)
+      : await anthropic.messages.create(params);
+    usage.input_tokens += response.usage.input_tokens;
+    usage.output_tokens += response.usage.output_tokens;
+
+    const parsed = parseWorkflowResponse(response);
+    const roundValidation = parsed.workflow
+      ? lintWorkflow(parsed.workflow)
+      : { valid: false, diagnostics: parsed.diagnostics };
+
+    // A malformed repair keeps the last parseable workflow and its diagnostics
+    if (parsed.workflow || !workflow) {
+      workflow = parsed.workflow;
+      validation = roundValidation;
+    }
+
+    if (roundValidation.valid || round >= maxRepairRounds) {
+      return { workflow, validation, usage, repairRounds: round };
+    }
+
+    diagnostics = roundValidation.diagnostics;
+    messages.push(
+      { role: 'assistant', content: parsed.text || '(empty response)' },
+      { role: 'user', content: buildRepairPrompt(diagnostics) }
+    );
+  }
+}
+
+/**
+ * Stream one round of the conversation, reporting text and completed steps
+ * @returns {Promise<Object>} The final message, as messages.create returns it
+ */
+async function streamRound(params, round, diagnostics, onEvent, signal) {
+  onEvent({ type: 'round_started', round, diagnostics });
+
+  const parser = createStepParser((step, index) => {
+    onEvent({ type: 'step', round, index, step: normalizeStep(step, index) });
+  });
+
+  const stream = anthropic.messages.stream(params, { signal });
+  stream.on('text', (text) => {
+    onEvent({ type: 'text', round, text });
+    parser.push(text);
+  });
+  return stream.finalMessage();
+}
+
+/**
+ * Clamp the requested number of repair rounds
+ */
+export function resolveRepairRounds(value) {
+  const parsed = parseInt(value, 10);
+  if (!Number.isFinite(parsed) || parsed < 0) {
+    return DEFAULT_REPAIR_ROUNDS;
+  }
+  return Math.min(parsed, MAX_REPAIR_ROUNDS);
+}
+
+/**
+ * Build the system prompt with MCP tools and connectors
+ */
+function buildSystemPrompt() {
+  return `You are an expert workflow automation AI assistant. Your task is to generate structured workflows based on user requests.
+
+You have access to the following MCP tools:
+${JSON.stringify(mcpTools.tools, null, 2)}
+
+Available connectors (use an action as a step "tool", e.g. "github.create_issue"):
+${JSON.stringify(connectors.connectors.map(c => ({
+  id: c.id,
+  name: c.name,
+  description: c.description,
+  actions: c.actions.filter(action => action.tool || action.request).map(action => ({
+    tool: `${c.id}.${action.id}`,
+    description: action.description,
+    input_schema: action.input_schema || `same input as the ${action.tool} tool`,
+  })),
+})), null, 2)}
+
+When generating workflows, follow these guidelines:
+
+1. WORKFLOW STRUCTURE:
+   - Each workflow must have: name, description, and steps array
+   - Each step must have: id, name, tool, input, and optional: on_error, retry, timeout
+   - Steps can reference previous step outputs using {{step_id.output_field}} (arrays: {{step_id.items[0]}})
+   - Placeholders support filters: {{x | default: 'n/a'}}, json, upper, lower, trim, date: 'YYYY-MM-DD', join: ', '
+   - Steps run in dependency order: use depends_on to list the step ids a step must wait for
+     (otherwise dependencies are inferred from {{step_id.*}} references)
+   - Independent steps run concurrently (up to 5 at a time); set max_parallelism on the
+     workflow only to change that limit, e.g. 1 for steps that must not overlap
+   - To repeat work per item, give a loop_iteration step a nested "steps" array; nested steps
+     can use {{item}} and {{index}}, and input.concurrency runs several items at once
+
+2. TOOL SELECTION:
+   - Choose appropriate MCP tools based on the task
+   - Use connectors when integrating with external services: a step with "tool": "connector.action"
+     takes the action's input_schema; add "connector": "saved name" to the input to pick a specific
+     saved connector (otherwise the first one of that type is used)
+   - Never put API keys, tokens or passwords in step inputs; reference stored secrets as
+     {{secrets.NAME}} (e.g. "Authorization": "Bearer {{secrets.STRIPE_API_KEY}}")
+   - Prefer built-in tools over external APIs when possible
+   - Step inputs are validated against the tool's input_schema: include every required field and
+     use the listed types and enum values
+
+3. ERROR HANDLING:
+   - Add retry logic for network operations (max 3 retries), e.g.
+     "retry": { "max_attempts": 3, "strategy": "exponential", "delay_ms": 1000, "jitter": true,
+                "retry_on": ["timeout", "network", 429, "5xx"] }
+     (retry_on also accepts { "pattern": "regex" }; without it, 4xx responses other than 408/429 are not retried)
+   - on_error: "retry" retries with the step's retry policy (3 attempts by default), then stops the workflow
+   - on_error: { "goto": "step_id" } runs that handler step (which can use {{error.message}} and
+     {{error.step_id}}) only when the step fails; the workflow then carries on
+   - For steps with side effects (creating records, charging, sending), add a
+     "compensate": { "tool": "...", "input": { ... } } action that undoes them; compensations run in
+     reverse order if the workflow fails
+   - Include on_error steps for critical operations
+   - Use conditional_branch for decision points, listing the step ids to run in "then" / "else";
+     steps in the branch that is not taken are skipped
+
+4. BEST PRACTICES:
+   - Break complex tasks into smaller steps
+   - Use descriptive names for steps
+   - Add comments in metadata for complex logic
+   - Keep workflows under 50 steps for performance
+
+5. OUTPUT FORMAT:
+   Return your response as a JSON object with this structure:
+   {
+     "name": "Workflow Name",
+     "description": "What this workflow does",
+     "steps": [
+       {
+         "id": "step_1",
+         "name": "Step Name",
+         "tool": "tool_name",
+         "input": { ... },
+         "depends_on": ["step_id"],
+         "on_error": "continue|stop|retry" or { "goto": "handler_step_id" },
+         "compensate": { "tool": "tool_name", "input": { ... } },
+         "retry": { "max_attempts": 3, "delay_ms": 1000 },
+         "timeout": 30000
+       }
+     ],
+     "variables": { ... },
+     "triggers": { ... }
+   }
+
+Be creative but practical. Generate workflows that are efficient, maintainable, and handle errors gracefully.`;
+}
+
+/**
+ * Build the user prompt with context
+ */
+function buildUserPrompt(prompt, context) {
+  let userPrompt = `Generate a workflow for the following task:\n\n${prompt}`;
+
+  if (Object.keys(context).length > 0) {
+    userPrompt += `\n\nAdditional context:\n${JSON.stringify(context, null, 2)}`;
+  }
+
+  userPrompt += `\n\nPlease generate a complete, executable workflow that accomplishes this task. Return only the JSON workflow object.`;
+
+  return userPrompt;
+}
+
+/**
+ * Build the user prompt for changing an existing workflow
+ */
+function buildRefinePrompt(workflow, instruction) {
+  return `Here is an existing workflow:\n\n\`\`\`json\n${JSON.stringify(workflow, null, 2)}\n\`\`\`\n\nChange it as follows:\n\n${instruction}\n\nOnly make the requested change. Keep the ids, names, inputs and settings of every step you are not asked to change exactly as they are, since they may have been edited by hand; give new steps new unique ids. Return only the complete updated JSON workflow object.`;
+}
+
+/**
+ * Ask Claude to fix the errors found in its workflow
+ */
+function buildRepairPrompt(diagnostics) {
+  const errors = diagnostics
+    .filter(diagnostic => diagnostic.severity === 'error')
+    .map(diagnostic => `- ${diagnostic.path}: ${diagnostic.message}`)
+    .join('\n');
+
+  return `The workflow has errors:\n${errors}\n\nFix them using only the available tools and their input schemas, keeping the rest of the workflow as it is. Return only the complete corrected JSON workflow object.`;
+}
+
+/**
+ * Parse Claude's response to extract workflow
+ * @returns {{text: string, workflow: Object|null, diagnostics: Array}} workflow
+ *   is null (with an error diagnostic) when the response is not a JSON workflow
+ */
+function parseWorkflowResponse(response) {
+  const content = response.content.find(block => block.type === 'text')?.text || '';
+
+  // Try to extract JSON from the response
+  // Claude might wrap it in markdown code blocks
+  const jsonMatch = content.match(/```json\n([\s\S]*?)\n```/) ||
+                   content.match(/```\n([\s\S]*?)\n```/) ||
+                   [null, content];
+
+  const jsonText = jsonMatch[1] || content;
+  let workflow;
+  try {
+    workflow = JSON.parse(jsonText);
+  } catch (error) {
+    console.error('Error parsing workflow response:', error);
+    return {
+      text: content,
+      workflow: null,
+      diagnostics: [{ severity: 'error', code: 'invalid_json', message: `Response is not valid JSON: ${error.message}`, path: '$' }],
+    };
+  }
+
+  // Validate workflow structure
+  if (!workflow || typeof workflow !== 'object' || !workflow.name || !Array.isArray(workflow.steps)) {
+    return {
+      text: content,
+      workflow: null,
+      diagnostics: [{ severity: 'error', code: 'invalid_workflow', message: 'Response must be a workflow object with a name and a steps array', path: '$' }],
+    };
+  }
+
+  workflow.steps = workflow.steps.map(normalizeStep);
+
+  return { text: content, workflow, diagnostics: [] };
+}
+
+// Fields normalizeStep fills in when a step does not set them
+const STEP_DEFAULT_FIELDS = ['name', 'input', 'on_error', 'retry', 'timeout', 'metadata'];
+
+/**
+ * Ensure a step has the required fields (step-specific fields such as
+ * depends_on or then/else are kept as generated)
+ */
+function normalizeStep(step, index) {
+  return {
+    ...step,
+    id: step.id || `step_${index + 1}`,
+    name: step.name || `Step ${index + 1}`,
+    tool: step.tool,
+    input: step.input || {},
+    on_error: step.on_error || 'stop',
+    retry: step.retry || null,
+    timeout: step.timeout || 30000,
+    metadata: step.metadata || {},
+  };
+}
@@ -0,0 +1,419 @@
+/**
+ * Workflow Linter
+ *
+ * Checks a workflow definition without running it and reports structured
+ * diagnostics: `{ severity: 'error' | 'warning', code, message, path }`,
+ * where `path` is a JSON path into the workflow (`$.steps[2].input.url`).
+ *
+ * Errors are problems the executor would fail on (unknown tools or step
+ * ids, circular dependencies, missing required inputs, invalid retry or
+ * timeout settings); warnings flag steps that can never run, references
+ * that only resolve from execution input, and workflows over the 50-step
+ * guideline.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { getConnectorAction } from './connector-actions';
+import { collectReferences, findCycle, getBranchTargets, getErrorHandler, getNestedSteps, getStepDependencies } from './dag';
+import { parseExpression } from './expression';
+import { resolveRetryPolicy } from './retry';
+import { validateSchema } from './schema';
+
+const mcpToolsPath = path.join(process.cwd(), 'public/config/MCP_TOOLS_DEFINITION.json');
+const mcpTools = JSON.parse(fs.readFileSync(mcpToolsPath, 'utf-8'));
+
+// The step count the generator is asked to stay under
+const MAX_RECOMMENDED_STEPS = 50;
+
+const ON_ERROR_VALUES = ['stop', 'continue', 'retry'];
+
+// Names every step input can reference besides step ids and workflow variables
+const GLOBAL_NAMES = ['secrets'];
+
+/**
+ * Lint a workflow definition
+ * @param {Object} workflow - `{ name, steps, variables, ... }`
+ * @returns {{valid: boolean, diagnostics: Array<{severity: string, code: string, message: string, path: string}>}}
+ *   valid is false when there is at least one error
+ */
+export function lintWorkflow(workflow) {
+  const diagnostics = [];
+  const report = (severity, code, message, diagnosticPath) => {
+    diagnostics.push({ severity, code, message, path: diagnosticPath });
+  };
+
+  if (!workflow || typeof workflow !== 'object' || Array.isArray(workflow)) {
+    report('error', 'invalid_workflow', 'Workflow must be an object', '$');
+    return { valid: false, diagnostics };
+  }
+  if (!workflow.name) {
+    report('warning', 'missing_name', 'Workflow has no name', '$.name');
+  }
+  if (!Array.isArray(workflow.steps) || workflow.steps.length === 0) {
+    report('error', 'missing_steps', 'Workflow must have a non-empty steps array', '$.steps');
+    return { valid: false, diagnostics };
+  }
+
+  const variables = workflow.variables || workflow.metadata?.variables || {};
+  lintSteps(workflow.steps, '$.steps', new Set([...GLOBAL_NAMES, ...Object.keys(variables)]), report);
+
+  const stepCount = countSteps(workflow.steps);
+  if (stepCount > MAX_RECOMMENDED_STEPS) {
+    report('warning', 'too_many_steps', `Workflow has ${stepCount} steps; keep workflows under ${MAX_RECOMMENDED_STEPS} (split it up)`, '$.steps');
+  }
+
+  return {
+    valid: !diagnostics.some(diagnostic => diagnostic.severity === 'error'),
+    diagnostics,
+  };
+}
+
+/**
+ * Whether a workflow with this status may be saved with lint errors
+ * (drafts can; any other status needs a workflow without errors)
+ * @param {string} [status] - Workflow status (unset means draft)
+ * @returns {boolean}
+ */
+export function isDraft(status) {
+  return !status || status === 'draft';
+}
+
+/**
+ * Lint one list of steps (the workflow, or a loop's nested steps)
+ * @param {Set<string>} outerNames - Names the steps may reference besides each other
+ */
+function lintSteps(steps, stepsPath, outerNames, report) {
+  const stepPath = index => `${stepsPath}[${index}]`;
+  const indexes = new Map();
+
+  steps.forEach((step, index) => {
+    if (!step || typeof step !== 'object') {
+      report('error', 'invalid_step', 'Step must be an object', stepPath(index));
+      return;
+    }
+    if (!step.id || typeof step.id !== 'string') {
+      report('error', 'missing_step_id', 'Step has no id', `${stepPath(index)}.id`);
+    } else if (indexes.has(step.id)) {
+      report('error', 'duplicate_step_id', `Step id "${step.id}" is already used by ${stepPath(indexes.get(step.id))}`, `${stepPath(index)}.id`);
+    } else {
+      indexes.set(step.id, index);
+    }
+  });
+
+  const validSteps = steps.filter((step, index) => step && typeof step === 'object' && indexes.get(step.id) === index);
+  const stepIds = new Set(indexes.keys());
+  const graph = buildGraph(validSteps, stepIds, stepPath, indexes, report);
+  const handlerIds = new Set(validSteps.map(getErrorHandler).filter(Boolean));
+
+  for (const step of validSteps) {
+    const index = indexes.get(step.id);
+    const names = new Set([...outerNames, ...(handlerIds.has(step.id) ? ['error'] : [])]);
+
+    lintStep(step, stepPath(index), report);
+    lintReferences(step, stepPath(index), { names, stepIds, graph, indexes }, report);
+
+    if (step.compensate) {
+      lintAction(step.compensate, `${stepPath(index)}.compensate`, report);
+      const compensationNames = new Set([...names, 'error']);
+      for (const name of collectReferences(step.compensate.input)) {
+        if (!stepIds.has(name) && !compensationNames.has(name)) {
+          reportUnknownReference(name, `${stepPath(index)}.compensate.input`, report);
+        }
+      }
+    }
+
+    if (step.steps !== undefined && step.steps !== null && !Array.isArray(step.steps)) {
+      report('error', 'invalid_step', `steps must be an array of steps, got ${describe(step.steps)}`, `${stepPath(index)}.steps`);
+    } else if (Array.isArray(step.steps)) {
+      if (step.tool !== 'loop_iteration') {
+        report('warning', 'ignored_steps', 'Nested steps only run under a loop_iteration step', `${stepPath(index)}.steps`);
+      }
+      lintSteps(step.steps, `${stepPath(index)}.steps`, new Set([...names, ...stepIds, 'item', 'index']), report);
+    }
+  }
+
+  const cycle = findCycle(graph);
+  if (cycle) {
+    report('error', 'circular_dependency', `Circular dependency between steps: ${cycle.join(' -> ')}`, stepPath(indexes.get(cycle[0])));
+  }
+
+  lintReachability(validSteps, graph, stepPath, indexes, report);
+}
+
+/**
+ * The dependency graph the executor would build, reporting (and leaving
+ * out) links to unknown step ids instead of failing on the first one
+ */
+function buildGraph(steps, stepIds, stepPath, indexes, report) {
+  const graph = new Map(steps.map(step => [step.id, []]));
+  const link = (from, to) => {
+    if (!graph.get(from).includes(to)) graph.get(from).push(to);
+  };
+
+  for (const step of steps) {
+    const base = stepPath(indexes.get(step.id));
+    const explicit = step.depends_on !== undefined && step.depends_on !== null;
+
+    getStepDependencies(step, stepIds).forEach((dependency, position) => {
+      if (stepIds.has(dependency)) {
+        link(step.id, dependency);
+      } else {
+        const dependencyPath = Array.isArray(step.depends_on) ? `${base}.depends_on[${position}]` : `${base}.depends_on`;
+        report('error', 'unknown_step', `Depends on unknown step ${describe(dependency)}`, explicit ? dependencyPath : base);
+      }
+    });
+
+    for (const branch of ['then', 'else']) {
+      getBranchTargets(step)[branch].forEach((target, position) => {
+        if (stepIds.has(target)) {
+          link(target, step.id);
+        } else {
+          const targetPath = Array.isArray(step[branch]) ? `${base}.${branch}[${position}]` : `${base}.${branch}`;
+          report('error', 'unknown_step', `Branches to unknown step ${describe(target)}`, targetPath);
+        }
+      });
+    }
+
+    const handler = getErrorHandler(step);
+    if (handler === step.id) {
+      report('error', 'invalid_on_error', 'A step cannot be its own error handler', `${base}.on_error.goto`);
+    } else if (handler && !stepIds.has(handler)) {
+      report('error', 'unknown_step', `Routes errors to unknown step ${describe(handler)}`, `${base}.on_error.goto`);
+    } else if (handler) {
+      link(handler, step.id);
+    }
+  }
+
+  return graph;
+}
+
+/**
+ * Check a step's tool, inputs, error handling, retry policy and timeout
+ */
+function lintStep(step, stepPath, report) {
+  lintAction(step, stepPath, report);
+
+  const onError = step.on_error;
+  if (onError !== undefined && onError !== null && !ON_ERROR_VALUES.includes(onError) && !getErrorHandler(step)) {
+    report('error', 'invalid_on_error', `on_error must be ${ON_ERROR_VALUES.join(', ')} or { "goto": "step_id" }`, `${stepPath}.on_error`);
+  }
+
+  const condition = step.input?.condition;
+  if (step.tool === 'conditional_branch' && typeof condition === 'string' && !condition.includes('{{')) {
+    try {
+      parseExpression(condition);
+    } catch (error) {
+      report('error', 'invalid_condition', error.message, `${stepPath}.input.condition`);
+    }
+  }
+}
+
+/**
+ * Check a step or compensate action: known tool, valid input, retry and timeout
+ */
+function lintAction(action, actionPath, report) {
+  const tool = resolveTool(action.tool);
+  if (!action.tool) {
+    report('error', 'missing_tool', 'Step has no tool', `${actionPath}.tool`);
+  } else if (!tool) {
+    report('error', 'unknown_tool', `Unknown tool ${describe(action.tool)}`, `${actionPath}.tool`);
+  } else {
+    lintInput(action.input || {}, tool, `${actionPath}.input`, report);
+  }
+
+  if (action.timeout !== undefined && action.timeout !== null
+    && !(typeof action.timeout === 'number' && Number.isFinite(action.timeout) && action.timeout > 0)) {
+    report('error', 'invalid_timeout', 'timeout must be a positive number of milliseconds', `${actionPath}.timeout`);
+  }
+
+  lintRetry(action, actionPath, report);
+}
+
+/**
+ * The tool schema a step runs against, or null for an unknown tool
+ * @returns {{input_schema?: Object, input?: Object, defaults?: Object}|null}
+ */
+function resolveTool(toolName) {
+  if (typeof toolName !== 'string') return null;
+  const tool = mcpTools.tools.find(candidate => candidate.name === toolName);
+  if (tool) return tool;
+
+  const connectorAction = getConnectorAction(toolName);
+  if (connectorAction?.action.tool) {
+    const backing = mcpTools.tools.find(candidate => candidate.name === connectorAction.action.tool);
+    return backing && { input_schema: backing.input_schema, input: connectorAction.action.input };
+  }
+  if (connectorAction?.action.request) {
+    return { input_schema: connectorAction.action.input_schema, defaults: connectorAction.action.defaults };
+  }
+  return null;
+}
+
+/**
+ * Report required inputs that are missing and literal values of the wrong
+ * type; values containing placeholders are only known at run time
+ */
+function lintInput(input, tool, inputPath, report) {
+  if (!input || typeof input !== 'object' || Array.isArray(input)) {
+    report('error', 'invalid_input', 'input must be an object', inputPath);
+    return;
+  }
+
+  // Connector defaults come from the saved connector config
+  const resolved = { ...tool.defaults, ...tool.input, ...input };
+  const { errors } = validateSchema(resolved, tool.input_schema, { coerce: true });
+  for (const error of errors) {
+    if (isTemplated(resolved, error.path)) continue;
+    const code = error.message === 'is required' ? 'missing_input' : 'invalid_input';
+    report('error', code, `${error.path} ${error.message}`, `${inputPath}.${error.path}`);
+  }
+}
+
+/**
+ * Check a retry block with the executor's own policy rules
+ */
+function lintRetry(action, actionPath, report) {
+  const retry = action.retry;
+  if (retry === undefined || retry === null) return;
+
+  if (typeof retry !== 'object' || Array.isArray(retry)) {
+    report('error', 'invalid_retry', 'retry must be an object', `${actionPath}.retry`);
+    return;
+  }
+
+  const positiveInteger = value => Number.isInteger(value) && value >= 1;
+  const nonNegative = value => typeof value === 'number' && Number.isFinite(value) && value >= 0;
+  const checks = [
+    ['max_attempts', positiveInteger, 'must be a whole number of at least 1'],
+    ['delay_ms', nonNegative, 'must be a non-negative number of milliseconds'],
+    ['max_delay_ms', nonNegative, 'must be a non-negative number of milliseconds'],
+    ['multiplier', value => typeof value === 'number' && value >= 1, 'must be a number of at least 1'],
+    ['jitter', value => typeof value === 'boolean' || (nonNegative(value) && value <= 1), 'must be true, false or a ratio from 0 to 1'],
+  ];
+  for (const [key, isValid, message] of checks) {
+    if (retry[key] !== undefined && !isValid(retry[key])) {
+      report('error', 'invalid_retry', `retry.${key} ${message}`, `${actionPath}.retry.${key}`);
+    }
+  }
+
+  try {
+    resolveRetryPolicy(action);
+  } catch (error) {
+    report('error', 'invalid_retry', error.message, `${actionPath}.retry`);
+  }
+}
+
+/**
+ * Check `{{name.*}}` references: step outputs must come from a step that
+ * runs first, and other names must be workflow variables
+ */
+function lintReferences(step, stepPath, { names, stepIds, graph, indexes }, report) {
+  const ancestors = getAncestors(step.id, graph);
+  const nested = getNestedSteps(step);
+  const nestedIds = new Set(nested.map(child => child.id));
+  const nestedReferences = new Set();
+  nested.forEach(child => collectReferences(child.input, nestedReferences));
+
+  // Nested steps are linted on their own; here only their use of outer steps matters
+  const references = [
+    ...[...collectReferences(step.input)].map(name => [name, `${stepPath}.input`]),
+    ...[...nestedReferences].filter(name => stepIds.has(name) && !nestedIds.has(name)).map(name => [name, `${stepPath}.steps`]),
+  ];
+
+  for (const [name, referencePath] of references) {
+    if (name === step.id) {
+      report('error', 'self_reference', `References its own output {{${name}}}`, referencePath);
+    } else if (stepIds.has(name) && !ancestors.has(name)) {
+      report('error', 'unordered_reference', `References {{${name}}}, which is not guaranteed to run first; add it to depends_on`, referencePath);
+    } else if (stepIds.has(name) && indexes.get(name) > indexes.get(step.id)) {
+      report('warning', 'forward_reference', `References {{${name}}}, which is defined later in the workflow`, referencePath);
+    } else if (!stepIds.has(name) && !names.has(name)) {
+      reportUnknownReference(name, referencePath, report);
+    }
+  }
+}
+
+function reportUnknownReference(name, referencePath, report) {
+  report('warning', 'unknown_reference', `{{${name}}} is not a step or workflow variable; it must be passed as execution input`, referencePath);
+}
+
+/**
+ * Report steps that are skipped on every run: targets of both branches of
+ * the same step, the untaken branch of a constant condition, and steps
+ * whose dependencies are all unreachable
+ */
+function lintReachability(steps, graph, stepPath, indexes, report) {
+  const unreachable = new Map();
+
+  for (const step of steps) {
+    const targets = getBranchTargets(step);
+    if (step.tool !== 'conditional_branch') {
+      [...targets.then, ...targets.else].forEach(id => unreachable.set(id, `${step.id} is not a conditional_branch step`));
+      continue;
+    }
+
+    targets.then.filter(id => targets.else.includes(id)).forEach(id => unreachable.set(id, `it is in both branches of ${step.id}`));
+
+    const condition = String(step.input?.condition ?? '').trim();
+    if (condition === 'true') targets.else.forEach(id => unreachable.set(id, `the condition of ${step.id} is always true`));
+    if (condition === 'false') targets.then.forEach(id => unreachable.set(id, `the condition of ${step.id} is always false`));
+  }
+
+  // Steps whose dependencies are all skipped are skipped too
+  let changed = true;
+  while (changed) {
+    changed = false;
+    for (const step of steps) {
+      const dependencies = graph.get(step.id);
+      if (!unreachable.has(step.id) && dependencies.length > 0 && dependencies.every(id => unreachable.has(id))) {
+        unreachable.set(step.id, 'all of its dependencies are unreachable');
+        changed = true;
+      }
+    }
+  }
+
+  for (const [id, reason] of unreachable) {
+    if (!indexes.has(id)) continue;
+    report('warning', 'unreachable_step', `Step "${id}" never runs: ${reason}`, stepPath(indexes.get(id)));
+  }
+}
+
+/**
+ * All steps that settle before a step (its transitive dependencies)
+ */
+function getAncestors(id, graph) {
+  const ancestors = new Set();
+  const visit = (current) => {
+    for (const dependency of graph.get(current) || []) {
+      if (ancestors.has(dependency)) continue;
+      ancestors.add(dependency);
+      visit(dependency);
+    }
+  };
+  visit(id);
+  return ancestors;
+}
+
+/**
+ * Whether a value along a schema error path is (or sits inside) a placeholder
+ */
+function isTemplated(value, errorPath) {
+  let current = value;
+  for (const key of errorPath.match(/[^.[\]]+/g) || []) {
+    if (typeof current === 'string' && current.includes('{{')) return true;
+    current = current?.[key];
+  }
+  return typeof current === 'string' && current.includes('{{');
+}
+
+/**
+ * A value for a message: strings quoted, anything else as JSON
+ */
+function describe(value) {
+  return JSON.stringify(value) ?? String(value);
+}
+
+function countSteps(steps) {
+  return steps.reduce((total, step) => total + 1 + (Array.isArray(step?.steps) ? countSteps(step.steps) : 0), 0);
+}
@@ -0,0 +1,243 @@
+/**
+ * Workflow Retry Policies
+ *
+ * Normalizes a step's `retry` block and decides whether and when a failed
+ * attempt is retried.
+ *
+ * retry: {
+ *   max_attempts: 3,             // total attempts, including the first
+ *   strategy: 'exponential',     // 'exponential' | 'linear' | 'fixed'
+ *   delay_ms: 1000,              // base delay
+ *   multiplier: 2,               // exponential growth factor
+ *   max_delay_ms: 30000,         // cap for any single delay
+ *   jitter: true,                // true (up to 50% off) or a 0-1 ratio
+ *   retry_on: ['timeout', 'network', 429, '5xx', { pattern: 'rate limit' }]
+ * }
+ *
+ * Without `retry_on`, every error is retried except HTTP 4xx responses
+ * (other than 408 and 429), which will not succeed on a second try.
+ */
+
+const DEFAULT_DELAY_MS = 1000;
+const DEFAULT_MAX_DELAY_MS = 30000;
+const DEFAULT_MULTIPLIER = 2;
+const DEFAULT_JITTER_RATIO = 0.5;
+
+// `on_error: 'retry'` without a retry block
+const ON_ERROR_RETRY_DEFAULTS = { max_attempts: 3, strategy: 'exponential', jitter: true };
+
+const STRATEGIES = ['exponential', 'linear', 'fixed'];
+
+const NETWORK_ERROR_CODES = [
+  'ECONNRESET',
+  'ECONNREFUSED',
+  'ECONNABORTED',
+  'ENOTFOUND',
+  'EAI_AGAIN',
+  'ENETUNREACH',
+  'EHOSTUNREACH',
+  'EPIPE',
+  'ETIMEDOUT',
+  'ERR_NETWORK',
+];
+
+const TIMEOUT_ERROR_CODES = ['ETIMEDOUT', 'ECONNABORTED'];
+
+// `{ pattern }` rules come from the workflow author: keep them short, and
+// match them against a bounded slice of the error message
+const MAX_PATTERN_LENGTH = 200;
+const MAX_MATCHED_MESSAGE_LENGTH = 1000;
+// A quantified group that itself contains a quantifier, e.g. (a+)+ or (\w*)*,
+// which can backtrack exponentially
+const NESTED_QUANTIFIER = /\((?:[^()\\]|\\.)*[+*}](?:[^()\\]|\\.)*\)(?:[+*]|\{\d+,\d*\})/;
+
+/**
+ * Build the retry policy for a step
+ *
+ * A `retry` block without `strategy` keeps the original linear
+ * `delay_ms * attempt` behaviour; `on_error: 'retry'` defaults to three
+ * exponential attempts with jitter.
+ * @param {Object} step - Workflow step
+ * @returns {Object} Policy with max_attempts, strategy, delays, jitter and retry_on
+ */
+export function resolveRetryPolicy(step) {
+  const retry = step.on_error === 'retry'
+    ? { ...ON_ERROR_RETRY_DEFAULTS, ...step.retry }
+    : step.retry || {};
+  const strategy = retry.strategy || 'linear';
+
+  if (!STRATEGIES.includes(strategy)) {
+    throw new Error(`Unknown retry strategy "${strategy}" (expected ${STRATEGIES.join(', ')})`);
+  }
+
+  const retryOn = retry.retry_on ? [].concat(retry.retry_on) : null;
+  // Surface malformed rules now rather than when the step first fails
+  retryOn?.forEach(rule => matchesRetryRule(rule, null));
+
+  return {
+    max_attempts: Math.max(1, parseInt(retry.max_attempts, 10) || 1),
+    strategy,
+    delay_ms: retry.delay_ms ?? DEFAULT_DELAY_MS,
+    multiplier: retry.multiplier ?? DEFAULT_MULTIPLIER,
+    max_delay_ms: retry.max_delay_ms ?? DEFAULT_MAX_DELAY_MS,
+    jitter: retry.jitter === true ? DEFAULT_JITTER_RATIO : Number(retry.jitter) || 0,
+    retry_on: retryOn,
+  };
+}
+
+/**
+ * Delay before the next attempt
+ * @param {Object} policy - Policy from resolveRetryPolicy
+ * @param {number} attempt - The attempt that just failed (1-based)
+ * @param {Error} [error] - The failure; a Retry-After header raises the delay
+ * @returns {number} Delay in milliseconds
+ */
+export function getRetryDelay(policy, attempt, error) {
+  let delay;
+  switch (policy.strategy) {
+    case 'fixed':
+      delay = policy.delay_ms;
+      break;
+    case 'exponential':
+      delay = policy.delay_ms * Math.pow(policy.multiplier, attempt - 1);
+      break;
+    default:
+      delay = policy.delay_ms * attempt;
+  }
+
+  if (policy.jitter > 0) {
+    delay -= delay * policy.jitter * Math.random();
+  }
+
+  const retryAfter = getRetryAfterMs(error);
+  if (retryAfter !== null) {
+    delay = Math.max(delay, retryAfter);
+  }
+
+  return Math.round(Math.min(delay, policy.max_delay_ms));
+}
+
+/**
+ * Whether an error should be retried under a policy
+ * @param {Object} policy - Policy from resolveRetryPolicy
+ * @param {Error} error - The failure
+ * @returns {boolean}
+ */
+export function isRetryableError(policy, error) {
+  if (error?.retryable === false) return false;
+
+  if (!policy.retry_on) {
+    const status = getErrorStatus(error);
+    return !(status >= 400 && status < 500 && status !== 408 && status !== 429);
+  }
+
+  return policy.retry_on.some(rule => matchesRetryRule(rule, error));
+}
+
+/**
+ * Classify an error for the execution log
+ * @returns {{type: string, status?: number}} type is 'http', 'timeout', 'network' or 'error'
+ */
+export function classifyError(error) {
+  const status = getErrorStatus(error);
+  if (status) return { type: 'http', status };
+  if (isTimeoutError(error)) return { type: 'timeout' };
+  if (isNetworkError(error)) return { type: 'network' };
+  return { type: 'error' };
+}
+
+/**
+ * Match one `retry_on` rule
+ *
+ * Rules: 'timeout', 'network', a status code (429), a status class ('5xx'),
+ * or an object `{ status: [...] }`, `{ pattern: 'regex' }`, `{ type: 'timeout' }`.
+ */
+function matchesRetryRule(rule, error) {
+  if (typeof rule === 'number') {
+    return getErrorStatus(error) === rule;
+  }
+
+  if (typeof rule === 'string') {
+    if (rule === 'timeout') return isTimeoutError(error);
+    if (rule === 'network') return isNetworkError(error);
+
+    const statusClass = /^([1-5])xx$/i.exec(rule);
+    if (statusClass) {
+      return Math.floor(getErrorStatus(error) / 100) === Number(statusClass[1]);
+    }
+    if (/^\d{3}$/.test(rule)) {
+      return getErrorStatus(error) === Number(rule);
+    }
+    throw new Error(`Unknown retry_on rule "${rule}"`);
+  }
+
+  if (rule && typeof rule === 'object') {
+    if (rule.status !== undefined) {
+      return [].concat(rule.status).some(status => matchesRetryRule(status, error));
+    }
+    if (rule.type !== undefined) {
+      return matchesRetryRule(rule.type, error);
+    }
+    if (rule.pattern !== undefined) {
+      const message = String(error?.message || '').slice(0, MAX_MATCHED_MESSAGE_LENGTH);
+      return compilePattern(rule.pattern).test(message);
+    }
+  }
+
+  throw new Error(`Invalid retry_on rule: ${JSON.stringify(rule)}`);
+}
+
+/**
+ * Compile a `{ pattern }` rule (case-insensitive)
+ * @throws {Error} For non-strings, overlong or invalid patterns and nested quantifiers
+ */
+function compilePattern(pattern) {
+  if (typeof pattern !== 'string' || pattern === '') {
+    throw new Error('retry_on pattern must be a non-empty string');
+  }
+  if (pattern.length > MAX_PATTERN_LENGTH) {
+    throw new Error(`retry_on pattern exceeds ${MAX_PATTERN_LENGTH} characters`);
+  }
+  if (NESTED_QUANTIFIER.test(pattern)) {
+    throw new Error(`retry_on pattern "${pattern}" nests quantifiers, which can make matching hang`);
+  }
+  try {
+    return new RegExp(pattern, 'i');
+  } catch (error) {
+    throw new Error(`Invalid retry_on pattern "${pattern}": ${error.message}`);
+  }
+}
+
+/**
+ * HTTP status of a failed request (axios errors or errors with `status`)
+ */
+function getErrorStatus(error) {
+  const status = error?.response?.status ?? error?.status;
+  return Number.isInteger(status) ? status : null;
+}
+
+function isTimeoutError(error) {
+  return error?.message === 'Tool execution timeout'
+    || TIMEOUT_ERROR_CODES.includes(error?.code)
+    || /timed? ?out/i.test(error?.message || '');
+}
+
+function isNetworkError(error) {
+  // A request that was sent but got no response
+  if (error?.isAxiosError && error.request && !error.response) return true;
+  return NETWORK_ERROR_CODES.includes(error?.code ?? error?.cause?.code);
+}
+
+/**
+ * Delay requested by a Retry-After response header (seconds or HTTP date)
+ */
+function getRetryAfterMs(error) {
+  const header = error?.response?.headers?.['retry-after'];
+  if (header === undefined || header === null) return null;
+
+  const seconds = Number(header);
+  if (Number.isFinite(seconds)) return Math.max(0, seconds * 1000);
+
+  const date = Date.parse(header);
+  return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+}
@@ -0,0 +1,391 @@
+/**
+ * Workflow Runner
+ *
+ * Runs executions on top of the executor and persists them: progress and
+ * checkpoints are saved as steps settle, a heartbeat marks the execution as
+ * alive, and background runs go through an in-process queue.
+ *
+ * Executions are durable: the workflow definition and input are stored with
+ * the execution, so one whose process died (crash or redeploy) is marked
+ * `interrupted` by the sweeper and can be resumed from its last checkpoint.
+ *
+ * Executions can be cancelled: locally through their AbortController, and
+ * on other server instances by the `cancelled` status, which the owning
+ * runner sees in the record returned by its next progress or heartbeat write.
+ *
+ * Each run of a saved workflow decrypts the vault secrets of its stored
+ * owner (`user_id`) for `{{secrets.NAME}}` placeholders; they are never
+ * persisted with it. Inline workflows come from the caller, so they get no
+ * secrets: a `user_id` in a request body must not unlock anyone's vault.
+ */
+
+import {
+  getWorkflow,
+  createExecution,
+  updateExecution,
+  updateExecutionIfStatus,
+  updateWorkflow,
+  markInterruptedExecutions,
+} from '@/lib/db';
+import { openEventStream } from '@/lib/event-stream';
+import { loadSecrets } from '@/lib/secrets';
+import { executeWorkflow } from './executor';
+
+// Background (async) executions running at the same time in this process
+const MAX_CONCURRENT_EXECUTIONS = parseInt(process.env.MAX_CONCURRENT_EXECUTIONS) || 5;
+const executionQueue = [];
+let activeExecutions = 0;
+
+// AbortControllers of the queued and running executions in this process
+const executionControllers = new Map();
+
+// Live executions refresh heartbeat_at this often; the sweeper treats
+// executions without a heartbeat for EXECUTION_STALE_AFTER_MS as dead
+const HEARTBEAT_INTERVAL_MS = 30000;
+const EXECUTION_STALE_AFTER_MS = parseInt(process.env.EXECUTION_STALE_AFTER_MS) || 120000;
+
+const RESUMABLE_STATUSES = ['interrupted', 'failed'];
+const CANCELLABLE_STATUSES = ['queued', 'running', 'interrupted'];
+const ACTIVE_STATUSES = ['queued', 'running'];
+
+/**
+ * Create an execution record holding everything needed to resume it
+ */
+export async function createExecutionRecord(workflow, input, workflowId, status) {
+  return createExecution({
+    workflow_id: workflowId || null,
+    status,
+    execution_log: [],
+    input,
+    workflow_snapshot: workflow,
+    checkpoint: {},
+    heartbeat_at: new Date().toISOString(),
+  });
+}
+
+/**
+ * Run a workflow for an execution record and persist the outcome
+ *
+ * The execution_log and checkpoint are saved after every step event so
+ * pollers can follow progress; the final record and workflow stats are
+ * written at the end. Pass `options.checkpoint` to resume a run.
+ */
+export async function runExecution(workflow, input, executionId, workflowId, options = {}) {
+  const { resumed = false, ...executeOptions } = options;
+  const checkpoint = options.checkpoint || {};
+
+  let secrets;
+  try {
+    secrets = await loadOwnerSecrets(workflowId);
+  } catch (error) {
+    await updateExecution(executionId, {
+      status: 'failed',
+      completed_at: new Date().toISOString(),
+      error: error.message,
+    });
+    throw error;
+  }
+
+  const controller = trackExecution(executionId);
+  const saveProgress = createProgressWriter(executionId, checkpoint, controller);
+  const stopHeartbeat = startHeartbeat(() => saveProgress());
+
+  let result;
+  try {
+    result = await executeWorkflow(workflow, input, executionId, workflowId, {
+      ...executeOptions,
+      checkpoint,
+      secrets,
+      signal: controller.signal,
+      onEvent: (event) => {
+        saveProgress(event.log);
+        options.onEvent?.(event);
+      },
+    });
+  } finally {
+    stopHeartbeat();
+    executionControllers.delete(executionId);
+    await saveProgress.flush();
+  }
+
+  // Update execution record (a cancellation that landed after the last
+  // step keeps its status; the outcome is still saved)
+  const outcome = {
+    result: result.outputs,
+    execution_log: result.log,
+    checkpoint,
+    duration_ms: result.duration,
+  };
+  const finished = await updateExecutionIfStatus(executionId, ACTIVE_STATUSES, {
+    ...outcome,
+    status: executionStatus(result),
+    completed_at: new Date().toISOString(),
+    error: result.error || null,
+  });
+  if (!finished) {
+    await updateExecution(executionId, outcome);
+  }
+
+  // Update workflow stats (a resumed run was already counted)
+  if (workflowId && !resumed) {
+    const stats = {
+      execution_count: workflow.execution_count + 1,
+      success_count: result.success ? workflow.success_count + 1 : workflow.success_count,
+      failure_count: result.success ? workflow.failure_count : workflow.failure_count + 1,
+    };
+    await updateWorkflow(workflowId, stats);
+  }
+
+  return result;
+}
+
+/**
+ * Decrypt the secrets of a saved workflow's owner, as stored in the
+ * database (never the `user_id` of the definition being run)
+ */
+async function loadOwnerSecrets(workflowId) {
+  if (!workflowId) return {};
+  const saved = await getWorkflow(workflowId);
+  return loadSecrets(saved?.user_id || null);
+}
+
+/**
+ * Run an execution while streaming its events to the client over SSE
+ *
+ * The run continues (and is persisted) even if the client disconnects.
+ */
+export async function streamExecution(res, workflow, input, executionId, workflowId, options = {}) {
+  const events = openEventStream(res);
+  events.send('execution_started', { executionId, workflowId: workflowId || null });
+
+  try {
+    const result = await runExecution(workflow, input, executionId, workflowId, {
+      ...options,
+      onEvent: ({ log, ...event }) => events.send(event.type, event),
+    });
+
+    events.send('workflow_finished', {
+      executionId,
+      success: result.success,
+      cancelled: result.cancelled,
+      outputs: result.outputs,
+      error: result.error,
+      duration: result.duration,
+    });
+  } catch (error) {
+    console.error('Error streaming execution:', error);
+    events.send('workflow_finished', { executionId, success: false, error: error.message });
+  } finally {
+    events.close();
+  }
+}
+
+/**
+ * Queue an execution to run in the background
+ *
+ * The execution keeps a heartbeat while it waits, so the sweeper does not
+ * mistake a queued run for an orphaned one.
+ */
+export function enqueueExecution(workflow, input, executionId, workflowId, options = {}) {
+  const controller = trackExecution(executionId);
+  const stopHeartbeat = startHeartbeat(async () => {
+    const record = await updateExecution(executionId, { heartbeat_at: new Date().toISOString() });
+    abortIfCancelled(record, controller);
+  });
+
+  executionQueue.push(async () => {
+    stopHeartbeat();
+    if (controller.signal.aborted) {
+      executionControllers.delete(executionId);
+      return;
+    }
+    try {
+      await updateExecution(executionId, { status: 'running', heartbeat_at: new Date().toISOString() });
+      await runExecution(workflow, input, executionId, workflowId, options);
+    } catch (error) {
+      await updateExecution(executionId, {
+        status: 'failed',
+        completed_at: new Date().toISOString(),
+        error: error.message,
+      });
+      throw error;
+    }
+  });
+  drainExecutionQueue();
+}
+
+function drainExecutionQueue() {
+  while (activeExecutions < MAX_CONCURRENT_EXECUTIONS && executionQueue.length > 0) {
+    const job = executionQueue.shift();
+    activeExecutions++;
+    job()
+      .catch((error) => {
+        console.error('Error in background execution:', error);
+      })
+      .finally(() => {
+        activeExecutions--;
+        drainExecutionQueue();
+      });
+  }
+}
+
+/**
+ * Whether an execution can be cancelled (it is queued, running or interrupted)
+ */
+export function isCancellable(execution) {
+  return CANCELLABLE_STATUSES.includes(execution.status);
+}
+
+/**
+ * Cancel an execution
+ *
+ * Records the `cancelled` status and aborts the run if it is queued or
+ * running in this process; a run on another instance stops at its next
+ * progress or heartbeat write. The status check and the update are one
+ * conditional write, so a run that finishes at the same moment is not
+ * overwritten.
+ * @returns {Promise<Object|null>} The updated execution, or null if it is no longer cancellable
+ */
+export async function cancelExecution(executionId) {
+  const execution = await updateExecutionIfStatus(executionId, CANCELLABLE_STATUSES, {
+    status: 'cancelled',
+    completed_at: new Date().toISOString(),
+    error: 'Execution cancelled',
+  });
+  if (!execution) return null;
+
+  executionControllers.get(executionId)?.abort(new Error('Execution cancelled'));
+  return execution;
+}
+
+/**
+ * Whether an execution can be resumed (it was interrupted or failed)
+ */
+export function isResumable(execution) {
+  return RESUMABLE_STATUSES.includes(execution.status);
+}
+
+/**
+ * Move a resumable execution back to `status` ('running' or 'queued')
+ *
+ * The status check and the update are one conditional write, so when two
+ * resume requests race only one of them gets the execution.
+ * @returns {Promise<Object|null>} The claimed execution, or null if it is no longer resumable
+ */
+export async function claimExecutionForResume(executionId, status) {
+  return updateExecutionIfStatus(executionId, RESUMABLE_STATUSES, {
+    status,
+    completed_at: null,
+    error: null,
+    heartbeat_at: new Date().toISOString(),
+  });
+}
+
+/**
+ * Get the workflow, input and checkpoint to resume an execution with
+ *
+ * Uses the workflow snapshot stored with the execution, so edits made to
+ * the workflow since it started do not affect the resumed run.
+ */
+export async function getResumeState(execution) {
+  const workflow = execution.workflow_snapshot
+    || (execution.workflow_id ? await getWorkflow(execution.workflow_id) : null);
+  if (!workflow) {
+    throw new Error('Execution has no stored workflow definition to resume from');
+  }
+
+  return {
+    workflow,
+    input: execution.input || {},
+    checkpoint: execution.checkpoint || {},
+  };
+}
+
+/**
+ * Mark executions whose process stopped heartbeating as interrupted
+ * @returns {Promise<Array>} The executions that were marked
+ */
+export async function sweepInterruptedExecutions() {
+  const staleBefore = new Date(Date.now() - EXECUTION_STALE_AFTER_MS).toISOString();
+  const interrupted = await markInterruptedExecutions(staleBefore);
+
+  if (interrupted.length > 0) {
+    console.warn(`⚠️  Marked ${interrupted.length} orphaned execution(s) as interrupted; resume them via POST /api/executions/:id/resume`);
+  }
+  return interrupted;
+}
+
+/**
+ * Final status of an execution from its result
+ */
+function executionStatus(result) {
+  if (result.cancelled) return 'cancelled';
+  return result.success ? 'completed' : 'failed';
+}
+
+/**
+ * Register an AbortController for an execution in this process
+ */
+function trackExecution(executionId) {
+  const controller = executionControllers.get(executionId) || new AbortController();
+  executionControllers.set(executionId, controller);
+  return controller;
+}
+
+/**
+ * Abort a local run whose record was cancelled (e.g. from another instance)
+ */
+function abortIfCancelled(record, controller) {
+  if (record?.status === 'cancelled' && !controller.signal.aborted) {
+    controller.abort(new Error('Execution cancelled'));
+  }
+}
+
+/**
+ * Call `beat` every HEARTBEAT_INTERVAL_MS until the returned stop function is called
+ */
+function startHeartbeat(beat) {
+  const timer = setInterval(() => {
+    Promise.resolve(beat()).catch((error) => {
+      console.error('Error saving execution heartbeat:', error);
+    });
+  }, HEARTBEAT_INTERVAL_MS);
+  timer.unref?.();
+  return () => clearInterval(timer);
+}
+
+/**
+ * Create a writer that saves the in-progress execution_log and checkpoint
+ *
+ * Writes are serialized and coalesced: while one write is waiting, further
+ * calls only update the log it will save. Every write refreshes the
+ * heartbeat and aborts the run if its record has been cancelled; calling
+ * it without a log only does that.
+ */
+function createProgressWriter(executionId, checkpoint, controller) {
+  let chain = Promise.resolve();
+  let latestLog;
+  let queued = false;
+
+  const save = (log) => {
+    if (log !== undefined) latestLog = log;
+    if (queued) return;
+    queued = true;
+    chain = chain
+      .then(() => {
+        queued = false;
+        return updateExecution(executionId, {
+          execution_log: latestLog,
+          checkpoint,
+          heartbeat_at: new Date().toISOString(),
+        });
+      })
+      .then(record => abortIfCancelled(record, controller))
+      .catch((error) => {
+        console.error('Error saving execution progress:', error);
+      });
+  };
+
+  save.flush = () => chain;
+  return save;
+}
@@ -0,0 +1,183 @@
+/**
+ * Tool Schema Validation
+ *
+ * Checks step inputs and outputs against the JSON Schemas of the MCP tool
+ * catalog and connector actions. Supports the subset those schemas use:
+ * `type` (a name or a list, including integer and null), `properties`,
+ * `required`, `additionalProperties`, `items`, `enum`, `anyOf`, `default`,
+ * `minimum` / `maximum`, `minLength` / `maxLength` and `pattern`.
+ *
+ * Errors are field-level: `{ path: 'headers.Authorization', message: 'must be a string' }`.
+ */
+
+/**
+ * Validate a value against a schema
+ *
+ * @param {*} value
+ * @param {Object} [schema] - JSON Schema; without one every value is valid
+ * @param {Object} [options]
+ * @param {boolean} [options.applyDefaults] - Fill missing properties from their `default`
+ * @param {boolean} [options.coerce] - Convert between strings and the numbers or booleans
+ *   the schema expects ("5" to 5), and treat null optional properties as missing
+ * @returns {{value: *, errors: Array<{path: string, message: string}>}} The (defaulted, coerced) value
+ */
+export function validateSchema(value, schema, options = {}) {
+  const errors = [];
+  const result = schema ? check(value, schema, '', errors, options) : value;
+  return { value: result, errors };
+}
+
+/**
+ * Join field errors into one message: "url is required; method must be one of GET, POST"
+ */
+export function formatSchemaErrors(errors) {
+  return errors.map(({ path, message }) => (path ? `${path} ${message}` : message)).join('; ');
+}
+
+function check(value, schema, path, errors, options) {
+  const types = schema.type ? [].concat(schema.type) : null;
+  if (options.coerce && types) {
+    value = coerce(value, types);
+  }
+
+  if (types && !types.some(type => matchesType(value, type))) {
+    errors.push({ path, message: `must be ${types.map(article).join(' or ')}, got ${describeType(value)}` });
+    return value;
+  }
+
+  if (schema.enum && !schema.enum.some(allowed => allowed === value)) {
+    errors.push({ path, message: `must be one of ${schema.enum.join(', ')}` });
+  }
+
+  if (schema.anyOf) {
+    const matches = schema.anyOf.some(option => validateSchema(value, option, { coerce: options.coerce }).errors.length === 0);
+    if (!matches) {
+      errors.push({ path, message: 'does not match any allowed form' });
+    }
+  }
+
+  if (typeof value === 'number') {
+    if (schema.minimum !== undefined && value < schema.minimum) {
+      errors.push({ path, message: `must be at least ${schema.minimum}` });
+    }
+    if (schema.maximum !== undefined && value > schema.maximum) {
+      errors.push({ path, message: `must be at most ${schema.maximum}` });
+    }
+  }
+
+  if (typeof value === 'string') {
+    if (schema.minLength !== undefined && value.length < schema.minLength) {
+      errors.push({ path, message: `must be at least ${schema.minLength} characters` });
+    }
+    if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+      errors.push({ path, message: `must be at most ${schema.maxLength} characters` });
+    }
+    if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+      errors.push({ path, message: `must match ${schema.pattern}` });
+    }
+  }
+
+  if (Array.isArray(value) && schema.items) {
+    return value.map((item, index) => check(item, schema.items, `${path}[${index}]`, errors, options));
+  }
+
+  if (isObject(value)) {
+    return checkObject(value, schema, path, errors, options);
+  }
+
+  return value;
+}
+
+function checkObject(value, schema, path, errors, options) {
+  const properties = schema.properties || {};
+  const result = { ...value };
+
+  for (const [key, propertySchema] of Object.entries(properties)) {
+    if (options.coerce && result[key] === null && !(schema.required || []).includes(key)) {
+      delete result[key];
+    }
+    if (result[key] === undefined && options.applyDefaults && propertySchema.default !== undefined) {
+      result[key] = structuredClone(propertySchema.default);
+    }
+  }
+
+  for (const key of schema.required || []) {
+    if (result[key] === undefined || (options.coerce && result[key] === null)) {
+      errors.push({ path: join(path, key), message: 'is required' });
+    }
+  }
+
+  for (const [key, item] of Object.entries(result)) {
+    if (item === undefined) continue;
+    if (properties[key]) {
+      result[key] = check(item, properties[key], join(path, key), errors, options);
+    } else if (schema.additionalProperties === false) {
+      errors.push({ path: join(path, key), message: 'is not an allowed field' });
+    } else if (isObject(schema.additionalProperties)) {
+      result[key] = check(item, schema.additionalProperties, join(path, key), errors, options);
+    }
+  }
+
+  return result;
+}
+
+/**
+ * Convert a string produced by an embedded placeholder to the expected
+ * number or boolean, and a number or boolean to an expected string
+ */
+function coerce(value, types) {
+  if (types.includes('string')) {
+    return typeof value === 'number' || typeof value === 'boolean' ? String(value) : value;
+  }
+  if (typeof value !== 'string') return value;
+
+  const trimmed = value.trim();
+  if ((types.includes('number') || types.includes('integer')) && trimmed !== '' && Number.isFinite(Number(trimmed))) {
+    return Number(trimmed);
+  }
+  if (types.includes('boolean') && (trimmed === 'true' || trimmed === 'false')) {
+    return trimmed === 'true';
+  }
+  return value;
+}
+
+function matchesType(value, type) {
+  switch (type) {
+    case 'string':
+      return typeof value === 'string';
+    case 'number':
+      return typeof value === 'number' && Number.isFinite(value);
+    case 'integer':
+      return Number.isInteger(value);
+    case 'boolean':
+      return typeof value === 'boolean';
+    case 'array':
+      return Array.isArray(value);
+    case 'object':
+      return isObject(value);
+    case 'null':
+      return value === null;
+    default:
+      return true;
+  }
+}
+
+function describeType(value) {
+  if (value === null) return 'null';
+  if (value === undefined) return 'nothing';
+  if (Array.isArray(value)) return 'an array';
+  return article(typeof value);
+}
+
+function article(type) {
+  if (type === 'null') return 'null';
+  return /^[aeiou]/.test(type) ? `an ${type}` : `a ${type}`;
+}
+
+function join(path, key) {
+  return path ? `${path}.${key}` : key;
+}
+
+function isObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
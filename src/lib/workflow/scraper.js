@@ -0,0 +1,313 @@
+/**
+ * Web Scraper
+ *
+ * Fetches a page (with the SSRF checks and size limits used by the URL
+ * optimizer) and extracts content with CSS selectors: named fields,
+ * attributes, link lists, tables as JSON and readability-style main text.
+ * Pages are fetched as static HTML; scripts are not run.
+ */
+
+import axios from 'axios';
+import * as cheerio from 'cheerio';
+import net from 'net';
+import { globalRateLimiter, DEFAULT_CONFIG } from '@/lib/rate-limiter';
+
+const MAX_REDIRECTS = 5;
+
+// IP ranges that are not on the public internet: unspecified, private,
+// loopback, link-local (cloud metadata), carrier-grade NAT and IPv6
+// unique-local / link-local
+const BLOCKED_IPV4 = [
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8],
+  ['169.254.0.0', 16], ['172.16.0.0', 12], ['192.168.0.0', 16],
+];
+const BLOCKED_IPV6 = /^(::1?$|f[cd]|fe[89ab])/;
+const USER_AGENT = 'Mozilla/5.0 (compatible; WorkflowAutopilot/1.0)';
+
+// Removed before extracting text
+const NON_CONTENT_TAGS = 'script, style, noscript, template, iframe, svg, canvas';
+// Page chrome skipped when looking for the main content
+const BOILERPLATE_SELECTOR = 'nav, header, footer, aside, form, [role="navigation"], [role="banner"], [role="contentinfo"], [aria-hidden="true"]';
+const MAIN_CONTENT_SELECTOR = 'article, main, [role="main"]';
+const BLOCK_TAGS = 'p, h1, h2, h3, h4, h5, h6, li, blockquote, pre';
+const BLOCK_ELEMENTS = new Set([
+  'address', 'article', 'aside', 'blockquote', 'br', 'dd', 'div', 'dl', 'dt', 'figcaption', 'figure',
+  'footer', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'header', 'hr', 'li', 'main', 'nav', 'ol', 'p', 'pre',
+  'section', 'table', 'td', 'th', 'tr', 'ul',
+]);
+
+/**
+ * Fetch a page and extract content
+ *
+ * @param {Object} input - web_scrape step input
+ * @param {string} input.url - Page to fetch (http/https, public hosts only)
+ * @param {string} [input.selector] - Limit `content` / `html` to matching elements
+ * @param {string} [input.wait_for] - Fail (retryably) unless this selector matches
+ * @param {Object} [input.fields] - Named extractions: `{ price: '.price' }` or
+ *   `{ images: { selector: 'img', attribute: 'src', multiple: true } }`
+ * @param {boolean} [input.links] - Include `links: [{ text, href }]`
+ * @param {boolean} [input.tables] - Include `tables` as arrays of row objects
+ * @param {boolean} [input.main_text] - Include readability-style `main_text`
+ * @param {Object} [input.headers] - Extra request headers
+ * @param {AbortSignal} [signal]
+ */
+export async function scrapePage(input, signal) {
+  assertPublicUrl(input.url);
+
+  const response = await axios.get(input.url, {
+    headers: { 'User-Agent': USER_AGENT, Accept: 'text/html,application/xhtml+xml', ...input.headers },
+    responseType: 'text',
+    maxContentLength: DEFAULT_CONFIG.maxResponseSize,
+    maxBodyLength: DEFAULT_CONFIG.maxResponseSize,
+    maxRedirects: MAX_REDIRECTS,
+    // Redirects could otherwise lead to internal hosts
+    beforeRedirect: (options) => assertPublicUrl(options.href),
+    signal,
+  }).catch((error) => {
+    throw findBlockedUrlError(error) || error;
+  });
+
+  const finalUrl = response.request?.res?.responseUrl || input.url;
+  const $ = cheerio.load(response.data);
+  $(NON_CONTENT_TAGS).remove();
+
+  if (input.wait_for && $(input.wait_for).length === 0) {
+    throw new Error(`Selector "${input.wait_for}" not found on ${finalUrl}`);
+  }
+
+  const scope = input.selector ? $(input.selector) : $('body');
+  if (input.selector && scope.length === 0) {
+    const error = new Error(`Selector "${input.selector}" matched nothing on ${finalUrl}`);
+    error.retryable = false;
+    throw error;
+  }
+
+  const result = {
+    url: finalUrl,
+    status: response.status,
+    title: cleanText($('title').first().text()),
+    description: $('meta[name="description"]').attr('content') || $('meta[property="og:description"]').attr('content') || '',
+    content: scope.toArray().map(element => getText($, element)).filter(Boolean).join('\n\n'),
+    html: scope.toArray().map(element => $.html(element)).join('\n'),
+  };
+
+  if (input.fields) {
+    result.data = extractFields($, input.fields, finalUrl);
+  }
+  if (input.links) {
+    result.links = extractLinks($, scope, finalUrl);
+  }
+  if (input.tables) {
+    result.tables = scope.find('table').addBack('table').toArray().map(table => tableToJson($, table));
+  }
+  if (input.main_text) {
+    result.main_text = extractMainText($);
+  }
+
+  return result;
+}
+
+/**
+ * Reject non-http(s) URLs and local or private hosts
+ */
+function assertPublicUrl(url) {
+  const validation = globalRateLimiter.validateUrl(url);
+  const reason = validation.valid
+    ? (isPrivateAddress(new URL(url).hostname) ? 'Local/private URLs not allowed' : null)
+    : validation.reason;
+  if (reason) {
+    const error = new Error(`Cannot scrape ${url}: ${reason}`);
+    error.retryable = false;
+    throw error;
+  }
+}
+
+/**
+ * Whether a URL hostname is an IP address outside the public internet
+ * (IPv6 hosts keep their brackets; IPv4-mapped IPv6 is checked as IPv4)
+ */
+function isPrivateAddress(hostname) {
+  const host = hostname.replace(/^\[(.*)\]$/, '$1').toLowerCase();
+  if (host.endsWith('.localhost')) return true;
+
+  const mapped = host.match(/^::ffff:(.+)$/);
+  if (mapped) {
+    return isPrivateAddress(net.isIPv4(mapped[1]) ? mapped[1] : hexToIpv4(mapped[1]));
+  }
+  if (net.isIPv6(host)) return BLOCKED_IPV6.test(host);
+  if (!net.isIPv4(host)) return false;
+
+  const value = ipv4ToNumber(host);
+  return BLOCKED_IPV4.some(([base, bits]) => (value >>> (32 - bits)) === (ipv4ToNumber(base) >>> (32 - bits)));
+}
+
+function ipv4ToNumber(address) {
+  return address.split('.').reduce((value, octet) => value * 256 + Number(octet), 0);
+}
+
+// The URL parser writes ::ffff:127.0.0.1 as ::ffff:7f00:1
+function hexToIpv4(hex) {
+  const [high, low] = hex.split(':').map(part => parseInt(part, 16));
+  return [high >> 8, high & 255, low >> 8, low & 255].join('.');
+}
+
+/**
+ * The assertPublicUrl error behind a failed redirect, if any
+ */
+function findBlockedUrlError(error) {
+  for (let cause = error?.cause; cause; cause = cause.cause) {
+    if (cause.retryable === false) return cause;
+  }
+  return null;
+}
+
+/**
+ * Extract named fields
+ *
+ * A field is a selector string (text of the first match) or
+ * `{ selector, attribute, html, multiple }`.
+ */
+function extractFields($, fields, baseUrl) {
+  const data = {};
+
+  for (const [name, spec] of Object.entries(fields)) {
+    const { selector, attribute, html = false, multiple = false } = typeof spec === 'string' ? { selector: spec } : spec;
+    if (!selector) {
+      throw new Error(`Field "${name}" needs a selector`);
+    }
+
+    const values = $(selector).toArray().map((element) => {
+      if (attribute) {
+        const value = $(element).attr(attribute);
+        return value !== undefined && ['href', 'src'].includes(attribute) ? resolveUrl(value, baseUrl) : value ?? null;
+      }
+      return html ? $(element).html() : getText($, element);
+    });
+
+    data[name] = multiple ? values : values[0] ?? null;
+  }
+
+  return data;
+}
+
+function extractLinks($, scope, baseUrl) {
+  const seen = new Set();
+  const links = [];
+
+  scope.find('a[href]').addBack('a[href]').each((_, element) => {
+    const href = resolveUrl($(element).attr('href'), baseUrl);
+    if (!href || !/^https?:/.test(href) || seen.has(href)) return;
+    seen.add(href);
+    links.push({ text: cleanText($(element).text()), href });
+  });
+
+  return links;
+}
+
+/**
+ * Convert a table to row objects keyed by its header cells
+ *
+ * Without a header row, rows are arrays of cell text.
+ */
+function tableToJson($, table) {
+  const rows = $(table).find('tr').toArray()
+    .filter(row => $(row).closest('table').is(table))
+    .map(row => $(row).children('th, td').toArray());
+
+  const headerIndex = rows.findIndex(cells => cells.length > 0 && cells.every(cell => cell.tagName === 'th'));
+  const toText = cells => cells.map(cell => cleanText($(cell).text()));
+
+  if (headerIndex === -1) {
+    return rows.filter(cells => cells.length > 0).map(toText);
+  }
+
+  const headers = toText(rows[headerIndex]).map((header, index) => header || `column_${index + 1}`);
+  return rows.slice(headerIndex + 1)
+    .filter(cells => cells.length > 0)
+    .map(cells => Object.fromEntries(headers.map((header, index) => [header, cells[index] ? cleanText($(cells[index]).text()) : ''])));
+}
+
+/**
+ * Readability-style main text
+ *
+ * Uses <article> / <main> when present; otherwise picks the container with
+ * the most paragraph text, discounting link-heavy blocks such as menus.
+ */
+function extractMainText($) {
+  const page = cheerio.load($.html());
+  page(BOILERPLATE_SELECTOR).remove();
+
+  let container = page(MAIN_CONTENT_SELECTOR).first();
+  if (container.length === 0) {
+    const scores = new Map();
+    page('p').each((_, paragraph) => {
+      const text = cleanText(page(paragraph).text());
+      if (text.length < 25) return;
+
+      const parent = paragraph.parent;
+      const score = 1 + Math.min(Math.floor(text.length / 100), 3) + (text.match(/,/g) || []).length;
+      scores.set(parent, (scores.get(parent) || 0) + score);
+      if (parent?.parent) {
+        scores.set(parent.parent, (scores.get(parent.parent) || 0) + score / 2);
+      }
+    });
+
+    let best = null;
+    let bestScore = 0;
+    for (const [element, score] of scores) {
+      const adjusted = score * (1 - getLinkDensity(page, element));
+      if (adjusted > bestScore) {
+        best = element;
+        bestScore = adjusted;
+      }
+    }
+    container = best ? page(best) : page('body');
+  }
+
+  const blocks = container.find(BLOCK_TAGS).toArray()
+    .filter(element => page(element).parents(BLOCK_TAGS).length === 0)
+    .map(element => cleanText(page(element).text()))
+    .filter(Boolean);
+
+  return blocks.length > 0 ? blocks.join('\n\n') : getText(page, container.get(0));
+}
+
+function getLinkDensity($, element) {
+  const textLength = cleanText($(element).text()).length;
+  if (textLength === 0) return 1;
+  const linkLength = $(element).find('a').toArray().reduce((sum, link) => sum + cleanText($(link).text()).length, 0);
+  return linkLength / textLength;
+}
+
+/**
+ * Text content with block elements separated, so `<h1>A</h1><p>B</p>` reads "A B"
+ */
+function getText($, element) {
+  if (!element) return '';
+
+  const parts = [];
+  const walk = (node) => {
+    if (node.type === 'text') {
+      parts.push(node.data);
+    } else if (node.children) {
+      const block = BLOCK_ELEMENTS.has(node.name);
+      if (block) parts.push(' ');
+      node.children.forEach(walk);
+      if (block) parts.push(' ');
+    }
+  };
+  walk(element);
+  return cleanText(parts.join(''));
+}
+
+function cleanText(text) {
+  return text.replace(/\s+/g, ' ').trim();
+}
+
+function resolveUrl(value, baseUrl) {
+  try {
+    return new URL(value, baseUrl).href;
+  } catch (error) {
+    return null;
+  }
+}
@@ -0,0 +1,149 @@
+/**
+ * Slack Messaging
+ *
+ * Posts slack_message steps through an incoming webhook or, with a bot
+ * token, the chat.postMessage Web API (which returns the message `ts` and
+ * supports any channel). Credentials come from the step input, a saved
+ * `slack` connector, or SLACK_BOT_TOKEN / SLACK_WEBHOOK_URL.
+ *
+ * Posts are throttled to one per second per channel, Slack's documented
+ * limit, and 429 responses are retried after their Retry-After delay.
+ */
+
+import axios from 'axios';
+import { RateLimiter } from '@/lib/rate-limiter';
+import { getConnectorConfig } from './connectors';
+import { invalid, sleep } from './util';
+
+const DEFAULT_API_URL = 'https://slack.com/api';
+const MAX_RATE_LIMIT_RETRIES = 3;
+
+const channelLimiter = new RateLimiter({ maxRequestsPerWindow: 60, requestDelayMs: 1000 });
+
+// Web API errors worth another attempt; the rest (bad channel, auth, blocks) are not
+const TRANSIENT_ERRORS = ['ratelimited', 'internal_error', 'fatal_error', 'service_unavailable', 'request_timeout'];
+
+/**
+ * Post a message
+ *
+ * @param {Object} input - slack_message step input
+ * @param {string} [input.channel] - Channel ID or name (required with a bot token)
+ * @param {string} input.text - Message text (the notification fallback when blocks are set)
+ * @param {Array} [input.blocks] - Block Kit blocks
+ * @param {string} [input.thread_ts] - Reply in this message's thread
+ * @param {boolean} [input.reply_broadcast] - Also show a thread reply in the channel
+ * @param {string} [input.webhook_url] - Incoming webhook to post to
+ * @param {string} [input.connector] - Name of a saved slack connector
+ * @param {AbortSignal} [signal]
+ * @param {Object} [options]
+ * @param {Object} [options.secrets] - Vault secrets referenced by the connector config
+ * @returns {Promise<{success: boolean, via: string, channel: string|null, ts: string|null, thread_ts: string|null}>}
+ */
+export async function postSlackMessage(input, signal, { secrets } = {}) {
+  if (!input.text && !input.blocks) {
+    throw invalid('slack_message needs text or blocks');
+  }
+
+  const credentials = await resolveCredentials(input, secrets);
+  const payload = {
+    text: input.text,
+    blocks: input.blocks,
+    thread_ts: input.thread_ts,
+    reply_broadcast: input.reply_broadcast,
+    unfurl_links: input.unfurl_links,
+  };
+
+  if (credentials.bot_token) {
+    if (!input.channel) {
+      throw invalid('slack_message needs a channel when posting with a bot token');
+    }
+
+    const data = await postWithRateLimit(input.channel, signal, () => axios.post(
+      `${(process.env.SLACK_API_URL || DEFAULT_API_URL).replace(/\/$/, '')}/chat.postMessage`,
+      { channel: input.channel, ...payload },
+      {
+        headers: { Authorization: `Bearer ${credentials.bot_token}`, 'Content-Type': 'application/json; charset=utf-8' },
+        signal,
+      }
+    ));
+
+    if (!data.ok) {
+      const error = new Error(`Slack API error: ${data.error}`);
+      error.retryable = TRANSIENT_ERRORS.includes(data.error);
+      throw error;
+    }
+
+    return {
+      success: true,
+      via: 'api',
+      channel: data.channel,
+      ts: data.ts,
+      thread_ts: data.message?.thread_ts || input.thread_ts || null,
+    };
+  }
+
+  await postWithRateLimit(credentials.webhook_url, signal, () => axios.post(credentials.webhook_url, payload, { signal }));
+
+  // Webhooks answer "ok" and do not return the message timestamp
+  return {
+    success: true,
+    via: 'webhook',
+    channel: input.channel || null,
+    ts: null,
+    thread_ts: input.thread_ts || null,
+  };
+}
+
+/**
+ * Pick a bot token or webhook: step input, then a saved connector, then the environment
+ */
+async function resolveCredentials(input, secrets) {
+  if (input.webhook_url) {
+    return { webhook_url: input.webhook_url };
+  }
+
+  const connector = await getConnectorConfig('slack', input.connector, secrets);
+  const botToken = connector?.bot_token || process.env.SLACK_BOT_TOKEN;
+  const webhookUrl = connector?.webhook_url || process.env.SLACK_WEBHOOK_URL;
+
+  if (botToken) return { bot_token: botToken };
+  if (webhookUrl) return { webhook_url: webhookUrl };
+
+  throw invalid('No Slack credentials: pass webhook_url, save a slack connector, or set SLACK_BOT_TOKEN or SLACK_WEBHOOK_URL');
+}
+
+/**
+ * Send a request once the channel's throttle allows it, retrying 429s
+ * after Slack's Retry-After delay
+ */
+async function postWithRateLimit(channelKey, signal, send) {
+  for (let attempt = 0; ; attempt++) {
+    let check = channelLimiter.checkRateLimit(`slack:${channelKey}`);
+    while (!check.allowed) {
+      await sleep(check.retryAfter * 1000, signal);
+      check = channelLimiter.checkRateLimit(`slack:${channelKey}`);
+    }
+
+    try {
+      const response = await send();
+      return response.data;
+    } catch (error) {
+      if (error.response?.status !== 429 || attempt >= MAX_RATE_LIMIT_RETRIES) {
+        throw describeError(error);
+      }
+      const { delay } = channelLimiter.handle429Error(error, attempt);
+      await sleep(delay, signal);
+    }
+  }
+}
+
+/**
+ * Surface Slack's error body ("invalid_blocks", "channel_not_found", ...)
+ */
+function describeError(error) {
+  const body = error.response?.data;
+  if (error.response && body) {
+    error.message = `Slack error (${error.response.status}): ${typeof body === 'string' ? body : body.error || JSON.stringify(body)}`;
+  }
+  return error;
+}
@@ -0,0 +1,115 @@
+/**
+ * Incremental Step Parser
+ *
+ * Picks complete step objects out of a workflow JSON document while it is
+ * still being streamed, so steps can be previewed before the whole
+ * response has arrived. Text around the workflow object (prose, a ```json
+ * fence) is skipped, as are brace-delimited snippets without a `"steps"`
+ * array; only the elements of the top-level `"steps"` array are reported,
+ * nested loop steps stay part of their parent step.
+ */
+
+/**
+ * Create a parser that is fed text chunks as they arrive
+ * @param {Function} onStep - Called with (step, index) for each complete step
+ * @returns {{push: Function}} push(chunk) scans the new text
+ */
+export function createStepParser(onStep) {
+  let text = '';
+  let position = 0;
+  let finished = false;
+  let depth = 0;
+  let inString = false;
+  let escaped = false;
+  let stringStart = -1;
+  let lastKey = null;
+  let afterColon = false;
+  let inSteps = false;
+  let sawSteps = false;
+  let stepStart = -1;
+  let index = 0;
+
+  const scan = (char) => {
+    if (inString) {
+      if (escaped) {
+        escaped = false;
+      } else if (char === '\\') {
+        escaped = true;
+      } else if (char === '"') {
+        inString = false;
+        if (depth === 1) {
+          lastKey = text.slice(stringStart + 1, position);
+          afterColon = false;
+        }
+      }
+      return;
+    }
+
+    switch (char) {
+      case '"':
+        inString = true;
+        stringStart = position;
+        break;
+      case ':':
+        if (depth === 1) afterColon = true;
+        break;
+      case '{':
+      case '[':
+        if (depth === 1 && char === '[' && lastKey === 'steps' && afterColon) {
+          inSteps = true;
+          sawSteps = true;
+        } else if (inSteps && depth === 2 && char === '{') {
+          stepStart = position;
+        }
+        depth++;
+        break;
+      case '}':
+      case ']':
+        depth--;
+        if (depth === 0 && sawSteps) finished = true;
+        if (inSteps && depth === 2 && char === '}' && stepStart !== -1) {
+          emit(text.slice(stepStart, position + 1));
+          stepStart = -1;
+        } else if (inSteps && depth === 1) {
+          inSteps = false;
+        }
+        if (depth === 1) {
+          lastKey = null;
+          afterColon = false;
+        }
+        break;
+      case ',':
+        if (depth === 1) {
+          lastKey = null;
+          afterColon = false;
+        }
+        break;
+      default:
+        break;
+    }
+  };
+
+  const emit = (json) => {
+    const stepIndex = index++;
+    let step;
+    try {
+      step = JSON.parse(json);
+    } catch {
+      // The final parse reports malformed JSON; the preview just skips it
+      return;
+    }
+    onStep(step, stepIndex);
+  };
+
+  return {
+    push(chunk) {
+      text += chunk;
+      for (; position < text.length && !finished; position++) {
+        const char = text[position];
+        // Skip to the opening brace of the workflow object
+        if (depth === 0 && char !== '{') continue;
+        scan(char);
+      }
+    },
+  };
+}
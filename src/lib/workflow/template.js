@@ -0,0 +1,257 @@
+/**
+ * Workflow Templates
+ *
+ * Resolves `{{...}}` placeholders in step inputs.
+ *
+ * Syntax:
+ * - Paths with array indexing: {{step_1.body.items[0].id}}, {{row['first name']}}
+ * - Filters, applied left to right: {{name | trim | upper}}
+ * - Filter arguments: {{x | default: 'n/a'}}, {{tags | join: ', '}}
+ *
+ * A string that is exactly one placeholder is replaced by the raw value, so
+ * objects, arrays, numbers and booleans keep their type. Inside longer
+ * strings values are stringified (objects as JSON). Placeholders whose value
+ * is undefined are left in place.
+ *
+ * Secrets can only be inserted as-is (`{{secrets.NAME}}`): filters on them
+ * and `{{secrets}}` itself are errors, since a transformed value would slip
+ * past log redaction.
+ */
+
+const PLACEHOLDER_PATTERN = /\{\{\s*([^{}]+?)\s*\}\}/g;
+const WHOLE_PLACEHOLDER_PATTERN = /^\{\{\s*([^{}]+?)\s*\}\}$/;
+const PATH_SEGMENT_PATTERN = /^(?:\.?([A-Za-z_$][\w$]*)|\.(\d+)|\[(\d+)\]|\['([^']*)'\]|\["([^"]*)"\])/;
+
+const FILTERS = {
+  default: (value, fallback = '') => (value === undefined || value === null || value === '' ? fallback : value),
+  json: (value, indent) => JSON.stringify(value, null, indent),
+  upper: (value) => stringify(value).toUpperCase(),
+  lower: (value) => stringify(value).toLowerCase(),
+  trim: (value) => stringify(value).trim(),
+  join: (value, separator = ',') => (Array.isArray(value) ? value.map(stringify).join(separator) : stringify(value)),
+  date: (value, format = 'iso') => formatDate(value, format),
+};
+
+/**
+ * Convert a value to its string form for interpolation
+ */
+function stringify(value) {
+  if (value === undefined || value === null) return '';
+  if (typeof value === 'object') return JSON.stringify(value);
+  return String(value);
+}
+
+/**
+ * Format a date value (ISO string, timestamp or Date)
+ *
+ * Formats: 'iso' (default), 'date', 'time', 'unix', or a pattern using
+ * YYYY, MM, DD, HH, mm, ss (UTC).
+ */
+function formatDate(value, format) {
+  const date = value === 'now' ? new Date() : new Date(value);
+  if (Number.isNaN(date.getTime())) {
+    throw new Error(`date filter: invalid date "${value}"`);
+  }
+
+  const iso = date.toISOString();
+  switch (format) {
+    case 'iso':
+      return iso;
+    case 'date':
+      return iso.slice(0, 10);
+    case 'time':
+      return iso.slice(11, 19);
+    case 'unix':
+      return Math.floor(date.getTime() / 1000);
+    default: {
+      const pad = (n) => String(n).padStart(2, '0');
+      const parts = {
+        YYYY: String(date.getUTCFullYear()),
+        MM: pad(date.getUTCMonth() + 1),
+        DD: pad(date.getUTCDate()),
+        HH: pad(date.getUTCHours()),
+        mm: pad(date.getUTCMinutes()),
+        ss: pad(date.getUTCSeconds()),
+      };
+      return String(format).replace(/YYYY|MM|DD|HH|mm|ss/g, token => parts[token]);
+    }
+  }
+}
+
+/**
+ * Split a path like `a.b[0]['c d']` into segments
+ * @param {string} path - Variable path
+ * @returns {string[]|null} Segments, or null if the path is malformed
+ */
+export function parsePath(path) {
+  const segments = [];
+  let rest = path.trim();
+
+  if (!/^[A-Za-z_$]/.test(rest)) return null;
+
+  while (rest.length > 0) {
+    const match = PATH_SEGMENT_PATTERN.exec(rest);
+    if (!match) return null;
+    segments.push(match[1] ?? match[2] ?? match[3] ?? match[4] ?? match[5]);
+    rest = rest.slice(match[0].length);
+  }
+
+  return segments;
+}
+
+/**
+ * Extract value from object using a dot / bracket path
+ * @param {Object} obj - Source object
+ * @param {string} path - Path such as `body.items[0].id`
+ * @returns {*} Value, or undefined if any segment is missing
+ */
+export function extractPath(obj, path) {
+  const segments = parsePath(String(path));
+  if (!segments) return undefined;
+
+  return segments.reduce((current, key) => {
+    if (current === null || current === undefined) return undefined;
+    return Object.prototype.hasOwnProperty.call(Object(current), key) ? current[key] : undefined;
+  }, obj);
+}
+
+/**
+ * Split a string on a separator, ignoring separators inside quotes
+ */
+function splitOutsideQuotes(text, separator) {
+  const parts = [];
+  let current = '';
+  let quote = null;
+
+  for (const char of text) {
+    if (quote) {
+      if (char === quote) quote = null;
+    } else if (char === '"' || char === "'") {
+      quote = char;
+    } else if (char === separator) {
+      parts.push(current);
+      current = '';
+      continue;
+    }
+    current += char;
+  }
+
+  parts.push(current);
+  return parts;
+}
+
+/**
+ * Parse a filter argument literal ('text', "text", number, true/false/null)
+ */
+function parseArgument(raw) {
+  const text = raw.trim();
+  const quoted = /^(['"])([\s\S]*)\1$/.exec(text);
+  if (quoted) return quoted[2];
+  if (text === 'true') return true;
+  if (text === 'false') return false;
+  if (text === 'null') return null;
+  if (text !== '' && !Number.isNaN(Number(text))) return Number(text);
+  throw new Error(`Invalid template filter argument: ${text}`);
+}
+
+/**
+ * Parse placeholder contents into a path and filter chain
+ * @param {string} expression - Text between `{{` and `}}`
+ * @returns {{path: string, filters: Array<{name: string, args: Array}>}|null}
+ */
+export function parsePlaceholder(expression) {
+  const [path, ...filterParts] = splitOutsideQuotes(expression, '|');
+  if (!parsePath(path)) return null;
+
+  const filters = filterParts.map((part) => {
+    const separator = part.indexOf(':');
+    const name = (separator === -1 ? part : part.slice(0, separator)).trim();
+    const args = separator === -1
+      ? []
+      : splitOutsideQuotes(part.slice(separator + 1), ',').map(parseArgument);
+    return { name, args };
+  });
+
+  return { path: path.trim(), filters };
+}
+
+/**
+ * Evaluate a parsed placeholder against the variables
+ * @returns {*} Value, or undefined when unresolved
+ */
+function evaluatePlaceholder(placeholder, variables) {
+  const segments = parsePath(placeholder.path);
+  if (segments[0] === 'secrets' && (segments.length !== 2 || placeholder.filters.length > 0)) {
+    throw new Error(`{{${placeholder.path}}}: secrets can only be used as {{secrets.NAME}}, without filters`);
+  }
+
+  let value = extractPath(variables, placeholder.path);
+
+  for (const { name, args } of placeholder.filters) {
+    const filter = FILTERS[name];
+    if (!filter) {
+      throw new Error(`Unknown template filter: ${name}`);
+    }
+    // Only `default` may act on a missing value
+    if (value === undefined && name !== 'default') return undefined;
+    value = filter(value, ...args);
+  }
+
+  return value;
+}
+
+/**
+ * Resolve placeholders in a value (strings, arrays and objects recursively)
+ * @param {*} input - Value containing `{{...}}` placeholders
+ * @param {Object} variables - Variables available to placeholders
+ * @returns {*} Resolved value
+ */
+export function resolveTemplate(input, variables) {
+  if (typeof input === 'string') {
+    const whole = WHOLE_PLACEHOLDER_PATTERN.exec(input);
+    if (whole) {
+      const placeholder = parsePlaceholder(whole[1]);
+      if (placeholder) {
+        const value = evaluatePlaceholder(placeholder, variables);
+        return value === undefined ? input : value;
+      }
+    }
+
+    return input.replace(PLACEHOLDER_PATTERN, (match, expression) => {
+      const placeholder = parsePlaceholder(expression);
+      if (!placeholder) return match;
+      const value = evaluatePlaceholder(placeholder, variables);
+      return value === undefined ? match : stringify(value);
+    });
+  }
+
+  if (Array.isArray(input)) {
+    return input.map(item => resolveTemplate(item, variables));
+  }
+
+  if (typeof input === 'object' && input !== null) {
+    const resolved = {};
+    for (const [key, value] of Object.entries(input)) {
+      resolved[key] = resolveTemplate(value, variables);
+    }
+    return resolved;
+  }
+
+  return input;
+}
+
+/**
+ * Get the root variable names referenced by placeholders in a string
+ * @param {string} text - Template string
+ * @returns {string[]} Root names (e.g. `step_1` for `{{step_1.body[0]}}`)
+ */
+export function getReferencedNames(text) {
+  const names = [];
+  for (const match of text.matchAll(PLACEHOLDER_PATTERN)) {
+    const placeholder = parsePlaceholder(match[1]);
+    if (placeholder) {
+      names.push(parsePath(placeholder.path)[0]);
+    }
+  }
+  return names;
+}
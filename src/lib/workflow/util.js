@@ -0,0 +1,34 @@
+/**
+ * Shared helpers for the workflow engine and its tools
+ */
+
+/**
+ * An error for bad input or configuration, which a retry cannot fix
+ * (retry policies skip errors with `retryable: false`)
+ */
+export function invalid(message) {
+  const error = new Error(message);
+  error.retryable = false;
+  return error;
+}
+
+/**
+ * Wait `ms` milliseconds (rejects with the signal's reason if aborted first)
+ */
+export function sleep(ms, signal) {
+  return new Promise((resolve, reject) => {
+    if (signal?.aborted) {
+      reject(signal.reason);
+      return;
+    }
+    const onAbort = () => {
+      clearTimeout(timer);
+      reject(signal.reason);
+    };
+    const timer = setTimeout(() => {
+      signal?.removeEventListener('abort', onAbort);
+      resolve();
+    }, ms);
+    signal?.addEventListener('abort', onAbort, { once: true });
+  });
+}
@@ -0,0 +1,208 @@
+/**
+ * Workflow Workspaces
+ *
+ * Scoped directories that file_read / file_write operate in, so workflows
+ * can stage intermediate files between steps. Each saved workflow gets its
+ * own workspace (shared by its runs); inline workflows get one per
+ * execution. Paths are relative to the workspace and may not escape it,
+ * including through symlinks.
+ */
+
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { parseCsv, toCsv } from './csv';
+
+const WORKSPACE_ROOT = path.resolve(process.env.WORKFLOW_WORKSPACE_DIR || path.join(os.tmpdir(), 'workflow-workspaces'));
+const MAX_FILE_BYTES = parseInt(process.env.WORKFLOW_MAX_FILE_BYTES) || 10 * 1024 * 1024;
+const MAX_WORKSPACE_BYTES = parseInt(process.env.WORKFLOW_MAX_WORKSPACE_BYTES) || 100 * 1024 * 1024;
+
+const ENCODINGS = ['utf8', 'base64'];
+const WRITE_MODES = ['overwrite', 'append', 'create'];
+
+/**
+ * Get (and create) the workspace directory for a workflow or execution
+ * @param {{workflowId?: string, executionId?: string}} scope
+ * @returns {Promise<string>} Absolute workspace path
+ */
+export async function getWorkspaceDir({ workflowId, executionId }) {
+  const name = workflowId ? `workflow-${workflowId}` : `execution-${executionId}`;
+  if (!workflowId && !executionId) {
+    throw new Error('A workspace needs a workflow or execution id');
+  }
+
+  const dir = path.join(WORKSPACE_ROOT, name.replace(/[^A-Za-z0-9_-]/g, '_'));
+  await fs.mkdir(dir, { recursive: true });
+  return dir;
+}
+
+/**
+ * Resolve a workspace-relative path, rejecting anything outside the workspace
+ * @param {string} workspaceDir - Workspace directory
+ * @param {string} filePath - Relative path such as `exports/leads.csv`
+ * @returns {Promise<string>} Absolute path inside the workspace
+ */
+export async function resolveWorkspacePath(workspaceDir, filePath) {
+  if (typeof filePath !== 'string' || filePath.trim() === '') {
+    throw new Error('A file path is required');
+  }
+  if (filePath.includes('\0') || path.isAbsolute(filePath)) {
+    throw new Error(`Invalid workspace path: ${filePath}`);
+  }
+
+  const resolved = path.resolve(workspaceDir, filePath);
+  if (!isInside(workspaceDir, resolved) || resolved === workspaceDir) {
+    throw new Error(`Path escapes the workspace: ${filePath}`);
+  }
+
+  // Follow symlinks on the part of the path that already exists
+  const realWorkspace = await fs.realpath(workspaceDir);
+  let existing = resolved;
+  for (;;) {
+    try {
+      const real = await fs.realpath(existing);
+      if (!isInside(realWorkspace, real)) {
+        throw new Error(`Path escapes the workspace: ${filePath}`);
+      }
+      break;
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error;
+      existing = path.dirname(existing);
+    }
+  }
+
+  return resolved;
+}
+
+/**
+ * Read a file from the workspace
+ *
+ * `encoding` is 'utf8' (default) or 'base64' for binary files; `parse`
+ * ('json' or 'csv', with `csv: { delimiter, header }`) adds the parsed
+ * contents as `data`.
+ */
+export async function readWorkspaceFile(workspaceDir, input, signal) {
+  const filePath = await resolveWorkspacePath(workspaceDir, input.path);
+  const encoding = resolveEncoding(input.encoding);
+
+  const stats = await fs.stat(filePath).catch((error) => {
+    if (error.code === 'ENOENT') throw new Error(`File not found: ${input.path}`);
+    throw error;
+  });
+  if (!stats.isFile()) {
+    throw new Error(`Not a file: ${input.path}`);
+  }
+  if (stats.size > MAX_FILE_BYTES) {
+    throw new Error(`File is ${stats.size} bytes; the limit is ${MAX_FILE_BYTES}`);
+  }
+
+  const content = await fs.readFile(filePath, { encoding, signal });
+  const result = { content, size: stats.size, path: input.path, encoding };
+
+  if (input.parse) {
+    if (encoding !== 'utf8') {
+      throw new Error('parse requires utf8 encoding');
+    }
+    result.data = parseContent(content, input.parse, input.csv);
+  }
+
+  return result;
+}
+
+/**
+ * Write a file to the workspace
+ *
+ * `content` is text, base64 (with `encoding: 'base64'`), or with `format`
+ * ('json' or 'csv') a value to serialize. `mode` is 'overwrite' (default),
+ * 'append' or 'create' (fails if the file exists). Parent directories are
+ * created as needed.
+ */
+export async function writeWorkspaceFile(workspaceDir, input, signal) {
+  const filePath = await resolveWorkspacePath(workspaceDir, input.path);
+  const encoding = resolveEncoding(input.encoding);
+  const mode = input.mode || 'overwrite';
+  if (!WRITE_MODES.includes(mode)) {
+    throw new Error(`Unknown write mode "${mode}" (expected ${WRITE_MODES.join(', ')})`);
+  }
+
+  const text = input.format ? serializeContent(input.content, input.format, input.csv) : input.content;
+  if (typeof text !== 'string') {
+    throw new Error('content must be a string (set format to write JSON or CSV data)');
+  }
+
+  const data = Buffer.from(text, encoding);
+  const existingSize = await fs.stat(filePath).then(stats => stats.size, () => 0);
+  const finalSize = mode === 'append' ? existingSize + data.length : data.length;
+  if (finalSize > MAX_FILE_BYTES) {
+    throw new Error(`File would be ${finalSize} bytes; the limit is ${MAX_FILE_BYTES}`);
+  }
+
+  const workspaceSize = await getDirectorySize(workspaceDir);
+  const growth = mode === 'append' ? data.length : data.length - existingSize;
+  if (workspaceSize + growth > MAX_WORKSPACE_BYTES) {
+    throw new Error(`Workspace would exceed its ${MAX_WORKSPACE_BYTES} byte limit`);
+  }
+
+  await fs.mkdir(path.dirname(filePath), { recursive: true });
+  const flag = { overwrite: 'w', append: 'a', create: 'wx' }[mode];
+  await fs.writeFile(filePath, data, { flag, signal }).catch((error) => {
+    if (error.code === 'EEXIST') throw new Error(`File already exists: ${input.path}`);
+    throw error;
+  });
+
+  return { success: true, bytes_written: data.length, path: input.path };
+}
+
+function resolveEncoding(encoding = 'utf8') {
+  const normalized = encoding === 'utf-8' ? 'utf8' : encoding;
+  if (!ENCODINGS.includes(normalized)) {
+    throw new Error(`Unsupported encoding "${encoding}" (expected utf8 or base64)`);
+  }
+  return normalized;
+}
+
+function parseContent(content, format, csvOptions) {
+  switch (format) {
+    case 'json':
+      try {
+        return JSON.parse(content);
+      } catch (error) {
+        throw new Error(`Invalid JSON: ${error.message}`);
+      }
+    case 'csv':
+      return parseCsv(content, csvOptions);
+    default:
+      throw new Error(`Unknown parse format "${format}" (expected json or csv)`);
+  }
+}
+
+function serializeContent(content, format, csvOptions) {
+  switch (format) {
+    case 'json':
+      return JSON.stringify(content, null, 2);
+    case 'csv':
+      return toCsv(content, csvOptions);
+    default:
+      throw new Error(`Unknown format "${format}" (expected json or csv)`);
+  }
+}
+
+function isInside(dir, target) {
+  const relative = path.relative(dir, target);
+  return relative === '' ||
+    (relative !== '..' && !relative.startsWith(`..${path.sep}`) && !path.isAbsolute(relative));
+}
+
+async function getDirectorySize(dir) {
+  let total = 0;
+  const entries = await fs.readdir(dir, { withFileTypes: true });
+  for (const entry of entries) {
+    const entryPath = path.join(dir, entry.name);
+    if (entry.isDirectory()) {
+      total += await getDirectorySize(entryPath);
+    } else if (entry.isFile()) {
+      total += (await fs.stat(entryPath)).size;
+    }
+  }
+  return total;
+}
@@ -1,17 +1,41 @@
-import { getWorkflow, createExecution, updateExecution, updateWorkflow, logToolUsage, getConnectors } from '@/lib/db';
-import axios from 'axios';
-import fs from 'fs';
-import path from 'path';
-
-// Load MCP tools definition
-const mcpToolsPath = path.join(process.cwd(), 'public/config/MCP_TOOLS_DEFINITION.json');
-const mcpTools = JSON.parse(fs.readFileSync(mcpToolsPath, 'utf-8'));
+import { getWorkflow } from '@/lib/db';
+import { lintWorkflow } from '@/lib/workflow/lint';
+import {
+  createExecutionRecord,
+  runExecution,
+  streamExecution,
+  enqueueExecution,
+} from '@/lib/workflow/runner';
+
+export const config = {
+  api: {
+    responseLimit: false,
+  },
+};
 
 /**
  * Execute a workflow
  *
- * This endpoint executes a workflow step-by-step, handling errors,
- * retries, and variable substitution.
+ * This endpoint executes a workflow's steps in dependency order, handling
+ * errors, retries, and variable substitution. Independent steps run
+ * concurrently up to `maxParallelism` (request) or `max_parallelism`
+ * (workflow).
+ *
+ * With `async: true` the run is queued and the `executionId` is returned
+ * immediately (202); poll GET /api/executions/:id for status and the
+ * incrementally saved execution_log.
+ *
+ * With `stream: true` the response is a Server-Sent Events stream of
+ * execution_started, step_started, step_completed, step_failed, step_skipped,
+ * step_restored (resumed runs only), retry, compensation_started,
+ * compensation_completed, compensation_failed and workflow_finished events.
+ *
+ * Workflows are linted first (see /api/workflows/validate); one with errors
+ * is not run and the response is a 400 with its diagnostics.
+ *
+ * Executions are checkpointed as steps settle; if the server stops
+ * mid-run the execution becomes `interrupted` and can be continued with
+ * POST /api/executions/:id/resume.
  */
 export default async function handler(req, res) {
   if (req.method !== 'POST') {
@@ -19,7 +43,14 @@ export default async function handler(req, res) {
   }
 
   try {
-    const { workflowId, workflow: inlineWorkflow, input = {} } = req.body;
+    const {
+      workflowId,
+      workflow: inlineWorkflow,
+      input = {},
+      maxParallelism,
+      async: runAsync = false,
+      stream = false,
+    } = req.body;
 
     if (!workflowId && !inlineWorkflow) {
       return res.status(400).json({ error: 'workflowId or workflow is required' });
@@ -33,38 +64,33 @@ export default async function handler(req, res) {
       workflow = inlineWorkflow;
     }
 
-    // Create execution record
-    const execution = await createExecution({
-      workflow_id: workflowId || null,
-      status: 'running',
-      execution_log: [],
-    });
+    const { valid, diagnostics } = lintWorkflow(workflow);
+    if (!valid) {
+      return res.status(400).json({ error: 'Workflow has errors', diagnostics });
+    }
+
+    // Create execution record (with the workflow and input, so it can be resumed)
+    const execution = await createExecutionRecord(workflow, input, workflowId, runAsync ? 'queued' : 'running');
 
     const executionId = execution.id;
 
-    // Execute workflow
-    const result = await executeWorkflow(workflow, input, executionId, workflowId);
+    if (runAsync) {
+      enqueueExecution(workflow, input, executionId, workflowId, { maxParallelism });
 
-    // Update execution record
-    await updateExecution(executionId, {
-      status: result.success ? 'completed' : 'failed',
-      completed_at: new Date().toISOString(),
-      result: result.outputs,
-      error: result.error || null,
-      execution_log: result.log,
-      duration_ms: result.duration,
-    });
+      return res.status(202).json({
+        success: true,
+        executionId,
+        status: 'queued',
+        statusUrl: `/api/executions/${executionId}`,
+      });
+    }
 
-    // Update workflow stats
-    if (workflowId) {
-      const stats = {
-        execution_count: workflow.execution_count + 1,
-        success_count: result.success ? workflow.success_count + 1 : workflow.success_count,
-        failure_count: result.success ? workflow.failure_count : workflow.failure_count + 1,
-      };
-      await updateWorkflow(workflowId, stats);
+    if (stream) {
+      return streamExecution(res, workflow, input, executionId, workflowId, { maxParallelism });
     }
 
+    const result = await runExecution(workflow, input, executionId, workflowId, { maxParallelism });
+
     return res.status(200).json({
       success: result.success,
       executionId,
@@ -75,356 +101,12 @@ export default async function handler(req, res) {
     });
   } catch (error) {
     console.error('Error executing workflow:', error);
+    if (res.headersSent) {
+      return res.end();
+    }
     return res.status(500).json({
       error: 'Failed to execute workflow',
       message: error.message,
     });
   }
 }
-
-/**
- * Execute workflow steps
- */
-async function executeWorkflow(workflow, input, executionId, workflowId) {
-  const startTime = Date.now();
-  const log = [];
-  const outputs = {};
-  const variables = { ...workflow.variables, ...input };
-
-  try {
-    for (let i = 0; i < workflow.steps.length; i++) {
-      const step = workflow.steps[i];
-
-      log.push({
-        step_id: step.id,
-        step_name: step.name,
-        status: 'running',
-        timestamp: new Date().toISOString(),
-      });
-
-      try {
-        // Execute step with retry logic
-        const stepResult = await executeStepWithRetry(step, variables, workflowId, executionId);
-
-        // Store output
-        outputs[step.id] = stepResult;
-        variables[step.id] = stepResult;
-
-        log[log.length - 1].status = 'completed';
-        log[log.length - 1].output = stepResult;
-        log[log.length - 1].duration = stepResult._duration;
-      } catch (error) {
-        log[log.length - 1].status = 'failed';
-        log[log.length - 1].error = error.message;
-
-        // Handle error based on step configuration
-        if (step.on_error === 'stop') {
-          throw error;
-        } else if (step.on_error === 'continue') {
-          outputs[step.id] = { error: error.message };
-          variables[step.id] = { error: error.message };
-          continue;
-        }
-      }
-    }
-
-    return {
-      success: true,
-      outputs,
-      log,
-      duration: Date.now() - startTime,
-    };
-  } catch (error) {
-    return {
-      success: false,
-      outputs,
-      error: error.message,
-      log,
-      duration: Date.now() - startTime,
-    };
-  }
-}
-
-/**
- * Execute a single step with retry logic
- */
-async function executeStepWithRetry(step, variables, workflowId, executionId) {
-  const maxAttempts = step.retry?.max_attempts || 1;
-  const delayMs = step.retry?.delay_ms || 1000;
-
-  for (let attempt = 1; attempt <= maxAttempts; attempt++) {
-    try {
-      return await executeStep(step, variables, workflowId, executionId);
-    } catch (error) {
-      if (attempt === maxAttempts) {
-        throw error;
-      }
-      await sleep(delayMs * attempt);
-    }
-  }
-}
-
-/**
- * Execute a single step
- */
-async function executeStep(step, variables, workflowId, executionId) {
-  const startTime = Date.now();
-
-  // Resolve variables in input
-  const resolvedInput = resolveVariables(step.input, variables);
-
-  // Get tool definition
-  const tool = mcpTools.tools.find(t => t.name === step.tool);
-  if (!tool) {
-    throw new Error(`Tool not found: ${step.tool}`);
-  }
-
-  // Execute tool
-  let result;
-  try {
-    result = await executeTool(tool, resolvedInput, step.timeout || 30000);
-  } catch (error) {
-    await logToolUsage({
-      tool_name: step.tool,
-      workflow_id: workflowId,
-      execution_id: executionId,
-      input: resolvedInput,
-      output: null,
-      success: false,
-      error: error.message,
-      duration_ms: Date.now() - startTime,
-    });
-    throw error;
-  }
-
-  // Log tool usage
-  await logToolUsage({
-    tool_name: step.tool,
-    workflow_id: workflowId,
-    execution_id: executionId,
-    input: resolvedInput,
-    output: result,
-    success: true,
-    error: null,
-    duration_ms: Date.now() - startTime,
-  });
-
-  return {
-    ...result,
-    _duration: Date.now() - startTime,
-  };
-}
-
-/**
- * Execute a tool based on its type
- */
-async function executeTool(tool, input, timeout) {
-  const timeoutPromise = new Promise((_, reject) =>
-    setTimeout(() => reject(new Error('Tool execution timeout')), timeout)
-  );
-
-  const executionPromise = (async () => {
-    switch (tool.category) {
-      case 'network':
-        return await executeNetworkTool(tool, input);
-      case 'database':
-        return await executeDatabaseTool(tool, input);
-      case 'control':
-        return await executeControlTool(tool, input);
-      case 'data':
-        return await executeDataTool(tool, input);
-      default:
-        return await executeGenericTool(tool, input);
-    }
-  })();
-
-  return Promise.race([executionPromise, timeoutPromise]);
-}
-
-/**
- * Execute network tools (HTTP requests, web scraping)
- */
-async function executeNetworkTool(tool, input) {
-  if (tool.name === 'http_request') {
-    const response = await axios({
-      url: input.url,
-      method: input.method || 'GET',
-      headers: input.headers || {},
-      data: input.body,
-    });
-
-    return {
-      status: response.status,
-      headers: response.headers,
-      body: response.data,
-    };
-  }
-
-  throw new Error(`Network tool not implemented: ${tool.name}`);
-}
-
-/**
- * Execute database tools
- */
-async function executeDatabaseTool(tool, input) {
-  const { supabase } = require('@/lib/supabase');
-
-  if (tool.name === 'database_query') {
-    let query = supabase.from(input.table);
-
-    switch (input.operation) {
-      case 'select':
-        query = query.select('*');
-        if (input.filter) {
-          Object.entries(input.filter).forEach(([key, value]) => {
-            query = query.eq(key, value);
-          });
-        }
-        break;
-      case 'insert':
-        query = query.insert(input.data);
-        break;
-      case 'update':
-        query = query.update(input.data);
-        if (input.filter) {
-          Object.entries(input.filter).forEach(([key, value]) => {
-            query = query.eq(key, value);
-          });
-        }
-        break;
-      case 'delete':
-        if (input.filter) {
-          Object.entries(input.filter).forEach(([key, value]) => {
-            query = query.eq(key, value);
-          });
-        }
-        query = query.delete();
-        break;
-    }
-
-    const { data, error, count } = await query;
-
-    if (error) throw error;
-
-    return { data, count: count || data?.length || 0 };
-  }
-
-  throw new Error(`Database tool not implemented: ${tool.name}`);
-}
-
-/**
- * Execute control flow tools
- */
-async function executeControlTool(tool, input) {
-  if (tool.name === 'conditional_branch') {
-    // Evaluate condition
-    const result = evaluateCondition(input.condition, input.context || {});
-    return {
-      result,
-      branch: result ? 'true' : 'false',
-    };
-  }
-
-  if (tool.name === 'wait_delay') {
-    await sleep(input.duration);
-    return { waited: input.duration };
-  }
-
-  if (tool.name === 'loop_iteration') {
-    return {
-      iterations: input.items.length,
-      results: input.items,
-    };
-  }
-
-  throw new Error(`Control tool not implemented: ${tool.name}`);
-}
-
-/**
- * Execute data transformation tools
- */
-async function executeDataTool(tool, input) {
-  if (tool.name === 'transform_data') {
-    let result = input.data;
-
-    for (const operation of input.operations) {
-      switch (operation.type) {
-        case 'extract':
-          result = extractPath(result, operation.path);
-          break;
-        case 'map':
-          result = Array.isArray(result) ? result.map(item => extractPath(item, operation.path)) : result;
-          break;
-        case 'filter':
-          result = Array.isArray(result) ? result.filter(item => evaluateCondition(operation.condition, item)) : result;
-          break;
-      }
-    }
-
-    return { result };
-  }
-
-  throw new Error(`Data tool not implemented: ${tool.name}`);
-}
-
-/**
- * Execute generic tools (placeholder for future implementations)
- */
-async function executeGenericTool(tool, input) {
-  // This is a placeholder for tools that need custom implementation
-  console.log(`Executing generic tool: ${tool.name}`, input);
-  return { success: true, message: `Tool ${tool.name} executed (placeholder)` };
-}
-
-/**
- * Resolve variables in input (replace {{variable}} with actual values)
- */
-function resolveVariables(input, variables) {
-  if (typeof input === 'string') {
-    return input.replace(/\{\{(\w+(?:\.\w+)*)\}\}/g, (match, path) => {
-      return extractPath(variables, path) || match;
-    });
-  }
-
-  if (Array.isArray(input)) {
-    return input.map(item => resolveVariables(item, variables));
-  }
-
-  if (typeof input === 'object' && input !== null) {
-    const resolved = {};
-    for (const [key, value] of Object.entries(input)) {
-      resolved[key] = resolveVariables(value, variables);
-    }
-    return resolved;
-  }
-
-  return input;
-}
-
-/**
- * Extract value from object using dot notation path
- */
-function extractPath(obj, path) {
-  return path.split('.').reduce((current, key) => current?.[key], obj);
-}
-
-/**
- * Evaluate a simple condition
- */
-function evaluateCondition(condition, context) {
-  try {
-    // Create a function with context variables
-    const func = new Function(...Object.keys(context), `return ${condition}`);
-    return func(...Object.values(context));
-  } catch (error) {
-    console.error('Error evaluating condition:', error);
-    return false;
-  }
-}
-
-/**
- * Sleep utility
- */
-function sleep(ms) {
-  return new Promise(resolve => setTimeout(resolve, ms));
-}
@@ -0,0 +1,50 @@
+import { getExecution } from '@/lib/db';
+import { isCancellable, cancelExecution } from '@/lib/workflow/runner';
+
+/**
+ * API endpoint for cancelling a workflow execution
+ *
+ * POST /api/executions/:id/cancel
+ *
+ * Marks a queued, running or interrupted execution `cancelled` and aborts
+ * it: no further steps start and in-flight tools (HTTP requests, delays,
+ * database queries) are aborted. The execution keeps the log and outputs
+ * of the steps that finished before the cancellation.
+ */
+export default async function handler(req, res) {
+  if (req.method !== 'POST') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  try {
+    const { id } = req.query;
+
+    const execution = await getExecution(id);
+    if (!execution) {
+      return res.status(404).json({ error: 'Execution not found' });
+    }
+    if (!isCancellable(execution)) {
+      return res.status(409).json({
+        error: `Execution is ${execution.status}; only queued, running or interrupted executions can be cancelled`,
+      });
+    }
+
+    const cancelled = await cancelExecution(id);
+    if (!cancelled) {
+      return res.status(409).json({ error: 'Execution has already finished' });
+    }
+
+    return res.status(200).json({
+      success: true,
+      executionId: id,
+      status: 'cancelled',
+      execution: cancelled,
+    });
+  } catch (error) {
+    console.error('Error cancelling execution:', error);
+    return res.status(500).json({
+      error: 'Failed to cancel execution',
+      message: error.message,
+    });
+  }
+}
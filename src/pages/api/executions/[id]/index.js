@@ -0,0 +1,41 @@
+import { getExecution } from '@/lib/db';
+import { isCancellable, isResumable } from '@/lib/workflow/runner';
+
+/**
+ * API endpoint for polling a workflow execution
+ *
+ * GET /api/executions/:id - Status, result and the execution_log so far
+ *
+ * Used with POST /api/execute-workflow `{ async: true }`: the log is saved
+ * after every step, so it grows while the execution is `running`.
+ * `interrupted` executions (their server stopped mid-run) and failed ones
+ * can be continued with POST /api/executions/:id/resume, and live ones
+ * stopped with POST /api/executions/:id/cancel.
+ */
+export default async function handler(req, res) {
+  if (req.method !== 'GET') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  try {
+    const { id } = req.query;
+    const execution = await getExecution(id);
+
+    if (!execution) {
+      return res.status(404).json({ error: 'Execution not found' });
+    }
+
+    return res.status(200).json({
+      execution,
+      finished: !['queued', 'running'].includes(execution.status),
+      resumable: isResumable(execution),
+      cancellable: isCancellable(execution),
+    });
+  } catch (error) {
+    console.error('Error fetching execution:', error);
+    return res.status(500).json({
+      error: 'Failed to fetch execution',
+      message: error.message,
+    });
+  }
+}
@@ -0,0 +1,93 @@
+import { getExecution } from '@/lib/db';
+import {
+  isResumable,
+  claimExecutionForResume,
+  getResumeState,
+  runExecution,
+  streamExecution,
+  enqueueExecution,
+} from '@/lib/workflow/runner';
+
+export const config = {
+  api: {
+    responseLimit: false,
+  },
+};
+
+/**
+ * API endpoint for resuming an interrupted or failed execution
+ *
+ * POST /api/executions/:id/resume
+ *
+ * Steps that already completed, failed (with on_error: continue) or were
+ * skipped are restored from the execution's checkpoint; the remaining
+ * steps run with the workflow definition and input the execution started
+ * with. Accepts the same `async` and `stream` options as
+ * POST /api/execute-workflow. Of concurrent resume requests for the same
+ * execution only one runs it; the others get a 409.
+ */
+export default async function handler(req, res) {
+  if (req.method !== 'POST') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  try {
+    const { id } = req.query;
+    const { async: runAsync = false, stream = false } = req.body || {};
+
+    const execution = await getExecution(id);
+    if (!execution) {
+      return res.status(404).json({ error: 'Execution not found' });
+    }
+    if (!isResumable(execution)) {
+      return res.status(409).json({
+        error: `Execution is ${execution.status}; only interrupted or failed executions can be resumed`,
+      });
+    }
+
+    const { workflow, input, checkpoint } = await getResumeState(execution);
+    const workflowId = execution.workflow_id;
+    const options = { checkpoint, resumed: true };
+
+    // Another request may have resumed it since it was read
+    const claimed = await claimExecutionForResume(id, runAsync ? 'queued' : 'running');
+    if (!claimed) {
+      return res.status(409).json({ error: 'Execution is already being resumed' });
+    }
+
+    if (runAsync) {
+      enqueueExecution(workflow, input, id, workflowId, options);
+
+      return res.status(202).json({
+        success: true,
+        executionId: id,
+        status: 'queued',
+        statusUrl: `/api/executions/${id}`,
+      });
+    }
+
+    if (stream) {
+      return streamExecution(res, workflow, input, id, workflowId, options);
+    }
+
+    const result = await runExecution(workflow, input, id, workflowId, options);
+
+    return res.status(200).json({
+      success: result.success,
+      executionId: id,
+      outputs: result.outputs,
+      error: result.error,
+      log: result.log,
+      duration: result.duration,
+    });
+  } catch (error) {
+    console.error('Error resuming execution:', error);
+    if (res.headersSent) {
+      return res.end();
+    }
+    return res.status(500).json({
+      error: 'Failed to resume execution',
+      message: error.message,
+    });
+  }
+}
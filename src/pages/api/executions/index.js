@@ -0,0 +1,35 @@
+import { getExecutions, getExecutionsByStatus } from '@/lib/db';
+
+/**
+ * API endpoint for listing workflow executions
+ *
+ * GET /api/executions?workflowId=xxx - List executions of a workflow (newest first)
+ * GET /api/executions?status=interrupted - List executions in a status (e.g. runs to resume)
+ */
+export default async function handler(req, res) {
+  if (req.method !== 'GET') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  try {
+    const { workflowId, status } = req.query;
+
+    if (!workflowId && !status) {
+      return res.status(400).json({ error: 'workflowId or status is required' });
+    }
+
+    let executions = workflowId
+      ? await getExecutions(workflowId)
+      : await getExecutionsByStatus(status);
+    if (workflowId && status) {
+      executions = executions.filter(execution => execution.status === status);
+    }
+    return res.status(200).json({ executions });
+  } catch (error) {
+    console.error('Error listing executions:', error);
+    return res.status(500).json({
+      error: 'Failed to list executions',
+      message: error.message,
+    });
+  }
+}
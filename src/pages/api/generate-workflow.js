@@ -1,26 +1,26 @@
-import Anthropic from '@anthropic-ai/sdk';
 import { createWorkflow } from '@/lib/db';
-import fs from 'fs';
-import path from 'path';
+import { openEventStream } from '@/lib/event-stream';
+import { generateWorkflow, resolveRepairRounds } from '@/lib/workflow/generator';
 
-// Initialize Anthropic client
-const anthropic = new Anthropic({
-  apiKey: process.env.ANTHROPIC_API_KEY,
-});
-
-// Load MCP tools definition
-const mcpToolsPath = path.join(process.cwd(), 'public/config/MCP_TOOLS_DEFINITION.json');
-const mcpTools = JSON.parse(fs.readFileSync(mcpToolsPath, 'utf-8'));
-
-// Load connectors library
-const connectorsPath = path.join(process.cwd(), 'public/config/CONNECTORS_LIBRARY.json');
-const connectors = JSON.parse(fs.readFileSync(connectorsPath, 'utf-8'));
+export const config = {
+  api: {
+    responseLimit: false,
+  },
+};
 
 /**
  * Generate a workflow using Claude and MCP tools
  *
  * This endpoint uses Claude Opus 4.1 to understand the user's intent and
  * generate a structured workflow using available MCP tools and connectors.
+ * The result is linted against the tool catalog and schemas, and errors are
+ * sent back to Claude for up to `maxRepairRounds` repairs (default 2, max 5).
+ *
+ * With `stream: true` the response is a Server-Sent Events stream of Claude's
+ * output: round_started (round 0, then once per repair with the errors being
+ * fixed), text (each chunk), step (each step as soon as it is complete, for
+ * a preview) and finally generation_finished, with the same body as the
+ * JSON response.
  */
 export default async function handler(req, res) {
   if (req.method !== 'POST') {
@@ -28,58 +28,20 @@ export default async function handler(req, res) {
   }
 
   try {
-    const { prompt, context = {}, save = true } = req.body;
+    const { prompt, context = {}, save = true, maxRepairRounds, stream = false } = req.body;
 
     if (!prompt) {
       return res.status(400).json({ error: 'Prompt is required' });
     }
 
-    // Build the system prompt with MCP tools and connectors context
-    const systemPrompt = buildSystemPrompt();
+    const request = { prompt, context, save, maxRepairRounds: resolveRepairRounds(maxRepairRounds) };
 
-    // Call Claude to generate the workflow
-    const response = await anthropic.messages.create({
-      model: process.env.CLAUDE_MODEL || 'claude-opus-4-20250514',
-      max_tokens: 8000,
-      system: systemPrompt,
-      messages: [
-        {
-          role: 'user',
-          content: buildUserPrompt(prompt, context),
-        },
-      ],
-      temperature: 0.7,
-    });
-
-    // Extract the workflow from Claude's response
-    const workflowData = parseWorkflowResponse(response);
-
-    // Save to database if requested
-    let savedWorkflow = null;
-    if (save) {
-      savedWorkflow = await createWorkflow({
-        name: workflowData.name,
-        description: workflowData.description,
-        steps: workflowData.steps,
-        status: 'draft',
-        metadata: {
-          generated_by: 'claude',
-          model: process.env.CLAUDE_MODEL || 'claude-opus-4-20250514',
-          prompt: prompt,
-          context: context,
-        },
-      });
+    if (stream) {
+      return streamGeneration(res, request);
     }
 
-    return res.status(200).json({
-      success: true,
-      workflow: workflowData,
-      saved: savedWorkflow,
-      usage: {
-        input_tokens: response.usage.input_tokens,
-        output_tokens: response.usage.output_tokens,
-      },
-    });
+    const { status, body } = await runGeneration(request);
+    return res.status(status).json(body);
   } catch (error) {
     console.error('Error generating workflow:', error);
     return res.status(500).json({
@@ -90,133 +52,90 @@ export default async function handler(req, res) {
 }
 
 /**
- * Build the system prompt with MCP tools and connectors
- */
-function buildSystemPrompt() {
-  return `You are an expert workflow automation AI assistant. Your task is to generate structured workflows based on user requests.
-
-You have access to the following MCP tools:
-${JSON.stringify(mcpTools.tools, null, 2)}
-
-Available connectors:
-${JSON.stringify(connectors.connectors.map(c => ({
-  id: c.id,
-  name: c.name,
-  description: c.description,
-  actions: c.actions,
-})), null, 2)}
-
-When generating workflows, follow these guidelines:
-
-1. WORKFLOW STRUCTURE:
-   - Each workflow must have: name, description, and steps array
-   - Each step must have: id, name, tool, input, and optional: on_error, retry, timeout
-   - Steps can reference previous step outputs using {{step_id.output_field}}
-
-2. TOOL SELECTION:
-   - Choose appropriate MCP tools based on the task
-   - Use connectors when integrating with external services
-   - Prefer built-in tools over external APIs when possible
-
-3. ERROR HANDLING:
-   - Add retry logic for network operations (max 3 retries)
-   - Include on_error steps for critical operations
-   - Use conditional_branch for decision points
-
-4. BEST PRACTICES:
-   - Break complex tasks into smaller steps
-   - Use descriptive names for steps
-   - Add comments in metadata for complex logic
-   - Keep workflows under 50 steps for performance
-
-5. OUTPUT FORMAT:
-   Return your response as a JSON object with this structure:
-   {
-     "name": "Workflow Name",
-     "description": "What this workflow does",
-     "steps": [
-       {
-         "id": "step_1",
-         "name": "Step Name",
-         "tool": "tool_name",
-         "input": { ... },
-         "on_error": "continue|stop|retry",
-         "retry": { "max_attempts": 3, "delay_ms": 1000 },
-         "timeout": 30000
-       }
-     ],
-     "variables": { ... },
-     "triggers": { ... }
-   }
-
-Be creative but practical. Generate workflows that are efficient, maintainable, and handle errors gracefully.`;
-}
-
-/**
- * Build the user prompt with context
+ * Generate (and save) a workflow
+ * @returns {Promise<{status: number, body: Object}>} The response for the client
  */
-function buildUserPrompt(prompt, context) {
-  let userPrompt = `Generate a workflow for the following task:\n\n${prompt}`;
-
-  if (Object.keys(context).length > 0) {
-    userPrompt += `\n\nAdditional context:\n${JSON.stringify(context, null, 2)}`;
+async function runGeneration({ prompt, context, save, maxRepairRounds }, options = {}) {
+  const { workflow: workflowData, validation, usage, repairRounds } = await generateWorkflow(
+    prompt,
+    context,
+    maxRepairRounds,
+    options
+  );
+
+  if (!workflowData) {
+    return {
+      status: 500,
+      body: {
+        error: 'Failed to generate workflow',
+        message: 'Claude did not return a parseable workflow',
+        validation,
+        repair_rounds: repairRounds,
+        usage,
+      },
+    };
   }
 
-  userPrompt += `\n\nPlease generate a complete, executable workflow that accomplishes this task. Return only the JSON workflow object.`;
+  // Save to database if requested; generated workflows are drafts, which
+  // are saved with their lint errors (see /api/workflows)
+  let savedWorkflow = null;
+  if (save) {
+    savedWorkflow = await createWorkflow({
+      name: workflowData.name,
+      description: workflowData.description,
+      steps: workflowData.steps,
+      status: 'draft',
+      metadata: {
+        generated_by: 'claude',
+        model: process.env.CLAUDE_MODEL || 'claude-opus-4-20250514',
+        prompt: prompt,
+        context: context,
+        // Workflow-level settings the executor reads from a saved row's metadata
+        max_parallelism: workflowData.max_parallelism || null,
+        variables: workflowData.variables || null,
+        strict: workflowData.strict ?? null,
+      },
+    });
+  }
 
-  return userPrompt;
+  return {
+    status: 200,
+    body: {
+      success: true,
+      workflow: workflowData,
+      validation,
+      repair_rounds: repairRounds,
+      saved: savedWorkflow,
+      usage,
+    },
+  };
 }
 
 /**
- * Parse Claude's response to extract workflow
+ * Generate a workflow, streaming Claude's output as Server-Sent Events
+ *
+ * A client that disconnects stops the generation, so an abandoned request
+ * does not keep spending tokens.
  */
-function parseWorkflowResponse(response) {
-  try {
-    const content = response.content[0].text;
-
-    // Try to extract JSON from the response
-    // Claude might wrap it in markdown code blocks
-    const jsonMatch = content.match(/```json\n([\s\S]*?)\n```/) ||
-                     content.match(/```\n([\s\S]*?)\n```/) ||
-                     [null, content];
-
-    const jsonText = jsonMatch[1] || content;
-    const workflow = JSON.parse(jsonText);
-
-    // Validate workflow structure
-    if (!workflow.name || !workflow.steps || !Array.isArray(workflow.steps)) {
-      throw new Error('Invalid workflow structure');
-    }
-
-    // Ensure each step has required fields
-    workflow.steps = workflow.steps.map((step, index) => ({
-      id: step.id || `step_${index + 1}`,
-      name: step.name || `Step ${index + 1}`,
-      tool: step.tool,
-      input: step.input || {},
-      on_error: step.on_error || 'stop',
-      retry: step.retry || null,
-      timeout: step.timeout || 30000,
-      metadata: step.metadata || {},
-    }));
+async function streamGeneration(res, request) {
+  const events = openEventStream(res);
+  const controller = new AbortController();
+  res.on('close', () => controller.abort());
 
-    return workflow;
+  try {
+    const { status, body } = await runGeneration(request, {
+      signal: controller.signal,
+      onEvent: ({ type, ...event }) => events.send(type, event),
+    });
+    events.send('generation_finished', { ...body, success: status === 200 });
   } catch (error) {
-    console.error('Error parsing workflow response:', error);
-    throw new Error('Failed to parse workflow from Claude response');
+    if (!events.closed()) console.error('Error streaming workflow generation:', error);
+    events.send('generation_finished', {
+      success: false,
+      error: 'Failed to generate workflow',
+      message: error.message,
+    });
+  } finally {
+    events.close();
   }
 }
-
-/**
- * Helper function to validate tool availability
- */
-function validateTool(toolName) {
-  return mcpTools.tools.find(t => t.name === toolName);
-}
-
-/**
- * Helper function to get connector by ID
- */
-function getConnector(connectorId) {
-  return connectors.connectors.find(c => c.id === connectorId);
-}
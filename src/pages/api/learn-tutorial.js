@@ -1,6 +1,6 @@
 import Anthropic from '@anthropic-ai/sdk';
 import { insertTutorialEmbedding, searchTutorials } from '@/lib/db';
-import axios from 'axios';
+import { generateEmbedding } from '@/lib/embeddings';
 
 // Initialize Anthropic client (for future embedding generation if needed)
 const anthropic = new Anthropic({
@@ -30,7 +30,7 @@ export default async function handler(req, res) {
  */
 async function handleLearn(req, res) {
   try {
-    const { content, metadata = {}, category = null, tags = [] } = req.body;
+    const { content, metadata = {}, category = null, tags = [], collection = 'tutorials' } = req.body;
 
     if (!content) {
       return res.status(400).json({ error: 'Content is required' });
@@ -45,6 +45,7 @@ async function handleLearn(req, res) {
       ...metadata,
       category,
       tags,
+      collection,
     });
 
     return res.status(200).json({
@@ -66,7 +67,7 @@ async function handleLearn(req, res) {
  */
 async function handleSearch(req, res) {
   try {
-    const { query, matchCount = 5, matchThreshold = 0.7 } = req.query;
+    const { query, matchCount = 5, matchThreshold = 0.7, collection, category } = req.query;
 
     if (!query) {
       return res.status(400).json({ error: 'Query is required' });
@@ -79,7 +80,8 @@ async function handleSearch(req, res) {
     const results = await searchTutorials(
       queryEmbedding,
       parseFloat(matchThreshold),
-      parseInt(matchCount)
+      parseInt(matchCount),
+      { collection, category }
     );
 
     return res.status(200).json({
@@ -96,69 +98,6 @@ async function handleSearch(req, res) {
   }
 }
 
-/**
- * Generate embedding for text
- *
- * This uses OpenAI's text-embedding-3-small model by default
- * You can also use Claude's embedding capabilities or other providers
- */
-async function generateEmbedding(text) {
-  const embeddingModel = process.env.EMBEDDING_MODEL || 'text-embedding-3-small';
-
-  try {
-    // Using OpenAI's embedding API
-    // You'll need to set OPENAI_API_KEY in your environment
-    if (process.env.OPENAI_API_KEY) {
-      const response = await axios.post(
-        'https://api.openai.com/v1/embeddings',
-        {
-          model: embeddingModel,
-          input: text,
-        },
-        {
-          headers: {
-            'Authorization': `Bearer ${process.env.OPENAI_API_KEY}`,
-            'Content-Type': 'application/json',
-          },
-        }
-      );
-
-      return response.data.data[0].embedding;
-    }
-
-    // Fallback: Generate a simple embedding (for testing only)
-    // In production, you should always use a proper embedding model
-    console.warn('No embedding API key found, using fallback embedding');
-    return generateFallbackEmbedding(text);
-  } catch (error) {
-    console.error('Error generating embedding:', error);
-    throw new Error('Failed to generate embedding');
-  }
-}
-
-/**
- * Generate a simple fallback embedding (for testing only)
- * This creates a deterministic vector based on the text content
- *
- * WARNING: This is NOT suitable for production use!
- * Use a proper embedding model like OpenAI's text-embedding-3-small
- */
-function generateFallbackEmbedding(text) {
-  const dimension = parseInt(process.env.EMBEDDING_DIMENSION) || 1536;
-  const embedding = new Array(dimension).fill(0);
-
-  // Simple hash-based embedding (not semantically meaningful)
-  for (let i = 0; i < text.length; i++) {
-    const charCode = text.charCodeAt(i);
-    const index = (charCode * (i + 1)) % dimension;
-    embedding[index] += charCode / 1000;
-  }
-
-  // Normalize the vector
-  const magnitude = Math.sqrt(embedding.reduce((sum, val) => sum + val * val, 0));
-  return embedding.map(val => val / (magnitude || 1));
-}
-
 /**
  * Suggest workflow improvements based on learned patterns
  *
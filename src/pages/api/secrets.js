@@ -0,0 +1,69 @@
+import { isValidSecretName, listSecrets, saveSecret, removeSecret } from '@/lib/secrets';
+
+/**
+ * API endpoint for the secrets vault
+ *
+ * GET /api/secrets?userId=xxx - List secret names (values are never returned)
+ * POST /api/secrets - Create or replace a secret: { name, value, userId }
+ * DELETE /api/secrets?name=xxx&userId=xxx - Delete a secret
+ *
+ * Values are encrypted before they are stored. Workflows of the same user
+ * use them as {{secrets.NAME}}; without userId the shared secrets are used.
+ */
+export default async function handler(req, res) {
+  try {
+    switch (req.method) {
+      case 'GET':
+        return await handleGet(req, res);
+      case 'POST':
+        return await handlePost(req, res);
+      case 'DELETE':
+        return await handleDelete(req, res);
+      default:
+        return res.status(405).json({ error: 'Method not allowed' });
+    }
+  } catch (error) {
+    console.error('Secrets API error:', error);
+    return res.status(500).json({
+      error: 'Failed to manage secrets',
+      message: error.message,
+    });
+  }
+}
+
+async function handleGet(req, res) {
+  const { userId } = req.query;
+
+  const secrets = await listSecrets(userId || null);
+  return res.status(200).json({ secrets });
+}
+
+async function handlePost(req, res) {
+  const { name, value, userId } = req.body;
+
+  if (!name || typeof value !== 'string' || value === '') {
+    return res.status(400).json({ error: 'name and value are required' });
+  }
+  if (!isValidSecretName(name)) {
+    return res.status(400).json({
+      error: 'Secret names start with a letter or underscore and contain only letters, digits and underscores',
+    });
+  }
+
+  const secret = await saveSecret(userId || null, name, value);
+  return res.status(200).json({ success: true, secret });
+}
+
+async function handleDelete(req, res) {
+  const { name, userId } = req.query;
+
+  if (!name) {
+    return res.status(400).json({ error: 'name is required' });
+  }
+
+  const deleted = await removeSecret(userId || null, name);
+  if (!deleted) {
+    return res.status(404).json({ error: 'Secret not found' });
+  }
+  return res.status(200).json({ success: true });
+}
@@ -1,4 +1,5 @@
 import { getWorkflows, getWorkflow, createWorkflow, updateWorkflow, deleteWorkflow } from '@/lib/db';
+import { isDraft, lintWorkflow } from '@/lib/workflow/lint';
 
 /**
  * API endpoint for managing workflows
@@ -8,6 +9,10 @@ import { getWorkflows, getWorkflow, createWorkflow, updateWorkflow, deleteWorkfl
  * POST /api/workflows - Create a new workflow
  * PUT /api/workflows - Update a workflow
  * DELETE /api/workflows?id=xxx - Delete a workflow
+ *
+ * Workflows are linted when they are saved (see /api/workflows/validate) and
+ * the diagnostics are returned alongside the saved workflow. Drafts are saved
+ * even with errors; a workflow with errors cannot be given any other status.
  */
 export default async function handler(req, res) {
   try {
@@ -53,6 +58,11 @@ async function handlePost(req, res) {
     return res.status(400).json({ error: 'name and steps are required' });
   }
 
+  const { valid, diagnostics } = lintWorkflow({ name, steps, metadata });
+  if (!valid && !isDraft(status)) {
+    return res.status(400).json({ error: 'Workflow has errors', diagnostics });
+  }
+
   const workflow = await createWorkflow({
     name,
     description,
@@ -61,18 +71,32 @@ async function handlePost(req, res) {
     metadata: metadata || {},
   });
 
-  return res.status(201).json({ workflow });
+  return res.status(201).json({ workflow, diagnostics });
 }
 
 async function handlePut(req, res) {
   const { id, ...updates } = req.body;
+  // The owner decides whose secrets a run can use, so it cannot be changed here
+  delete updates.user_id;
 
   if (!id) {
     return res.status(400).json({ error: 'id is required' });
   }
 
+  // Only a change to the definition or the status can need a new check
+  let diagnostics = [];
+  if (updates.steps || updates.metadata || updates.status) {
+    const current = await getWorkflow(id);
+    const next = { ...current, ...updates };
+    const result = lintWorkflow(next);
+    if (!result.valid && !isDraft(next.status)) {
+      return res.status(400).json({ error: 'Workflow has errors', diagnostics: result.diagnostics });
+    }
+    diagnostics = result.diagnostics;
+  }
+
   const workflow = await updateWorkflow(id, updates);
-  return res.status(200).json({ workflow });
+  return res.status(200).json({ workflow, diagnostics });
 }
 
 async function handleDelete(req, res) {
@@ -0,0 +1,117 @@
+import { getWorkflow, updateWorkflow } from '@/lib/db';
+import { diffWorkflows } from '@/lib/workflow/diff';
+import { refineWorkflow, resolveRepairRounds } from '@/lib/workflow/generator';
+import { isDraft } from '@/lib/workflow/lint';
+
+/**
+ * Change a workflow with a natural-language instruction
+ *
+ * POST /api/workflows/refine
+ * Body: { workflowId | workflow, instruction, save, maxRepairRounds }
+ *
+ * Claude edits the existing definition ("add a Slack alert if the HTTP
+ * call fails", "make step 3 retry 5 times") instead of generating a new
+ * one, so manual edits are kept. The response has the refined workflow,
+ * a diff of added / removed / changed steps, the lint diagnostics and the
+ * token usage. With `save: true` (saved workflows only) the refined
+ * workflow replaces the stored one; as with PUT /api/workflows, a workflow
+ * with lint errors is only saved if it is a draft, and otherwise `saved`
+ * is null and `save_error` says why.
+ */
+export default async function handler(req, res) {
+  if (req.method !== 'POST') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  try {
+    const { workflowId, workflow: inlineWorkflow, instruction, save = false, maxRepairRounds } = req.body;
+
+    if (!instruction) {
+      return res.status(400).json({ error: 'instruction is required' });
+    }
+    if (!workflowId && !inlineWorkflow) {
+      return res.status(400).json({ error: 'workflowId or workflow is required' });
+    }
+    if (save && !workflowId) {
+      return res.status(400).json({ error: 'save requires a workflowId' });
+    }
+
+    const current = workflowId ? await getWorkflow(workflowId) : inlineWorkflow;
+    if (!Array.isArray(current?.steps)) {
+      return res.status(400).json({ error: 'workflow must have a steps array' });
+    }
+
+    const definition = toDefinition(current);
+    const { workflow, validation, usage, repairRounds } = await refineWorkflow(
+      definition,
+      instruction,
+      resolveRepairRounds(maxRepairRounds)
+    );
+
+    if (!workflow) {
+      return res.status(500).json({
+        error: 'Failed to refine workflow',
+        message: 'Claude did not return a parseable workflow',
+        validation,
+        repair_rounds: repairRounds,
+        usage,
+      });
+    }
+
+    let savedWorkflow = null;
+    let saveError = null;
+    if (save && !validation.valid && !isDraft(current.status)) {
+      saveError = `Workflow has errors; only drafts are saved with errors (this workflow is ${current.status})`;
+    } else if (save) {
+      savedWorkflow = await updateWorkflow(workflowId, {
+        name: workflow.name,
+        description: workflow.description,
+        steps: workflow.steps,
+        metadata: {
+          ...current.metadata,
+          max_parallelism: workflow.max_parallelism ?? current.metadata?.max_parallelism ?? null,
+          variables: workflow.variables ?? current.metadata?.variables ?? null,
+          strict: workflow.strict ?? current.metadata?.strict ?? null,
+        },
+      });
+    }
+
+    return res.status(200).json({
+      success: true,
+      workflow,
+      diff: diffWorkflows(definition, workflow),
+      validation,
+      repair_rounds: repairRounds,
+      saved: savedWorkflow,
+      ...(saveError ? { save_error: saveError } : {}),
+      usage,
+    });
+  } catch (error) {
+    console.error('Error refining workflow:', error);
+    return res.status(500).json({
+      error: 'Failed to refine workflow',
+      message: error.message,
+    });
+  }
+}
+
+/**
+ * The editable definition of a workflow (a saved row keeps
+ * max_parallelism, variables and strict in its metadata)
+ */
+function toDefinition(workflow) {
+  const definition = {
+    name: workflow.name,
+    description: workflow.description,
+    steps: workflow.steps,
+  };
+
+  const maxParallelism = workflow.max_parallelism ?? workflow.metadata?.max_parallelism;
+  if (maxParallelism) definition.max_parallelism = maxParallelism;
+  for (const field of ['variables', 'strict']) {
+    const value = workflow[field] ?? workflow.metadata?.[field];
+    if (value !== undefined && value !== null) definition[field] = value;
+  }
+  if (workflow.triggers !== undefined) definition.triggers = workflow.triggers;
+  return definition;
+}
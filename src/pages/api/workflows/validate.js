@@ -0,0 +1,32 @@
+import { lintWorkflow } from '@/lib/workflow/lint';
+
+/**
+ * Validate a workflow definition without running it
+ *
+ * POST /api/workflows/validate
+ * Body: the workflow ({ name, steps, variables, ... }) or { workflow }
+ *
+ * Responds with { valid, diagnostics }, each diagnostic being
+ * { severity: 'error' | 'warning', code, message, path } with a JSON path
+ * such as $.steps[2].input.url. valid is false when any error was found.
+ */
+export default async function handler(req, res) {
+  if (req.method !== 'POST') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  try {
+    const workflow = req.body?.workflow ?? req.body;
+    if (!workflow || typeof workflow !== 'object') {
+      return res.status(400).json({ error: 'A workflow is required' });
+    }
+
+    return res.status(200).json(lintWorkflow(workflow));
+  } catch (error) {
+    console.error('Error validating workflow:', error);
+    return res.status(500).json({
+      error: 'Failed to validate workflow',
+      message: error.message,
+    });
+  }
+}
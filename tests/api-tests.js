@@ -144,6 +144,26 @@ async function runTests() {
     );
   }
 
+  // Test 10: Validate workflow (the missing url is reported, not a failed request)
+  results.push(
+    await testEndpoint('Validate Workflow', 'POST', '/api/workflows/validate', {
+      name: 'Invalid Workflow',
+      steps: [
+        { id: 'fetch', tool: 'http_request', input: {} },
+      ],
+    })
+  );
+
+  // Test 11: Refine the generated workflow (not saved, so it can be rerun)
+  if (workflowId) {
+    results.push(
+      await testEndpoint('Refine Workflow', 'POST', '/api/workflows/refine', {
+        workflowId,
+        instruction: 'Retry every step up to 3 times',
+      })
+    );
+  }
+
   // Summary
   console.log(`\n${'='.repeat(60)}`);
   console.log(`  📊 Test Summary`);
@@ -0,0 +1,73 @@
+/**
+ * iCalendar builder tests
+ * Run with: npm test
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { buildICalendar } from '@/lib/workflow/calendar';
+
+const event = {
+  title: 'Planning',
+  start_time: '2026-03-02T09:00:00Z',
+  end_time: '2026-03-02T10:00:00Z',
+};
+
+function contentLines(ics) {
+  // Unfold continuation lines (RFC 5545 section 3.1)
+  return ics.replace(/\r\n /g, '').split('\r\n').filter(Boolean);
+}
+
+test('escapes line breaks and separators in text properties', () => {
+  const { ics } = buildICalendar({
+    ...event,
+    title: 'Plan; review, ship\r\nX-EVIL:1',
+    description: 'line one\rX-EVIL:2\nline three',
+  });
+
+  const lines = contentLines(ics);
+  assert.ok(lines.includes('SUMMARY:Plan\\; review\\, ship\\nX-EVIL:1'));
+  assert.ok(lines.includes('DESCRIPTION:line one\\nX-EVIL:2\\nline three'));
+  assert.ok(!lines.some(line => line.startsWith('X-EVIL')));
+});
+
+test('rejects line breaks in url and uid', () => {
+  assert.throws(
+    () => buildICalendar({ ...event, url: 'https://example.com\r\nX-EVIL:1' }),
+    /url must not contain line breaks/
+  );
+  assert.throws(
+    () => buildICalendar({ ...event, uid: 'abc\nX-EVIL:1' }),
+    /uid must not contain line breaks/
+  );
+});
+
+test('accepts only iCalendar event statuses', () => {
+  assert.ok(contentLines(buildICalendar(event).ics).includes('STATUS:CONFIRMED'));
+  assert.ok(contentLines(buildICalendar({ ...event, status: 'tentative' }).ics).includes('STATUS:TENTATIVE'));
+  assert.throws(
+    () => buildICalendar({ ...event, status: 'confirmed\r\nX-EVIL:1' }),
+    /Invalid calendar_event status/
+  );
+  assert.throws(() => buildICalendar({ ...event, status: 'done' }), /Invalid calendar_event status/);
+});
+
+test('strips line breaks from attendee names', () => {
+  const { ics } = buildICalendar({
+    ...event,
+    attendees: [{ email: 'ana@example.com', name: 'Ana\r\nX-EVIL:1' }],
+  });
+
+  const lines = contentLines(ics);
+  assert.ok(lines.some(line => line.startsWith('ATTENDEE;CN="AnaX-EVIL:1";')));
+  assert.ok(!lines.some(line => line.startsWith('X-EVIL')));
+});
+
+test('folds long lines at 75 octets', () => {
+  const { ics } = buildICalendar({ ...event, description: 'x'.repeat(200) });
+
+  for (const line of ics.split('\r\n')) {
+    assert.ok(Buffer.byteLength(line) <= 75);
+  }
+  assert.ok(contentLines(ics).includes(`DESCRIPTION:${'x'.repeat(200)}`));
+});
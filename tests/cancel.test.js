@@ -0,0 +1,50 @@
+/**
+ * Execution cancel tests
+ * Run with: npm test
+ */
+
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import handler from '@/pages/api/executions/[id]/cancel';
+import { cancelExecution, runExecution } from '@/lib/workflow/runner';
+import { createExecution, getExecution } from '@/lib/db';
+import { resetDatabase } from './support/db';
+import { callHandler } from './support/http';
+
+beforeEach(() => resetDatabase());
+
+const workflow = {
+  name: 'Cancel me',
+  steps: [{ id: 'shape', tool: 'transform_data', input: { data: { ok: true }, operations: [] } }],
+};
+
+test('cancels a running execution', async () => {
+  const execution = await createExecution({ status: 'running', input: {}, checkpoint: {}, execution_log: [] });
+
+  const response = await callHandler(handler, { query: { id: execution.id } });
+
+  assert.equal(response.status, 200);
+  assert.equal((await getExecution(execution.id)).status, 'cancelled');
+});
+
+test('cancelling a finished execution leaves it unchanged', async () => {
+  const execution = await createExecution({ status: 'completed', input: {}, checkpoint: {}, execution_log: [], error: null });
+  const before = { ...(await getExecution(execution.id)) };
+
+  const response = await callHandler(handler, { query: { id: execution.id } });
+
+  assert.equal(response.status, 409);
+  assert.equal(await cancelExecution(execution.id), null);
+  assert.deepEqual(await getExecution(execution.id), before);
+});
+
+test('a run that finishes after a cancellation keeps the cancelled status', async () => {
+  const execution = await createExecution({ status: 'running', input: {}, checkpoint: {}, execution_log: [] });
+  await cancelExecution(execution.id);
+
+  await runExecution(workflow, {}, execution.id, null);
+
+  const record = await getExecution(execution.id);
+  assert.equal(record.status, 'cancelled');
+  assert.deepEqual(record.result.shape.result, { ok: true });
+});
@@ -0,0 +1,65 @@
+/**
+ * Code sandbox tests
+ * Run with: npm test
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { runJavaScript } from '@/lib/workflow/code-sandbox';
+
+test('returns the result and captured console output', async () => {
+  const outcome = await runJavaScript('console.log("sum", input.a + input.b); console.warn("careful"); return input.a * input.b;', {
+    input: { a: 2, b: 3 },
+  });
+
+  assert.equal(outcome.exit_code, 0);
+  assert.equal(outcome.stdout, 'sum 5');
+  assert.equal(outcome.stderr, 'careful');
+  assert.equal(outcome.result, 6);
+});
+
+test('state replaced by the snippet does not reach the host', async () => {
+  const outcome = await runJavaScript('globalThis.__state = { done: true }; console.log("still here"); return 1;');
+
+  assert.equal(outcome.stdout, 'still here');
+  assert.equal(outcome.result, 1);
+});
+
+test('a replaced JSON.stringify does not break serialization', async () => {
+  const outcome = await runJavaScript('JSON.stringify = () => "not json"; console.log({ a: 1 }); return { ok: true };');
+
+  assert.equal(outcome.exit_code, 0);
+  assert.deepEqual(outcome.result, { ok: true });
+});
+
+test('a state serialized into the wrong shape rejects the step', async () => {
+  await assert.rejects(
+    runJavaScript('Array.prototype.toJSON = () => "tampered"; return 1;'),
+    /malformed result/
+  );
+});
+
+test('Function and eval cannot compile code from strings', async () => {
+  const viaFunction = await runJavaScript('return Function("return 1")();');
+  const viaEval = await runJavaScript('return eval("1 + 1");');
+  const viaConstructor = await runJavaScript('return (() => {}).constructor("return process")();');
+
+  for (const outcome of [viaFunction, viaEval, viaConstructor]) {
+    assert.equal(outcome.exit_code, 1);
+    assert.match(outcome.stderr, /Code generation from strings disallowed/);
+  }
+});
+
+test('a busy loop is stopped at the timeout', async () => {
+  await assert.rejects(runJavaScript('while (true) {}', { timeout: 200 }), /timed out after 200ms/);
+});
+
+test('allocating past the memory limit rejects', async () => {
+  await assert.rejects(
+    runJavaScript('const chunks = []; while (true) chunks.push(new Array(1e6).fill(chunks.length));', {
+      memoryLimitMb: 16,
+      timeout: 20000,
+    }),
+    /exceeded the 16MB memory limit/
+  );
+});
@@ -0,0 +1,200 @@
+/**
+ * Connector action tests
+ * Run with: npm test
+ */
+
+import { test, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'http';
+import { getConnectorAction, runConnectorAction } from '@/lib/workflow/connector-actions';
+import { upsertConnector } from '@/lib/db';
+import { resetDatabase } from './support/db';
+
+// A local API that records requests and answers with `reply`
+let server;
+let baseUrl;
+let requests;
+let reply;
+
+before(async () => {
+  server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      requests.push({ method: req.method, url: req.url, headers: req.headers, body });
+      const { status = 200, data } = reply(req);
+      res.writeHead(status, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify(data));
+    });
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => server.close());
+
+beforeEach(() => {
+  resetDatabase();
+  requests = [];
+  reply = () => ({ status: 201, data: { id: 7 } });
+});
+
+// A stubbed connector in the CONNECTORS_LIBRARY.json format
+const tracker = {
+  id: 'tracker',
+  name: 'Tracker',
+  config_schema: { required: ['api_token'] },
+  http: {
+    base_url: 'https://tracker.invalid/api',
+    auth: { type: 'bearer', token: '{{config.api_token}}' },
+    headers: { Accept: 'application/json' },
+    response: { success_flag: 'ok', error_message: 'error' },
+  },
+};
+
+const createTicket = {
+  id: 'create_ticket',
+  defaults: { project: '{{config.project}}' },
+  input_schema: {
+    type: 'object',
+    required: ['project', 'title'],
+    properties: {
+      project: { type: 'string' },
+      title: { type: 'string' },
+      priority: { type: 'integer' },
+      assignee: { type: 'string' },
+    },
+  },
+  request: {
+    method: 'POST',
+    path: '/projects/{{input.project}}/tickets',
+    query: { notify: '{{input.assignee}}' },
+    body: { title: '{{input.title}}', priority: '{{input.priority}}' },
+  },
+};
+
+async function saveTracker(name, config) {
+  return upsertConnector({ name, type: 'tracker', config: { base_url: baseUrl, ...config } });
+}
+
+test('looks up connector actions by connector.action name', () => {
+  const found = getConnectorAction('github.create_issue');
+
+  assert.equal(found.connector.id, 'github');
+  assert.equal(found.action.id, 'create_issue');
+  assert.equal(getConnectorAction('github.no_such_action'), null);
+  assert.equal(getConnectorAction('github'), null);
+  assert.equal(getConnectorAction('github.create_issue.extra'), null);
+});
+
+test('sends the templated request with the saved credentials', async () => {
+  await saveTracker('Work', { api_token: '{{secrets.TRACKER_TOKEN}}', project: 'ops team' });
+
+  const result = await runConnectorAction(tracker, createTicket, { title: 'Disk full', priority: '2' }, undefined, {
+    secrets: { TRACKER_TOKEN: 'tok-123' },
+  });
+
+  assert.deepEqual(result, { status: 201, body: { id: 7 } });
+  const [request] = requests;
+  assert.equal(request.method, 'POST');
+  assert.equal(request.url, '/projects/ops%20team/tickets');
+  assert.equal(request.headers.authorization, 'Bearer tok-123');
+  assert.equal(request.headers.accept, 'application/json');
+  assert.deepEqual(JSON.parse(request.body), { title: 'Disk full', priority: 2 });
+});
+
+test('uses the connector named in the input', async () => {
+  await saveTracker('Personal', { api_token: 'personal-token', project: 'home' });
+  await saveTracker('Work', { api_token: 'work-token', project: 'ops' });
+
+  await runConnectorAction(tracker, createTicket, { connector: 'Work', title: 'Hi', assignee: 'ada' });
+
+  assert.equal(requests[0].headers.authorization, 'Bearer work-token');
+  assert.equal(requests[0].url, '/projects/ops/tickets?notify=ada');
+});
+
+test('rejects missing, mismatched and incomplete connectors without a request', async () => {
+  await assert.rejects(
+    runConnectorAction(tracker, createTicket, { title: 'Hi' }),
+    { message: 'No Tracker connector saved; add one to use tracker.create_ticket', retryable: false }
+  );
+
+  await upsertConnector({ name: 'Mail', type: 'smtp', config: { host: 'mail' } });
+  await assert.rejects(
+    runConnectorAction(tracker, createTicket, { connector: 'Mail', title: 'Hi' }),
+    { message: 'Connector Mail is a smtp connector, not tracker', retryable: false }
+  );
+  await assert.rejects(
+    runConnectorAction(tracker, createTicket, { connector: 'Nope', title: 'Hi' }),
+    { message: 'Connector not found: Nope', retryable: false }
+  );
+
+  await saveTracker('Work', { project: 'ops' });
+  await assert.rejects(
+    runConnectorAction(tracker, createTicket, { title: 'Hi' }),
+    { message: 'Tracker connector is missing api_token', retryable: false }
+  );
+
+  assert.equal(requests.length, 0);
+});
+
+test('rejects a config that references an unknown secret', async () => {
+  await saveTracker('Work', { api_token: '{{secrets.MISSING}}', project: 'ops' });
+
+  await assert.rejects(runConnectorAction(tracker, createTicket, { title: 'Hi' }, undefined, { secrets: {} }), {
+    message: /references unknown secret\(s\): .*MISSING/,
+  });
+});
+
+test('validates the action input after applying defaults', async () => {
+  await saveTracker('Work', { api_token: 'token' });
+
+  await assert.rejects(runConnectorAction(tracker, createTicket, { priority: 'high' }), (error) => {
+    assert.equal(error.message, 'Invalid input for tracker.create_ticket: project is required; title is required; priority must be an integer, got a string');
+    assert.equal(error.retryable, false);
+    return true;
+  });
+  assert.equal(requests.length, 0);
+});
+
+test('surfaces API errors from the status and from the success flag', async () => {
+  await saveTracker('Work', { api_token: 'token', project: 'ops' });
+
+  reply = () => ({ status: 422, data: { message: 'title is too long' } });
+  await assert.rejects(runConnectorAction(tracker, createTicket, { title: 'Hi' }), {
+    message: 'Tracker API error (422): title is too long',
+  });
+
+  reply = () => ({ status: 200, data: { ok: false, error: 'project archived' } });
+  await assert.rejects(runConnectorAction(tracker, createTicket, { title: 'Hi' }), {
+    message: 'Tracker API error: project archived',
+    retryable: false,
+  });
+});
+
+test('exchanges and caches OAuth refresh tokens', async () => {
+  const oauthTracker = {
+    ...tracker,
+    http: {
+      ...tracker.http,
+      auth: {
+        type: 'oauth2_refresh',
+        token_url: '{{config.base_url}}/oauth/token',
+        client_id: '{{config.client_id}}',
+        client_secret: '{{config.client_secret}}',
+        refresh_token: '{{config.refresh_token}}',
+      },
+    },
+  };
+  await saveTracker('Work', { api_token: 'unused', project: 'ops', client_id: 'id', client_secret: 'shh', refresh_token: 'refresh-1' });
+  reply = (req) => (req.url === '/oauth/token'
+    ? { data: { access_token: 'access-1', expires_in: 3600 } }
+    : { status: 201, data: { id: 7 } });
+
+  await runConnectorAction(oauthTracker, createTicket, { title: 'One' });
+  await runConnectorAction(oauthTracker, createTicket, { title: 'Two' });
+
+  assert.deepEqual(requests.map(request => request.url), ['/oauth/token', '/projects/ops/tickets', '/projects/ops/tickets']);
+  assert.equal(new URLSearchParams(requests[0].body).get('grant_type'), 'refresh_token');
+  assert.equal(requests[1].headers.authorization, 'Bearer access-1');
+});
@@ -0,0 +1,67 @@
+/**
+ * Dependency graph scheduling tests
+ * Run with: npm test
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { buildDependencyGraph, runInDependencyOrder } from '@/lib/workflow/dag';
+import { sleep } from '@/lib/workflow/util';
+
+/**
+ * Run the steps with a short delay each, recording start / end events and
+ * the highest number of steps running at once
+ */
+function schedule(steps, maxParallelism, { fail } = {}) {
+  const events = [];
+  let running = 0;
+  let peak = 0;
+
+  const run = runInDependencyOrder(steps, buildDependencyGraph(steps), maxParallelism, async (step) => {
+    events.push(`start ${step.id}`);
+    running++;
+    peak = Math.max(peak, running);
+    await sleep(10);
+    running--;
+    events.push(`end ${step.id}`);
+    if (step.id === fail) throw new Error(`${step.id} failed`);
+  });
+
+  return { run, events, peak: () => peak };
+}
+
+const step = (id, depends_on) => ({ id, tool: 'wait_delay', input: {}, ...(depends_on ? { depends_on } : {}) });
+
+test('dependents start only after their dependencies have settled', async () => {
+  const steps = [step('fetch'), step('parse', ['fetch']), step('save', ['parse'])];
+  const { run, events } = schedule(steps, 5);
+  await run;
+
+  assert.deepEqual(events, ['start fetch', 'end fetch', 'start parse', 'end parse', 'start save', 'end save']);
+});
+
+test('ready steps start in workflow order, at most maxParallelism at a time', async () => {
+  const steps = [step('a'), step('b'), step('c'), step('d'), step('e', ['a'])];
+  const { run, events, peak } = schedule(steps, 2);
+  await run;
+
+  assert.equal(peak(), 2);
+  assert.deepEqual(events.filter(event => event.startsWith('start')), ['start a', 'start b', 'start c', 'start d', 'start e']);
+});
+
+test('independent steps run concurrently up to the limit', async () => {
+  const steps = [step('a'), step('b'), step('c')];
+  const { run, events, peak } = schedule(steps, 5);
+  await run;
+
+  assert.equal(peak(), 3);
+  assert.deepEqual(events.slice(0, 3), ['start a', 'start b', 'start c']);
+});
+
+test('a failure stops new steps, awaits running ones and is rethrown', async () => {
+  const steps = [step('a'), step('b'), step('c', ['a'])];
+  const { run, events } = schedule(steps, 2, { fail: 'a' });
+
+  await assert.rejects(run, /a failed/);
+  assert.deepEqual(events, ['start a', 'start b', 'end a', 'end b']);
+});
@@ -0,0 +1,102 @@
+/**
+ * Email service tests
+ * Run with: npm test
+ */
+
+import { test, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { resolveTransport, sendEmail } from '@/lib/email';
+
+const ENV_KEYS = ['EMAIL_TRANSPORT', 'SENDGRID_API_KEY', 'SMTP_HOST', 'EMAIL_FROM', 'EMAIL_FROM_NAME', 'EMAIL_MAILBOX_DIR'];
+let savedEnv;
+let mailboxDir;
+
+beforeEach(async () => {
+  savedEnv = Object.fromEntries(ENV_KEYS.map(key => [key, process.env[key]]));
+  ENV_KEYS.forEach(key => delete process.env[key]);
+  mailboxDir = await fs.mkdtemp(path.join(os.tmpdir(), 'mailbox-test-'));
+});
+
+afterEach(async () => {
+  for (const [key, value] of Object.entries(savedEnv)) {
+    if (value === undefined) delete process.env[key];
+    else process.env[key] = value;
+  }
+  await fs.rm(mailboxDir, { recursive: true, force: true });
+});
+
+const message = {
+  from: 'Ops <ops@example.com>',
+  to: 'ada@example.com',
+  cc: ['grace@example.com'],
+  subject: 'Report for {{name}}',
+  text: 'Hello {{name}}',
+  template_data: { name: 'Ada' },
+  attachments: [{ filename: 'report.csv', content: 'a,b\n1,2\n' }],
+};
+
+test('an explicit transport wins, then EMAIL_TRANSPORT, then the configured credentials', () => {
+  assert.equal(resolveTransport(), 'file');
+
+  process.env.SMTP_HOST = 'smtp.example.com';
+  assert.equal(resolveTransport(), 'smtp');
+
+  process.env.SENDGRID_API_KEY = 'key';
+  assert.equal(resolveTransport(), 'sendgrid');
+
+  process.env.EMAIL_TRANSPORT = 'file';
+  assert.equal(resolveTransport(), 'file');
+  assert.equal(resolveTransport(undefined, { transport: 'smtp' }), 'smtp');
+  assert.equal(resolveTransport('sendgrid', { transport: 'smtp' }), 'sendgrid');
+});
+
+test('connector config picks the transport when the environment does not', () => {
+  assert.equal(resolveTransport(undefined, { host: 'smtp.example.com' }), 'smtp');
+  assert.equal(resolveTransport(undefined, { api_key: 'key', host: 'smtp.example.com' }), 'sendgrid');
+});
+
+test('the file transport saves the rendered message as an .eml file', async () => {
+  const result = await sendEmail(message, { transport: 'file', config: { mailbox_dir: mailboxDir } });
+
+  assert.equal(result.success, true);
+  assert.equal(result.transport, 'file');
+  assert.equal(result.status, 'saved');
+  assert.deepEqual(result.accepted, ['ada@example.com', 'grace@example.com']);
+  assert.equal(path.dirname(result.path), mailboxDir);
+  assert.match(path.basename(result.path), /\.eml$/);
+
+  const eml = await fs.readFile(result.path, 'utf8');
+  assert.match(eml, /^Subject: Report for Ada$/m);
+  assert.match(eml, /^To: ada@example\.com$/m);
+  assert.match(eml, /^Cc: grace@example\.com$/m);
+  assert.match(eml, /Hello Ada/);
+  assert.match(eml, /filename=report\.csv/);
+  assert.equal(eml.includes('{{name}}'), false);
+});
+
+test('the file transport is used without any configuration', async () => {
+  process.env.EMAIL_MAILBOX_DIR = mailboxDir;
+
+  const result = await sendEmail(message);
+
+  assert.equal(result.transport, 'file');
+  assert.deepEqual(await fs.readdir(mailboxDir), [path.basename(result.path)]);
+});
+
+test('invalid messages and transports fail without a retry', async () => {
+  const send = (overrides, options = { transport: 'file', config: { mailbox_dir: mailboxDir } }) =>
+    sendEmail({ ...message, ...overrides }, options);
+
+  await assert.rejects(send({ to: [] }), { message: 'An email needs at least one recipient', retryable: false });
+  await assert.rejects(send({ to: 'not-an-address' }), { message: 'Invalid to address: not-an-address', retryable: false });
+  await assert.rejects(send({ subject: '' }), { message: 'An email needs a subject', retryable: false });
+  await assert.rejects(send({ from: undefined }), { message: /No sender address/, retryable: false });
+  await assert.rejects(send({}, { transport: 'pigeon' }), {
+    message: 'Unknown email transport "pigeon" (expected smtp, sendgrid, file)',
+    retryable: false,
+  });
+  assert.deepEqual(await fs.readdir(mailboxDir), []);
+});
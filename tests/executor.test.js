@@ -0,0 +1,195 @@
+/**
+ * Executor unit tests
+ * Run with: npm test
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { executeWorkflow } from '@/lib/workflow/executor';
+
+test('loop results hold only the nested step outputs', async () => {
+  const workflow = {
+    steps: [
+      {
+        id: 'each',
+        tool: 'loop_iteration',
+        input: { items: [1, 2] },
+        steps: [
+          { id: 'wrap', tool: 'transform_data', input: { data: { value: '{{item}}' }, operations: [] } },
+        ],
+      },
+    ],
+  };
+
+  const result = await executeWorkflow(workflow, {}, 'exec-1', null);
+
+  assert.equal(result.success, true);
+  assert.deepEqual(result.outputs.each.results, [
+    { wrap: { result: { value: 1 } } },
+    { wrap: { result: { value: 2 } } },
+  ]);
+});
+
+test('failed attempts log the error type as a string', async () => {
+  const workflow = {
+    steps: [
+      {
+        id: 'bad_filter',
+        tool: 'transform_data',
+        input: { data: [1], operations: [{ type: 'filter', condition: 'item >' }] },
+        retry: { max_attempts: 2, delay_ms: 0, retry_on: [{ pattern: 'Invalid expression' }] },
+        on_error: 'stop',
+      },
+    ],
+  };
+
+  const result = await executeWorkflow(workflow, {}, 'exec-1', null);
+
+  assert.equal(result.success, false);
+  const [first, second] = result.log[0].attempts;
+  assert.equal(first.error_type, 'error');
+  assert.equal(first.error_status, undefined);
+  assert.equal(second.error_type, 'error');
+});
+
+test('variables saved in the workflow metadata are available to steps', async () => {
+  const workflow = {
+    metadata: { variables: { greeting: 'hello' } },
+    steps: [
+      { id: 'say', tool: 'transform_data', input: { data: { text: '{{greeting}}' }, operations: [] } },
+    ],
+  };
+
+  const result = await executeWorkflow(workflow, {}, 'exec-1', null);
+
+  assert.equal(result.success, true);
+  assert.deepEqual(result.outputs.say.result, { text: 'hello' });
+});
+
+test('independent steps run concurrently by default', async () => {
+  const wait = (id) => ({ id, tool: 'wait_delay', input: { duration: 100 } });
+  const workflow = { steps: [wait('a'), wait('b'), wait('c')] };
+
+  const startTime = Date.now();
+  const result = await executeWorkflow(workflow, {}, 'exec-1', null);
+
+  assert.equal(result.success, true);
+  assert.ok(Date.now() - startTime < 250, 'the three delays overlap');
+});
+
+// A transform_data step that always fails ("Invalid expression ...")
+const failing = (id, extra = {}) => ({
+  id,
+  tool: 'transform_data',
+  input: { data: [1], operations: [{ type: 'filter', condition: 'item >' }] },
+  ...extra,
+});
+const shape = (id, data, extra = {}) => ({ id, tool: 'transform_data', input: { data, operations: [] }, ...extra });
+
+test('on_error goto runs the handler with the error and keeps the workflow going', async () => {
+  const workflow = {
+    steps: [
+      failing('charge', { on_error: { goto: 'refund' } }),
+      shape('ship', { ok: true }, { on_error: { goto: 'apologize' } }),
+      shape('refund', { reason: '{{error.message}}', from: '{{error.step_id}}' }),
+      shape('apologize', { sent: true }),
+    ],
+  };
+
+  const result = await executeWorkflow(workflow, {}, 'exec-1', null);
+  const entries = Object.fromEntries(result.log.map(entry => [entry.step_id, entry]));
+
+  assert.equal(result.success, true);
+  assert.equal(entries.charge.status, 'failed');
+  assert.equal(entries.charge.handled_by, 'refund');
+  assert.equal(entries.refund.status, 'completed');
+  assert.equal(result.outputs.refund.result.from, 'charge');
+  assert.match(result.outputs.refund.result.reason, /Invalid expression/);
+  assert.equal(entries.apologize.status, 'skipped');
+  assert.equal(entries.apologize.reason, 'No error to handle');
+});
+
+test('a failed workflow compensates completed steps in reverse order', async () => {
+  const compensate = (name) => ({ tool: 'transform_data', input: { data: { undo: name, because: '{{error.message}}' }, operations: [] } });
+  const workflow = {
+    steps: [
+      shape('reserve', { id: 1 }, { compensate: compensate('reserve') }),
+      shape('audit', { id: 2 }, { depends_on: ['reserve'] }),
+      shape('charge', { id: 3 }, { depends_on: ['audit'], compensate: compensate('charge') }),
+      failing('ship', { depends_on: ['charge'], on_error: 'stop', compensate: compensate('ship') }),
+    ],
+  };
+
+  const result = await executeWorkflow(workflow, {}, 'exec-1', null);
+  const compensations = result.log.filter(entry => entry.compensates);
+
+  assert.equal(result.success, false);
+  assert.equal(result.compensated, 2);
+  assert.deepEqual(compensations.map(entry => [entry.step_id, entry.status]), [
+    ['charge:compensate', 'completed'],
+    ['reserve:compensate', 'completed'],
+  ]);
+  assert.equal(compensations[0].output.result.undo, 'charge');
+  assert.match(compensations[0].output.result.because, /Invalid expression/);
+});
+
+// Approve large orders, reject small ones
+const branchWorkflow = (condition = 'amount > 100') => ({
+  steps: [
+    {
+      id: 'check',
+      tool: 'conditional_branch',
+      input: { condition, context: { amount: '{{amount}}' } },
+      then: ['approve'],
+      else: ['reject'],
+      on_error: 'continue',
+    },
+    shape('approve', { approved: '{{amount}}' }),
+    shape('reject', { rejected: '{{amount}}' }),
+    shape('notify_rejection', { about: '{{reject.result.rejected}}' }),
+    shape('summary', { done: true }, { depends_on: ['approve', 'reject'] }),
+  ],
+});
+
+function statuses(result) {
+  return Object.fromEntries(result.log.map(entry => [entry.step_id, entry.reason ? `${entry.status}: ${entry.reason}` : entry.status]));
+}
+
+test('conditional_branch runs the then branch and skips the else branch', async () => {
+  const result = await executeWorkflow(branchWorkflow(), { amount: 150 }, 'exec-1', null);
+
+  assert.equal(result.success, true);
+  assert.equal(result.outputs.check.branch, 'true');
+  assert.deepEqual(statuses(result), {
+    check: 'completed',
+    approve: 'completed',
+    reject: 'skipped: Branch not taken at step check',
+    notify_rejection: 'skipped: All dependencies were skipped',
+    summary: 'completed',
+  });
+  assert.equal(result.outputs.approve.result.approved, 150);
+});
+
+test('conditional_branch runs the else branch when the condition is false', async () => {
+  const result = await executeWorkflow(branchWorkflow(), { amount: 50 }, 'exec-1', null);
+
+  assert.deepEqual(statuses(result), {
+    check: 'completed',
+    approve: 'skipped: Branch not taken at step check',
+    reject: 'completed',
+    notify_rejection: 'completed',
+    summary: 'completed',
+  });
+  assert.equal(result.outputs.notify_rejection.result.about, 50);
+});
+
+test('a failed conditional_branch takes neither branch', async () => {
+  const result = await executeWorkflow(branchWorkflow('amount >'), { amount: 150 }, 'exec-1', null);
+  const status = statuses(result);
+
+  assert.equal(result.success, true);
+  assert.equal(status.check, 'failed');
+  assert.equal(status.approve, 'skipped: Branch not taken at step check');
+  assert.equal(status.reject, 'skipped: Branch not taken at step check');
+  assert.equal(status.summary, 'skipped: All dependencies were skipped');
+});
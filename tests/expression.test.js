@@ -0,0 +1,77 @@
+/**
+ * Expression language tests
+ * Run with: npm test
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { evaluateExpression, parseExpression } from '@/lib/workflow/expression';
+
+const evaluate = (source, context) => evaluateExpression(source, context);
+
+test('arithmetic follows operator precedence', () => {
+  assert.equal(evaluate('1 + 2 * 3'), 7);
+  assert.equal(evaluate('(1 + 2) * 3'), 9);
+  assert.equal(evaluate('10 - 4 - 3'), 3);
+  assert.equal(evaluate('7 % 4 + 1'), 4);
+  assert.equal(evaluate('-2 * 3'), -6);
+});
+
+test('comparisons bind tighter than boolean logic', () => {
+  assert.equal(evaluate('1 + 1 == 2 && 3 > 2'), true);
+  assert.equal(evaluate('true || false && false'), true);
+  assert.equal(evaluate('(true || false) && false'), false);
+  assert.equal(evaluate('not a or b', { a: true, b: false }), false);
+  assert.equal(evaluate('a > 1 ? "big" : "small"', { a: 2 }), 'big');
+});
+
+test('equality is strict', () => {
+  assert.equal(evaluate('"1" == 1'), false);
+  assert.equal(evaluate('null != undefined'), true);
+});
+
+test('reads variables, members and indexes', () => {
+  const context = { user: { name: 'Ada', tags: ['admin'] }, order: { total: 40 } };
+
+  assert.equal(evaluate('user.name', context), 'Ada');
+  assert.equal(evaluate('user.tags[0]', context), 'admin');
+  assert.equal(evaluate("order['total'] >= 40", context), true);
+  assert.equal(evaluate('user.missing.deeper', context), undefined);
+});
+
+test('calls helpers and method aliases', () => {
+  assert.equal(evaluate('len(items) == 2 && contains(items, "b")', { items: ['a', 'b'] }), true);
+  assert.equal(evaluate('name.toLowerCase().startsWith("ad")', { name: 'ADA' }), true);
+  assert.equal(evaluate('max([1, 5, 3])'), 5);
+});
+
+test('does not expose prototypes or constructors', () => {
+  const context = { user: { name: 'Ada' }, items: [] };
+
+  assert.equal(evaluate('user.constructor', context), undefined);
+  assert.equal(evaluate('user.__proto__', context), undefined);
+  assert.equal(evaluate("user['__proto__']", context), undefined);
+  assert.equal(evaluate('items.constructor', context), undefined);
+  assert.equal(evaluate('user.toString', context), undefined);
+  assert.equal(evaluate('name.prototype', { name: 'Ada' }), undefined);
+});
+
+test('rejects calls to anything but helpers', () => {
+  assert.throws(() => parseExpression('user.toString()'), /Method 'toString' is not allowed at position 5/);
+  assert.throws(() => parseExpression('eval("1")'), /Unknown function 'eval' at position 4/);
+  assert.throws(() => parseExpression('user.constructor()'), /Method 'constructor' is not allowed/);
+  assert.throws(() => parseExpression('user.name()'), /Method 'name' is not allowed/);
+});
+
+test('syntax errors report the position', () => {
+  assert.throws(() => parseExpression('a >'), /Unexpected end of expression at position 3/);
+  assert.throws(() => parseExpression('a # b'), /Unexpected character '#' at position 2/);
+  assert.throws(() => parseExpression("name == 'Ada"), /Unterminated string at position 8/);
+  assert.throws(() => parseExpression('(a + b'), /Expected '\)' at position 6/);
+  assert.throws(() => parseExpression('a b'), /Unexpected 'b' at position 2/);
+});
+
+test('rejects empty and oversized expressions', () => {
+  assert.throws(() => parseExpression(''), /non-empty string/);
+  assert.throws(() => parseExpression('1 + '.repeat(600) + '1'), /exceeds 2000 characters/);
+});
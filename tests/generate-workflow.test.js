@@ -0,0 +1,63 @@
+/**
+ * Saving generated and refined workflows
+ * Run with: npm test
+ */
+
+import { test, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import Anthropic from '@anthropic-ai/sdk';
+import generateHandler from '@/pages/api/generate-workflow';
+import refineHandler from '@/pages/api/workflows/refine';
+import { createWorkflow } from '@/lib/db';
+import { getRows, resetDatabase } from './support/db';
+import { callHandler } from './support/http';
+
+// http_request without its required url, whatever the repairs
+const broken = { name: 'Broken', description: 'Still broken', steps: [{ id: 'fetch', tool: 'http_request', input: {} }] };
+
+beforeEach(() => {
+  resetDatabase();
+  mock.method(Anthropic.Messages.prototype, 'create', async () => ({
+    content: [{ type: 'text', text: JSON.stringify(broken) }],
+    usage: { input_tokens: 10, output_tokens: 5 },
+  }));
+});
+
+afterEach(() => mock.restoreAll());
+
+test('a generated workflow with errors is saved as a draft with its diagnostics', async () => {
+  const response = await callHandler(generateHandler, { body: { prompt: 'Fetch a page', maxRepairRounds: 1 } });
+
+  assert.equal(response.status, 200);
+  assert.equal(response.body.validation.valid, false);
+  assert.deepEqual(response.body.validation.diagnostics.map(diagnostic => diagnostic.code), ['missing_input']);
+  assert.equal(response.body.saved.status, 'draft');
+  assert.equal(getRows('workflows').length, 1);
+});
+
+test('a refined draft is saved with its errors', async () => {
+  const draft = await createWorkflow({ name: 'Draft', steps: [{ id: 'pause', tool: 'wait_delay', input: { duration: 1 } }], status: 'draft', metadata: {} });
+
+  const response = await callHandler(refineHandler, {
+    body: { workflowId: draft.id, instruction: 'Fetch a page instead', save: true, maxRepairRounds: 0 },
+  });
+
+  assert.equal(response.status, 200);
+  assert.equal(response.body.saved.id, draft.id);
+  assert.equal(response.body.save_error, undefined);
+  assert.equal(getRows('workflows')[0].steps[0].tool, 'http_request');
+});
+
+test('a refined active workflow with errors is not saved and says why', async () => {
+  const steps = [{ id: 'pause', tool: 'wait_delay', input: { duration: 1 } }];
+  const active = await createWorkflow({ name: 'Active', steps, status: 'active', metadata: {} });
+
+  const response = await callHandler(refineHandler, {
+    body: { workflowId: active.id, instruction: 'Fetch a page instead', save: true, maxRepairRounds: 0 },
+  });
+
+  assert.equal(response.status, 200);
+  assert.equal(response.body.saved, null);
+  assert.equal(response.body.save_error, 'Workflow has errors; only drafts are saved with errors (this workflow is active)');
+  assert.deepEqual(getRows('workflows')[0].steps, steps);
+});
@@ -0,0 +1,86 @@
+/**
+ * Workflow generation repair loop tests
+ * Run with: npm test
+ */
+
+import { test, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import Anthropic from '@anthropic-ai/sdk';
+import { generateWorkflow } from '@/lib/workflow/generator';
+
+const validWorkflow = {
+  name: 'Fetch status',
+  description: 'Fetch the status page',
+  steps: [{ id: 'fetch', name: 'Fetch', tool: 'http_request', input: { url: 'https://example.com/status' } }],
+};
+
+/**
+ * Stub the model: each call answers with the next reply and records the
+ * conversation it was sent
+ */
+function stubModel(replies) {
+  const calls = [];
+  mock.method(Anthropic.Messages.prototype, 'create', async (params) => {
+    calls.push(structuredClone(params.messages));
+    const text = replies[calls.length - 1];
+    return { content: [{ type: 'text', text }], usage: { input_tokens: 10, output_tokens: 5 } };
+  });
+  return calls;
+}
+
+beforeEach(() => {
+  // parseWorkflowResponse logs unparseable responses
+  mock.method(console, 'error', () => {});
+});
+
+afterEach(() => mock.restoreAll());
+
+test('malformed JSON is sent back and the repaired workflow is returned', async () => {
+  const calls = stubModel(['{"name": "Fetch status", "steps": [', JSON.stringify(validWorkflow)]);
+
+  const result = await generateWorkflow('Check the status page', {}, 2);
+
+  assert.equal(result.repairRounds, 1);
+  assert.equal(result.validation.valid, true);
+  assert.equal(result.workflow.steps[0].input.url, 'https://example.com/status');
+  assert.deepEqual(result.usage, { input_tokens: 20, output_tokens: 10 });
+
+  const repair = calls[1];
+  assert.equal(repair.length, 3);
+  assert.deepEqual(repair[1], { role: 'assistant', content: '{"name": "Fetch status", "steps": [' });
+  assert.match(repair[2].content, /\$: Response is not valid JSON/);
+});
+
+test('lint errors are sent back for repair', async () => {
+  const broken = { ...validWorkflow, steps: [{ id: 'fetch', tool: 'http_request', input: {} }] };
+  const calls = stubModel([`\`\`\`json\n${JSON.stringify(broken)}\n\`\`\``, JSON.stringify(validWorkflow)]);
+
+  const result = await generateWorkflow('Check the status page', {}, 2);
+
+  assert.equal(result.repairRounds, 1);
+  assert.equal(result.validation.valid, true);
+  assert.match(calls[1][2].content, /\$\.steps\[0\]\.input\.url: url is required/);
+});
+
+test('stops after maxRepairRounds with the last parseable workflow and its errors', async () => {
+  const broken = { ...validWorkflow, steps: [{ id: 'fetch', tool: 'no_such_tool', input: {} }] };
+  const calls = stubModel([JSON.stringify(broken), 'not json', 'still not json']);
+
+  const result = await generateWorkflow('Check the status page', {}, 2);
+
+  assert.equal(calls.length, 3);
+  assert.equal(result.repairRounds, 2);
+  assert.equal(result.workflow.steps[0].tool, 'no_such_tool');
+  assert.equal(result.validation.valid, false);
+  assert.deepEqual(result.validation.diagnostics.map(diagnostic => diagnostic.code), ['unknown_tool']);
+});
+
+test('returns no workflow when nothing parseable came back', async () => {
+  stubModel(['Sorry, I cannot help with that.']);
+
+  const result = await generateWorkflow('Check the status page', {}, 0);
+
+  assert.equal(result.workflow, null);
+  assert.equal(result.repairRounds, 0);
+  assert.deepEqual(result.validation.diagnostics.map(diagnostic => diagnostic.code), ['invalid_json']);
+});
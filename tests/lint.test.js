@@ -0,0 +1,84 @@
+/**
+ * Workflow linter tests
+ * Run with: npm test
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { lintWorkflow } from '@/lib/workflow/lint';
+import validateHandler from '@/pages/api/workflows/validate';
+import { callHandler } from './support/http';
+
+const delay = (id, extra = {}) => ({ id, tool: 'wait_delay', input: { duration: 1 }, ...extra });
+
+function codes(result) {
+  return result.diagnostics.map(diagnostic => `${diagnostic.code} ${diagnostic.path}`);
+}
+
+test('a well-formed workflow is valid', () => {
+  const result = lintWorkflow({ name: 'Ok', steps: [delay('a'), delay('b', { depends_on: ['a'] })] });
+
+  assert.equal(result.valid, true);
+  assert.deepEqual(result.diagnostics, []);
+});
+
+test('reports non-object workflows and missing steps', () => {
+  assert.deepEqual(codes(lintWorkflow(null)), ['invalid_workflow $']);
+  assert.deepEqual(codes(lintWorkflow({ name: 'x', steps: 'abc' })), ['missing_steps $.steps']);
+});
+
+test('reports malformed nested steps instead of throwing', () => {
+  const loop = steps => ({ name: 'Loop', steps: [{ id: 'each', tool: 'loop_iteration', input: { items: [] }, steps }] });
+
+  assert.deepEqual(codes(lintWorkflow(loop([null]))), ['invalid_step $.steps[0].steps[0]']);
+  assert.deepEqual(codes(lintWorkflow(loop('abc'))), ['invalid_step $.steps[0].steps']);
+  assert.deepEqual(codes(lintWorkflow(loop({ id: 'x' }))), ['invalid_step $.steps[0].steps']);
+});
+
+test('describes non-string step references as JSON', () => {
+  const result = lintWorkflow({
+    name: 'Refs',
+    steps: [
+      delay('a', { depends_on: [{ id: 'b' }] }),
+      { id: 'check', tool: 'conditional_branch', input: { condition: 'x > 1' }, then: [5] },
+      delay('c', { on_error: { goto: { step: 'a' } } }),
+      { id: 'd', tool: { name: 'wait_delay' }, input: {} },
+    ],
+  });
+
+  const messages = result.diagnostics.map(diagnostic => diagnostic.message);
+  assert.ok(messages.includes('Depends on unknown step {"id":"b"}'));
+  assert.ok(messages.includes('Branches to unknown step 5'));
+  assert.ok(messages.includes('Routes errors to unknown step {"step":"a"}'));
+  assert.ok(messages.includes('Unknown tool {"name":"wait_delay"}'));
+  assert.ok(!messages.some(message => message.includes('[object Object]')));
+});
+
+test('reports unknown tools, missing inputs and cycles', () => {
+  const result = lintWorkflow({
+    name: 'Broken',
+    steps: [
+      { id: 'fetch', tool: 'http_request', input: {} },
+      { id: 'mystery', tool: 'does_not_exist', input: {} },
+      delay('a', { depends_on: ['b'] }),
+      delay('b', { depends_on: ['a'] }),
+    ],
+  });
+
+  assert.equal(result.valid, false);
+  assert.deepEqual(codes(result).filter(code => !code.startsWith('unordered')), [
+    'missing_input $.steps[0].input.url',
+    'unknown_tool $.steps[1].tool',
+    'circular_dependency $.steps[2]',
+  ]);
+});
+
+test('POST /api/workflows/validate returns diagnostics for malformed steps', async () => {
+  const response = await callHandler(validateHandler, {
+    body: { name: 'Loop', steps: [{ id: 'each', tool: 'loop_iteration', input: { items: [] }, steps: [null] }] },
+  });
+
+  assert.equal(response.status, 200);
+  assert.equal(response.body.valid, false);
+  assert.deepEqual(codes(response.body), ['invalid_step $.steps[0].steps[0]']);
+});
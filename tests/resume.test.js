@@ -0,0 +1,57 @@
+/**
+ * Execution resume tests
+ * Run with: npm test
+ */
+
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import handler from '@/pages/api/executions/[id]/resume';
+import { createExecution, getExecution } from '@/lib/db';
+import { getRows, resetDatabase } from './support/db';
+import { callHandler } from './support/http';
+
+beforeEach(() => resetDatabase());
+
+async function createFailedExecution() {
+  return createExecution({
+    status: 'failed',
+    input: {},
+    checkpoint: {},
+    execution_log: [],
+    workflow_snapshot: {
+      name: 'Resume me',
+      steps: [{ id: 'shape', tool: 'transform_data', input: { data: { ok: true }, operations: [] } }],
+    },
+  });
+}
+
+test('resumes a failed execution', async () => {
+  const execution = await createFailedExecution();
+
+  const response = await callHandler(handler, { query: { id: execution.id } });
+
+  assert.equal(response.status, 200);
+  assert.equal(response.body.success, true);
+  assert.equal((await getExecution(execution.id)).status, 'completed');
+});
+
+test('concurrent resumes run the execution once', async () => {
+  const execution = await createFailedExecution();
+
+  const responses = await Promise.all([
+    callHandler(handler, { query: { id: execution.id } }),
+    callHandler(handler, { query: { id: execution.id } }),
+  ]);
+
+  assert.deepEqual(responses.map(response => response.status).sort(), [200, 409]);
+  assert.equal(getRows('toolUsage').length, 1);
+});
+
+test('a completed execution cannot be resumed', async () => {
+  const execution = await createFailedExecution();
+  await callHandler(handler, { query: { id: execution.id } });
+
+  const response = await callHandler(handler, { query: { id: execution.id } });
+
+  assert.equal(response.status, 409);
+});
@@ -0,0 +1,96 @@
+/**
+ * Retry policy tests
+ * Run with: npm test
+ */
+
+import { test, mock, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { getRetryDelay, isRetryableError, resolveRetryPolicy } from '@/lib/workflow/retry';
+import { lintWorkflow } from '@/lib/workflow/lint';
+
+afterEach(() => mock.restoreAll());
+
+const policy = (retry, extra = {}) => resolveRetryPolicy({ retry, ...extra });
+const httpError = (status, headers = {}) => Object.assign(new Error(`Request failed with status code ${status}`), {
+  isAxiosError: true,
+  request: {},
+  response: { status, headers },
+});
+
+test('delays grow by strategy and are capped', () => {
+  const linear = policy({ delay_ms: 100 });
+  const fixed = policy({ strategy: 'fixed', delay_ms: 100 });
+  const exponential = policy({ strategy: 'exponential', delay_ms: 100, multiplier: 3, max_delay_ms: 1000 });
+
+  assert.deepEqual([1, 2, 3].map(attempt => getRetryDelay(linear, attempt)), [100, 200, 300]);
+  assert.deepEqual([1, 2, 3].map(attempt => getRetryDelay(fixed, attempt)), [100, 100, 100]);
+  assert.deepEqual([1, 2, 3, 4].map(attempt => getRetryDelay(exponential, attempt)), [100, 300, 900, 1000]);
+});
+
+test('jitter takes up to its ratio off the delay', () => {
+  const jittered = policy({ strategy: 'fixed', delay_ms: 1000, jitter: true });
+  const quarter = policy({ strategy: 'fixed', delay_ms: 1000, jitter: 0.25 });
+
+  mock.method(Math, 'random', () => 0);
+  assert.equal(getRetryDelay(jittered, 1), 1000);
+  mock.method(Math, 'random', () => 0.999999);
+  assert.equal(getRetryDelay(jittered, 1), 500);
+  assert.equal(getRetryDelay(quarter, 1), 750);
+});
+
+test('a Retry-After header raises the delay up to the cap', () => {
+  const fixed = policy({ strategy: 'fixed', delay_ms: 100, max_delay_ms: 5000 });
+
+  assert.equal(getRetryDelay(fixed, 1, httpError(429, { 'retry-after': '2' })), 2000);
+  assert.equal(getRetryDelay(fixed, 1, httpError(429, { 'retry-after': '60' })), 5000);
+});
+
+test('on_error retry defaults to three exponential attempts with jitter', () => {
+  const resolved = resolveRetryPolicy({ on_error: 'retry' });
+
+  assert.equal(resolved.max_attempts, 3);
+  assert.equal(resolved.strategy, 'exponential');
+  assert.equal(resolved.jitter, 0.5);
+});
+
+test('without retry_on, client errors other than 408 and 429 are not retried', () => {
+  const resolved = policy({ max_attempts: 3 });
+
+  assert.equal(isRetryableError(resolved, httpError(500)), true);
+  assert.equal(isRetryableError(resolved, httpError(429)), true);
+  assert.equal(isRetryableError(resolved, httpError(408)), true);
+  assert.equal(isRetryableError(resolved, httpError(404)), false);
+  assert.equal(isRetryableError(resolved, Object.assign(new Error('Bad config'), { retryable: false })), false);
+});
+
+test('retry_on rules match statuses, classes, timeouts, network errors and patterns', () => {
+  const resolved = policy({ retry_on: [429, '5xx', 'timeout', 'network', { pattern: 'rate limit' }] });
+
+  assert.equal(isRetryableError(resolved, httpError(429)), true);
+  assert.equal(isRetryableError(resolved, httpError(503)), true);
+  assert.equal(isRetryableError(resolved, httpError(400)), false);
+  assert.equal(isRetryableError(resolved, new Error('Tool execution timeout')), true);
+  assert.equal(isRetryableError(resolved, Object.assign(new Error('connect failed'), { code: 'ECONNREFUSED' })), true);
+  assert.equal(isRetryableError(resolved, new Error('Rate Limit exceeded')), true);
+  assert.equal(isRetryableError(resolved, new Error('Invalid token')), false);
+});
+
+test('invalid, overlong and backtracking-prone patterns are rejected up front', () => {
+  assert.throws(() => policy({ retry_on: [{ pattern: '(' }] }), /Invalid retry_on pattern "\(": .*Unterminated group/);
+  assert.throws(() => policy({ retry_on: [{ pattern: 'a'.repeat(201) }] }), /exceeds 200 characters/);
+  assert.throws(() => policy({ retry_on: [{ pattern: '(a+)+$' }] }), /nests quantifiers/);
+  assert.throws(() => policy({ retry_on: [{ pattern: '([a-z]*)*x' }] }), /nests quantifiers/);
+  assert.throws(() => policy({ retry_on: [{ pattern: 42 }] }), /non-empty string/);
+  assert.throws(() => policy({ retry_on: ['sometimes'] }), /Unknown retry_on rule "sometimes"/);
+});
+
+test('the linter reports bad retry_on patterns', () => {
+  const result = lintWorkflow({
+    name: 'Retry',
+    steps: [{ id: 'wait', tool: 'wait_delay', input: { duration: 1 }, retry: { max_attempts: 2, retry_on: [{ pattern: '(a+)+$' }] } }],
+  });
+
+  assert.equal(result.valid, false);
+  assert.deepEqual(result.diagnostics.map(diagnostic => [diagnostic.code, diagnostic.path]), [['invalid_retry', '$.steps[0].retry']]);
+  assert.match(result.diagnostics[0].message, /nests quantifiers/);
+});
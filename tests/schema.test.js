@@ -0,0 +1,93 @@
+/**
+ * Tool schema validation tests
+ * Run with: npm test
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { formatSchemaErrors, validateSchema } from '@/lib/workflow/schema';
+import { executeWorkflow } from '@/lib/workflow/executor';
+
+const requestSchema = {
+  type: 'object',
+  required: ['url'],
+  properties: {
+    url: { type: 'string', minLength: 1 },
+    method: { type: 'string', enum: ['GET', 'POST'], default: 'GET' },
+    retries: { type: 'integer', minimum: 0, maximum: 5 },
+    verbose: { type: 'boolean' },
+    headers: { type: 'object', additionalProperties: { type: 'string' } },
+    tags: { type: 'array', items: { type: 'string' } },
+  },
+  additionalProperties: false,
+};
+
+test('reports missing required fields', () => {
+  const { errors } = validateSchema({}, requestSchema);
+
+  assert.deepEqual(errors, [{ path: 'url', message: 'is required' }]);
+});
+
+test('reports type mismatches with the expected and actual types', () => {
+  const { errors } = validateSchema(
+    { url: 42, retries: 1.5, headers: { Authorization: 7 }, tags: ['a', null] },
+    requestSchema
+  );
+
+  assert.deepEqual(errors, [
+    { path: 'url', message: 'must be a string, got a number' },
+    { path: 'retries', message: 'must be an integer, got a number' },
+    { path: 'headers.Authorization', message: 'must be a string, got a number' },
+    { path: 'tags[1]', message: 'must be a string, got null' },
+  ]);
+});
+
+test('reports enum, range and unknown field errors', () => {
+  const { errors } = validateSchema({ url: 'https://example.com', method: 'DELETE', retries: 9, extra: true }, requestSchema);
+
+  assert.deepEqual(errors, [
+    { path: 'method', message: 'must be one of GET, POST' },
+    { path: 'retries', message: 'must be at most 5' },
+    { path: 'extra', message: 'is not an allowed field' },
+  ]);
+});
+
+test('fills defaults and coerces placeholder strings when asked', () => {
+  const { value, errors } = validateSchema(
+    { url: 'https://example.com', retries: '3', verbose: 'true' },
+    requestSchema,
+    { applyDefaults: true, coerce: true }
+  );
+
+  assert.deepEqual(errors, []);
+  assert.deepEqual(value, { url: 'https://example.com', method: 'GET', retries: 3, verbose: true });
+});
+
+test('without coercion a numeric string is a type error', () => {
+  const { errors } = validateSchema({ url: 'https://example.com', retries: '3' }, requestSchema);
+
+  assert.deepEqual(errors.map(error => error.path), ['retries']);
+});
+
+test('a missing schema accepts anything', () => {
+  assert.deepEqual(validateSchema({ anything: 1 }, undefined), { value: { anything: 1 }, errors: [] });
+});
+
+test('formats errors into one message', () => {
+  assert.equal(
+    formatSchemaErrors([{ path: 'url', message: 'is required' }, { path: 'method', message: 'must be one of GET, POST' }]),
+    'url is required; method must be one of GET, POST'
+  );
+  assert.equal(formatSchemaErrors([{ path: '', message: 'must be an object' }]), 'must be an object');
+});
+
+test('the executor fails a step with invalid input and logs the field errors', async () => {
+  const workflow = { steps: [{ id: 'fetch', tool: 'http_request', input: { method: 'GET' }, on_error: 'continue' }] };
+
+  const result = await executeWorkflow(workflow, {}, 'exec-1', null);
+  const [entry] = result.log;
+
+  assert.equal(entry.status, 'failed');
+  assert.equal(entry.error, 'Invalid input for http_request: url is required');
+  assert.deepEqual(entry.validation, [{ source: 'input', path: 'url', message: 'is required' }]);
+});
@@ -0,0 +1,84 @@
+/**
+ * Web scraper SSRF guard tests
+ * Run with: npm test
+ */
+
+import { test, before, after, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import dns from 'dns';
+import http from 'http';
+import { scrapePage } from '@/lib/workflow/scraper';
+
+// A local server, reached as public.test, that redirects to ?to=
+let server;
+let baseUrl;
+const requested = [];
+
+before(async () => {
+  server = http.createServer((req, res) => {
+    requested.push(req.url);
+    const target = new URL(req.url, 'http://public.test').searchParams.get('to');
+    if (target) {
+      res.writeHead(302, { Location: target });
+      res.end();
+      return;
+    }
+    res.writeHead(200, { 'Content-Type': 'text/html' });
+    res.end('<html><head><title>Public</title></head><body><p>Hello</p></body></html>');
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  baseUrl = `http://public.test:${server.address().port}`;
+
+  const lookup = dns.lookup;
+  mock.method(dns, 'lookup', (hostname, options, callback) => {
+    if (hostname !== 'public.test') return lookup(hostname, options, callback);
+    if (options.all) return callback(null, [{ address: '127.0.0.1', family: 4 }]);
+    return callback(null, '127.0.0.1', 4);
+  });
+});
+
+after(() => {
+  mock.restoreAll();
+  server.close();
+});
+
+const blocked = { message: /Local\/private URLs not allowed/, retryable: false };
+
+test('scrapes a page on a public host', async () => {
+  const page = await scrapePage({ url: `${baseUrl}/` });
+
+  assert.equal(page.title, 'Public');
+  assert.equal(page.content, 'Hello');
+});
+
+test('rejects loopback addresses', async () => {
+  for (const url of ['http://localhost/', 'http://127.0.0.1/', 'http://127.1.2.3/', 'http://2130706433/', 'http://[::1]/', 'http://[::ffff:127.0.0.1]/', 'http://app.localhost/']) {
+    await assert.rejects(scrapePage({ url }), blocked, url);
+  }
+});
+
+test('rejects private and unspecified addresses', async () => {
+  for (const url of ['http://10.0.0.5/', 'http://172.16.0.1/', 'http://192.168.1.1/', 'http://100.64.0.1/', 'http://0.0.0.0/', 'http://[fd00::1]/', 'http://[::]/']) {
+    await assert.rejects(scrapePage({ url }), blocked, url);
+  }
+});
+
+test('rejects link-local addresses', async () => {
+  for (const url of ['http://169.254.169.254/latest/meta-data/', 'http://[fe80::1]/']) {
+    await assert.rejects(scrapePage({ url }), blocked, url);
+  }
+});
+
+test('rejects non-http protocols', async () => {
+  await assert.rejects(scrapePage({ url: 'file:///etc/passwd' }), { retryable: false });
+});
+
+test('rejects redirects to private, loopback and link-local addresses', async () => {
+  const targets = ['http://127.0.0.1/admin', 'http://10.1.2.3/', 'http://169.254.169.254/latest/meta-data/', 'http://[::1]/'];
+  for (const target of targets) {
+    requested.length = 0;
+
+    await assert.rejects(scrapePage({ url: `${baseUrl}/?to=${encodeURIComponent(target)}` }), blocked, target);
+    assert.equal(requested.length, 1, 'the redirect is not followed');
+  }
+});
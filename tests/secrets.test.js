@@ -0,0 +1,80 @@
+/**
+ * Secrets vault tests
+ * Run with: npm test
+ */
+
+import { test, before, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import crypto from 'crypto';
+import { createWorkflow } from '@/lib/db';
+import { createRedactor, saveSecret } from '@/lib/secrets';
+import { createExecutionRecord, runExecution } from '@/lib/workflow/runner';
+import { resolveTemplate } from '@/lib/workflow/template';
+import { resetDatabase } from './support/db';
+
+const TOKEN = 'victim-token-1234';
+
+const steps = [
+  {
+    id: 'leak',
+    tool: 'transform_data',
+    input: { data: { token: '{{secrets.API_TOKEN}}' }, operations: [] },
+    on_error: 'stop',
+  },
+];
+
+async function run(workflow, workflowId = null) {
+  const execution = await createExecutionRecord(workflow, {}, workflowId, 'running');
+  return runExecution(workflow, {}, execution.id, workflowId);
+}
+
+before(() => {
+  process.env.SECRETS_ENCRYPTION_KEY = crypto.randomBytes(32).toString('base64');
+});
+
+beforeEach(async () => {
+  resetDatabase();
+  await saveSecret('victim', 'API_TOKEN', TOKEN);
+});
+
+test('a saved workflow runs with its stored owner\'s secrets, redacted in outputs', async () => {
+  const saved = await createWorkflow({ name: 'Owned', steps, user_id: 'victim' });
+
+  const result = await run(saved, saved.id);
+
+  assert.equal(result.success, true);
+  assert.equal(result.outputs.leak.result.token, '[REDACTED]');
+});
+
+test('an inline workflow cannot claim another user\'s secrets', async () => {
+  const result = await run({ name: 'Inline', steps, user_id: 'victim' });
+
+  assert.equal(result.success, false);
+  assert.match(result.error, /Secret not found: API_TOKEN/);
+});
+
+test('the user_id of the definition being run is ignored for saved workflows', async () => {
+  const saved = await createWorkflow({ name: 'Attacker', steps, user_id: 'attacker' });
+
+  const result = await run({ ...saved, user_id: 'victim' }, saved.id);
+
+  assert.equal(result.success, false);
+  assert.match(result.error, /Secret not found: API_TOKEN/);
+});
+
+test('secrets cannot be passed through filters or read as a whole', () => {
+  const variables = { secrets: { API_TOKEN: TOKEN } };
+
+  assert.equal(resolveTemplate('Bearer {{secrets.API_TOKEN}}', variables), `Bearer ${TOKEN}`);
+  assert.throws(() => resolveTemplate('{{secrets.API_TOKEN | upper}}', variables), /without filters/);
+  assert.throws(() => resolveTemplate('{{ secrets }}', variables), /without filters/);
+});
+
+test('redaction masks raw and URL-encoded values', () => {
+  const redact = createRedactor({ API_TOKEN: 'a b/c=d' });
+
+  assert.deepEqual(
+    redact({ raw: 'x a b/c=d y', encoded: `q=${encodeURIComponent('a b/c=d')}` }),
+    { raw: 'x [REDACTED] y', encoded: 'q=[REDACTED]' }
+  );
+});
@@ -0,0 +1,154 @@
+/**
+ * Slack messaging tests
+ * Run with: npm test
+ */
+
+import { test, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'http';
+import { postSlackMessage } from '@/lib/workflow/slack';
+import { upsertConnector } from '@/lib/db';
+import { resetDatabase } from './support/db';
+
+// A local Slack that records requests and answers with `reply`
+let server;
+let baseUrl;
+let requests;
+let reply;
+
+before(async () => {
+  server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      requests.push({ url: req.url, headers: req.headers, body: JSON.parse(body), at: Date.now() });
+      const { status = 200, headers = {}, data } = reply(req, requests.length);
+      res.writeHead(status, { 'Content-Type': 'application/json', ...headers });
+      res.end(JSON.stringify(data));
+    });
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+  process.env.SLACK_API_URL = baseUrl;
+});
+
+after(() => {
+  server.close();
+  delete process.env.SLACK_API_URL;
+});
+
+beforeEach(() => {
+  resetDatabase();
+  delete process.env.SLACK_BOT_TOKEN;
+  delete process.env.SLACK_WEBHOOK_URL;
+  requests = [];
+  reply = (req) => (req.url === '/chat.postMessage'
+    ? { data: { ok: true, channel: 'C123', ts: '1700000000.000200', message: { thread_ts: '1700000000.000100' } } }
+    : { data: 'ok' });
+});
+
+// Posts are throttled per channel, so each test uses its own
+let channelCount = 0;
+const nextChannel = () => `C${++channelCount}`;
+
+const blocks = [{ type: 'section', text: { type: 'mrkdwn', text: '*Deploy finished*' } }];
+
+test('posts text, blocks and thread fields to an incoming webhook', async () => {
+  const result = await postSlackMessage({
+    webhook_url: `${baseUrl}/hooks/${nextChannel()}`,
+    text: 'Deploy finished',
+    blocks,
+    thread_ts: '1700000000.000100',
+  });
+
+  assert.deepEqual(result, { success: true, via: 'webhook', channel: null, ts: null, thread_ts: '1700000000.000100' });
+  assert.equal(requests.length, 1);
+  assert.deepEqual(requests[0].body, { text: 'Deploy finished', blocks, thread_ts: '1700000000.000100' });
+  assert.equal(requests[0].headers.authorization, undefined);
+});
+
+test('posts with a bot token from a saved connector and returns the message ts', async () => {
+  await upsertConnector({ name: 'team-slack', type: 'slack', config: { bot_token: '{{secrets.SLACK_TOKEN}}' } });
+  const channel = nextChannel();
+
+  const result = await postSlackMessage(
+    { connector: 'team-slack', channel, text: 'Deploy finished', blocks, thread_ts: '1700000000.000100', reply_broadcast: true },
+    undefined,
+    { secrets: { SLACK_TOKEN: 'xoxb-test' } },
+  );
+
+  assert.deepEqual(result, {
+    success: true,
+    via: 'api',
+    channel: 'C123',
+    ts: '1700000000.000200',
+    thread_ts: '1700000000.000100',
+  });
+  assert.equal(requests[0].url, '/chat.postMessage');
+  assert.equal(requests[0].headers.authorization, 'Bearer xoxb-test');
+  assert.deepEqual(requests[0].body, {
+    channel,
+    text: 'Deploy finished',
+    blocks,
+    thread_ts: '1700000000.000100',
+    reply_broadcast: true,
+  });
+});
+
+test('falls back to SLACK_BOT_TOKEN, then SLACK_WEBHOOK_URL', async () => {
+  process.env.SLACK_WEBHOOK_URL = `${baseUrl}/hooks/env`;
+  const viaWebhook = await postSlackMessage({ text: 'hi' });
+  assert.equal(viaWebhook.via, 'webhook');
+  assert.equal(requests[0].url, '/hooks/env');
+
+  process.env.SLACK_BOT_TOKEN = 'xoxb-env';
+  const viaApi = await postSlackMessage({ channel: nextChannel(), text: 'hi' });
+  assert.equal(viaApi.via, 'api');
+  assert.equal(requests[1].headers.authorization, 'Bearer xoxb-env');
+});
+
+test('rejects missing content, channel or credentials without retrying', async () => {
+  await assert.rejects(postSlackMessage({ webhook_url: `${baseUrl}/hooks/x` }), { message: /needs text or blocks/, retryable: false });
+  await assert.rejects(postSlackMessage({ text: 'hi' }), { message: /No Slack credentials/, retryable: false });
+
+  process.env.SLACK_BOT_TOKEN = 'xoxb-env';
+  await assert.rejects(postSlackMessage({ text: 'hi' }), { message: /needs a channel/, retryable: false });
+  assert.equal(requests.length, 0);
+});
+
+test('marks Web API errors retryable only when they are transient', async () => {
+  process.env.SLACK_BOT_TOKEN = 'xoxb-env';
+
+  reply = () => ({ data: { ok: false, error: 'channel_not_found' } });
+  await assert.rejects(postSlackMessage({ channel: nextChannel(), text: 'hi' }), {
+    message: 'Slack API error: channel_not_found',
+    retryable: false,
+  });
+
+  reply = () => ({ data: { ok: false, error: 'service_unavailable' } });
+  await assert.rejects(postSlackMessage({ channel: nextChannel(), text: 'hi' }), {
+    message: 'Slack API error: service_unavailable',
+    retryable: true,
+  });
+});
+
+test('surfaces the webhook error body', async () => {
+  reply = () => ({ status: 400, data: 'invalid_blocks' });
+
+  await assert.rejects(
+    postSlackMessage({ webhook_url: `${baseUrl}/hooks/${nextChannel()}`, text: 'hi', blocks: [{ type: 'nope' }] }),
+    { message: 'Slack error (400): invalid_blocks' },
+  );
+});
+
+test('waits for Retry-After before resending a rate-limited post', async () => {
+  reply = (req, count) => (count === 1
+    ? { status: 429, headers: { 'Retry-After': '1' }, data: { ok: false, error: 'ratelimited' } }
+    : { data: 'ok' });
+
+  const result = await postSlackMessage({ webhook_url: `${baseUrl}/hooks/${nextChannel()}`, text: 'hi' });
+
+  assert.equal(result.success, true);
+  assert.equal(requests.length, 2);
+  assert.ok(requests[1].at - requests[0].at >= 900, 'second attempt waited for Retry-After');
+});
@@ -0,0 +1,123 @@
+/**
+ * Incremental step parser and streamed generation tests
+ * Run with: npm test
+ */
+
+import { test, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import Anthropic from '@anthropic-ai/sdk';
+import { createStepParser } from '@/lib/workflow/step-parser';
+import { generateWorkflow } from '@/lib/workflow/generator';
+
+afterEach(() => mock.restoreAll());
+
+/**
+ * Feed text to a parser in chunks of `size` characters
+ */
+function parse(text, size = 1) {
+  const steps = [];
+  const parser = createStepParser((step, index) => steps.push([index, step]));
+  for (let i = 0; i < text.length; i += size) {
+    parser.push(text.slice(i, i + size));
+  }
+  return steps;
+}
+
+test('reports each top-level step as soon as it is complete', () => {
+  const steps = [];
+  const parser = createStepParser((step, index) => steps.push([index, step.id]));
+
+  parser.push('{"name": "Demo", "steps": [{"id": "a", "tool": "wait_delay"}, {"id": "b"');
+  assert.deepEqual(steps, [[0, 'a']]);
+
+  parser.push(', "tool": "wait_delay"}]}');
+  assert.deepEqual(steps, [[0, 'a'], [1, 'b']]);
+});
+
+test('skips prose, code fences and snippets without steps', () => {
+  const text = 'Here is an example {"x": 1} and the workflow:\n```json\n{"name": "Demo", "steps": [{"id": "a"}]}\n```\nAfter {"steps": [{"id": "ignored"}]}';
+
+  assert.deepEqual(parse(text), [[0, { id: 'a' }]]);
+  assert.deepEqual(parse(text, 7), [[0, { id: 'a' }]]);
+});
+
+test('keeps nested loop steps and non-step "steps" keys inside their parent', () => {
+  const workflow = {
+    name: 'Loop',
+    metadata: { steps: [{ id: 'not-a-step' }] },
+    steps: [
+      { id: 'each', tool: 'loop_iteration', steps: [{ id: 'inner' }] },
+      { id: 'after', input: { note: 'braces } ] { [ and "quotes" in strings' } },
+    ],
+  };
+
+  const steps = parse(JSON.stringify(workflow, null, 2), 3);
+
+  assert.deepEqual(steps.map(([index, step]) => [index, step.id]), [[0, 'each'], [1, 'after']]);
+  assert.deepEqual(steps[0][1].steps, [{ id: 'inner' }]);
+  assert.equal(steps[1][1].input.note, 'braces } ] { [ and "quotes" in strings');
+});
+
+test('a malformed step is skipped but keeps its index', () => {
+  const steps = parse('{"name": "Demo", "steps": [{"id": "a", "x": tru}, {"id": "b"}]}');
+
+  assert.deepEqual(steps, [[1, { id: 'b' }]]);
+});
+
+/**
+ * Stub the streaming API: each call streams the next reply in small chunks
+ */
+function stubStream(replies) {
+  let call = 0;
+  mock.method(Anthropic.Messages.prototype, 'stream', () => {
+    const text = replies[call++];
+    const listeners = [];
+    return {
+      on(event, listener) {
+        if (event === 'text') listeners.push(listener);
+        return this;
+      },
+      async finalMessage() {
+        for (let i = 0; i < text.length; i += 16) {
+          listeners.forEach(listener => listener(text.slice(i, i + 16)));
+        }
+        return { content: [{ type: 'text', text }], usage: { input_tokens: 10, output_tokens: 5 } };
+      },
+    };
+  });
+}
+
+test('a streamed generation previews steps and repairs malformed JSON', async () => {
+  mock.method(console, 'error', () => {});
+  const valid = {
+    name: 'Fetch status',
+    steps: [
+      { id: 'fetch', tool: 'http_request', input: { url: 'https://example.com/status' } },
+      { id: 'pause', tool: 'wait_delay', input: { duration: 1 } },
+    ],
+  };
+  // The first reply is cut off after its first step
+  stubStream(['{"name": "Fetch status", "steps": [{"id": "fetch", "tool": "http_request", "input": {}}, {"id": ', JSON.stringify(valid)]);
+
+  const events = [];
+  const result = await generateWorkflow('Check the status page', {}, 2, {
+    onEvent: event => events.push(event),
+  });
+
+  assert.equal(result.validation.valid, true);
+  assert.equal(result.repairRounds, 1);
+  assert.deepEqual(
+    events.filter(event => event.type !== 'text').map(event => [event.type, event.round, event.step?.id ?? event.diagnostics.length]),
+    [
+      ['round_started', 0, 0],
+      ['step', 0, 'fetch'],
+      ['round_started', 1, 1],
+      ['step', 1, 'fetch'],
+      ['step', 1, 'pause'],
+    ]
+  );
+  assert.equal(events.find(event => event.type === 'step').step.on_error, 'stop', 'previewed steps are normalized');
+
+  const repairText = events.filter(event => event.type === 'text' && event.round === 1).map(event => event.text);
+  assert.equal(repairText.join(''), JSON.stringify(valid));
+});
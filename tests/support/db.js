@@ -0,0 +1,154 @@
+/**
+ * In-memory database for unit tests
+ *
+ * Stands in for @/lib/db (see tests/jsconfig.json) with the same functions,
+ * backed by plain arrays. Call resetDatabase() between tests.
+ */
+
+import crypto from 'crypto';
+
+const tables = {
+  workflows: [],
+  executions: [],
+  secrets: [],
+  connectors: [],
+  toolUsage: [],
+  tutorialEmbeddings: [],
+};
+
+/**
+ * Empty every table
+ */
+export function resetDatabase() {
+  for (const rows of Object.values(tables)) rows.length = 0;
+}
+
+/**
+ * The rows of a table, for assertions
+ */
+export function getRows(table) {
+  return tables[table];
+}
+
+function insert(table, data) {
+  const now = new Date().toISOString();
+  const row = { id: crypto.randomUUID(), created_at: now, updated_at: now, ...data };
+  tables[table].push(row);
+  return row;
+}
+
+function update(row, updates) {
+  if (!row) return null;
+  Object.assign(row, updates, { updated_at: new Date().toISOString() });
+  return row;
+}
+
+export async function createWorkflow(workflowData) {
+  return insert('workflows', { execution_count: 0, success_count: 0, failure_count: 0, ...workflowData });
+}
+
+export async function getWorkflows(userId = null) {
+  return tables.workflows.filter(row => !userId || row.user_id === userId);
+}
+
+export async function getWorkflow(id) {
+  return tables.workflows.find(row => row.id === id) || null;
+}
+
+export async function updateWorkflow(id, updates) {
+  return update(tables.workflows.find(row => row.id === id), updates);
+}
+
+export async function deleteWorkflow(id) {
+  tables.workflows = tables.workflows.filter(row => row.id !== id);
+}
+
+export async function createExecution(executionData) {
+  return insert('executions', { started_at: new Date().toISOString(), ...executionData });
+}
+
+export async function updateExecution(id, updates) {
+  return update(tables.executions.find(row => row.id === id), updates);
+}
+
+export async function updateExecutionIfStatus(id, statuses, updates) {
+  const row = tables.executions.find(row => row.id === id && statuses.includes(row.status));
+  return update(row, updates);
+}
+
+export async function getExecution(id) {
+  return tables.executions.find(row => row.id === id) || null;
+}
+
+export async function getExecutions(workflowId) {
+  return tables.executions.filter(row => row.workflow_id === workflowId);
+}
+
+export async function getExecutionsByStatus(status, limit = 50) {
+  return tables.executions.filter(row => row.status === status).slice(0, limit);
+}
+
+export async function markInterruptedExecutions() {
+  return [];
+}
+
+// Mirrors the match_tutorial_embeddings SQL function
+export async function searchTutorials(queryEmbedding, matchThreshold = 0.7, matchCount = 5, filters = {}) {
+  const { collection = null, category = null, tags = null, metadata = null } = filters;
+
+  return tables.tutorialEmbeddings
+    .map(({ embedding, created_at, updated_at, ...row }) => ({ ...row, similarity: cosineSimilarity(embedding, queryEmbedding) }))
+    .filter(row => row.similarity > matchThreshold
+      && (!collection || row.collection === collection)
+      && (!category || row.category === category)
+      && (!tags || tags.every(tag => row.tags.includes(tag)))
+      && (!metadata || Object.entries(metadata).every(([key, value]) => row.metadata[key] === value)))
+    .sort((a, b) => b.similarity - a.similarity)
+    .slice(0, matchCount);
+}
+
+function cosineSimilarity(a, b) {
+  const dot = a.reduce((sum, value, index) => sum + value * b[index], 0);
+  const norm = (vector) => Math.sqrt(vector.reduce((sum, value) => sum + value * value, 0));
+  return dot / (norm(a) * norm(b));
+}
+
+export async function insertTutorialEmbedding(content, embedding, metadata = {}) {
+  const { category = null, tags = [], collection = 'tutorials' } = metadata;
+  return insert('tutorialEmbeddings', { content, embedding, metadata, category, tags, collection });
+}
+
+export async function logToolUsage(toolData) {
+  return insert('toolUsage', toolData);
+}
+
+export async function getConnectors() {
+  return tables.connectors;
+}
+
+export async function upsertConnector(connectorData) {
+  return insert('connectors', connectorData);
+}
+
+export async function getSecrets(userId = null) {
+  return tables.secrets.filter(row => row.user_id === (userId || null));
+}
+
+export async function upsertSecret(secretData) {
+  const { user_id = null, name } = secretData;
+  const existing = tables.secrets.find(row => row.user_id === user_id && row.name === name);
+  return existing ? update(existing, secretData) : insert('secrets', { ...secretData, user_id });
+}
+
+export async function deleteSecret(userId, name) {
+  const before = tables.secrets.length;
+  tables.secrets = tables.secrets.filter(row => !(row.user_id === (userId || null) && row.name === name));
+  return tables.secrets.length < before;
+}
+
+export const supabase = null;
+export const supabaseAdmin = null;
+
+export async function query() {
+  throw new Error('SQL queries are not available in unit tests');
+}
@@ -0,0 +1,33 @@
+/**
+ * Minimal Next.js API request / response doubles for calling route handlers
+ */
+
+/**
+ * Call an API route handler
+ * @returns {Promise<{status: number, body: *}>}
+ */
+export async function callHandler(handler, { method = 'POST', query = {}, body = {} } = {}) {
+  const res = createResponse();
+  await handler({ method, query, body }, res);
+  return { status: res.statusCode, body: res.body };
+}
+
+function createResponse() {
+  return {
+    statusCode: 200,
+    body: undefined,
+    headersSent: false,
+    status(code) {
+      this.statusCode = code;
+      return this;
+    },
+    json(body) {
+      this.body = body;
+      this.headersSent = true;
+      return this;
+    },
+    end() {
+      this.headersSent = true;
+    },
+  };
+}
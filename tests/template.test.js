@@ -0,0 +1,98 @@
+/**
+ * Template placeholder tests
+ * Run with: npm test
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { extractPath, getReferencedNames, parsePath, resolveTemplate } from '@/lib/workflow/template';
+
+const variables = {
+  name: '  Ada Lovelace ',
+  count: 3,
+  enabled: false,
+  empty: '',
+  tags: ['math', 'engines'],
+  fetch: { body: { items: [{ id: 'a1' }, { id: 'a2' }] } },
+  row: { 'first name': 'Ada' },
+  created: '2024-03-05T07:08:09.000Z',
+};
+
+test('parsePath splits dot, index and quoted segments', () => {
+  assert.deepEqual(parsePath('fetch.body.items[1].id'), ['fetch', 'body', 'items', '1', 'id']);
+  assert.deepEqual(parsePath("row['first name']"), ['row', 'first name']);
+  assert.deepEqual(parsePath('tags.0'), ['tags', '0']);
+  assert.equal(parsePath('1abc'), null);
+  assert.equal(parsePath('a..b'), null);
+});
+
+test('extractPath reads own properties only', () => {
+  assert.equal(extractPath(variables, 'fetch.body.items[1].id'), 'a2');
+  assert.equal(extractPath(variables, 'tags.length'), 2);
+  assert.equal(extractPath(variables, 'fetch.missing.id'), undefined);
+  assert.equal(extractPath(variables, 'fetch.constructor'), undefined);
+});
+
+test('a whole placeholder keeps the type of its value', () => {
+  assert.equal(resolveTemplate('{{count}}', variables), 3);
+  assert.equal(resolveTemplate('{{ enabled }}', variables), false);
+  assert.deepEqual(resolveTemplate('{{tags}}', variables), ['math', 'engines']);
+  assert.deepEqual(resolveTemplate('{{fetch.body.items[0]}}', variables), { id: 'a1' });
+});
+
+test('placeholders inside longer strings are stringified', () => {
+  assert.equal(resolveTemplate('count={{count}}', variables), 'count=3');
+  assert.equal(resolveTemplate('first: {{fetch.body.items[0]}}', variables), 'first: {"id":"a1"}');
+  assert.equal(resolveTemplate("Hi {{row['first name']}}!", variables), 'Hi Ada!');
+});
+
+test('unresolved placeholders are left in place', () => {
+  assert.equal(resolveTemplate('{{missing}}', variables), '{{missing}}');
+  assert.equal(resolveTemplate('a {{missing.x}} b {{count}}', variables), 'a {{missing.x}} b 3');
+  assert.equal(resolveTemplate('{{missing | upper}}', variables), '{{missing | upper}}');
+});
+
+test('filters apply left to right with arguments', () => {
+  assert.equal(resolveTemplate('{{name | trim | upper}}', variables), 'ADA LOVELACE');
+  assert.equal(resolveTemplate('{{name | upper | trim | lower}}', variables), 'ada lovelace');
+  assert.equal(resolveTemplate("{{tags | join: ', '}}", variables), 'math, engines');
+  assert.equal(resolveTemplate('{{tags | join}}', variables), 'math,engines');
+  assert.equal(resolveTemplate('{{tags | json}}', variables), '["math","engines"]');
+  assert.equal(resolveTemplate("{{tags | join: ' | '}}", variables), 'math | engines');
+});
+
+test('default replaces missing, null and empty values', () => {
+  assert.equal(resolveTemplate("{{missing | default: 'n/a'}}", variables), 'n/a');
+  assert.equal(resolveTemplate("{{empty | default: 'n/a'}}", variables), 'n/a');
+  assert.equal(resolveTemplate('{{missing | default: 10}}', variables), 10);
+  assert.equal(resolveTemplate("{{enabled | default: 'n/a'}}", variables), false);
+});
+
+test('date formats ISO dates', () => {
+  assert.equal(resolveTemplate('{{created | date}}', variables), '2024-03-05T07:08:09.000Z');
+  assert.equal(resolveTemplate("{{created | date: 'date'}}", variables), '2024-03-05');
+  assert.equal(resolveTemplate("{{created | date: 'time'}}", variables), '07:08:09');
+  assert.equal(resolveTemplate("{{created | date: 'unix'}}", variables), 1709622489);
+  assert.equal(resolveTemplate("{{created | date: 'DD/MM/YYYY HH:mm'}}", variables), '05/03/2024 07:08');
+  assert.throws(() => resolveTemplate('{{name | date}}', variables), /date filter: invalid date/);
+});
+
+test('unknown filters and bad arguments are errors', () => {
+  assert.throws(() => resolveTemplate('{{name | shout}}', variables), /Unknown template filter: shout/);
+  assert.throws(() => resolveTemplate('{{tags | join: ,,}}', variables), /Invalid template filter argument/);
+});
+
+test('nested objects and arrays are resolved recursively', () => {
+  const input = { to: ['{{row.first name}}', "{{row['first name']}}"], meta: { n: '{{count}}', keep: 7 } };
+  assert.deepEqual(resolveTemplate(input, variables), {
+    to: ['{{row.first name}}', 'Ada'],
+    meta: { n: 3, keep: 7 },
+  });
+});
+
+test('getReferencedNames returns the root of each placeholder', () => {
+  assert.deepEqual(
+    getReferencedNames("{{fetch.body.items[0].id}} and {{row['first name'] | upper}} and {{ not a path }}"),
+    ['fetch', 'row'],
+  );
+});
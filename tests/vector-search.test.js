@@ -0,0 +1,81 @@
+/**
+ * vector_search tool tests
+ * Run with: npm test
+ */
+
+import { test, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import axios from 'axios';
+import { executeWorkflow } from '@/lib/workflow/executor';
+import { insertTutorialEmbedding } from '@/lib/db';
+import { resetDatabase } from './support/db';
+
+// Query text -> the vector the stubbed embeddings API returns for it
+const queryVectors = {
+  'retry failed steps': [1, 0, 0],
+  'send a slack message': [0, 1, 0],
+};
+
+let embeddingRequests;
+
+beforeEach(async () => {
+  resetDatabase();
+  process.env.OPENAI_API_KEY = 'sk-test';
+  embeddingRequests = [];
+  mock.method(axios, 'post', async (url, body) => {
+    embeddingRequests.push({ url, body });
+    return { data: { data: [{ embedding: queryVectors[body.input] }] } };
+  });
+
+  await insertTutorialEmbedding('Retries', [1, 0, 0], { category: 'errors', tags: ['retry', 'basics'] });
+  await insertTutorialEmbedding('Backoff', [0.8, 0.6, 0], { category: 'errors', tags: ['retry'], level: 'advanced' });
+  await insertTutorialEmbedding('Slack', [0, 1, 0], { category: 'messaging', tags: ['slack'] });
+  await insertTutorialEmbedding('Runbook', [1, 0, 0], { collection: 'runbooks' });
+});
+
+afterEach(() => {
+  mock.restoreAll();
+  delete process.env.OPENAI_API_KEY;
+});
+
+async function search(input) {
+  const result = await executeWorkflow({ steps: [{ id: 'search', tool: 'vector_search', input }] }, {}, 'exec-1', null);
+  return { result, output: result.outputs.search };
+}
+
+const contents = (output) => output.results.map(match => match.content);
+
+test('embeds the query and ranks tutorial matches above the threshold', async () => {
+  const { result, output } = await search({ query: 'retry failed steps' });
+
+  assert.equal(result.success, true);
+  assert.deepEqual(embeddingRequests.map(request => request.body.input), ['retry failed steps']);
+  assert.equal(output.count, 2);
+  assert.deepEqual(output.results.map(({ rank, content }) => ({ rank, content })), [
+    { rank: 1, content: 'Retries' },
+    { rank: 2, content: 'Backoff' },
+  ]);
+  assert.ok(Math.abs(output.results[1].similarity - 0.8) < 1e-9);
+});
+
+test('honours the threshold, count, collection and filters', async () => {
+  assert.deepEqual(contents((await search({ query: 'retry failed steps', match_threshold: 0.9 })).output), ['Retries']);
+  assert.deepEqual(contents((await search({ query: 'retry failed steps', match_count: 1 })).output), ['Retries']);
+  assert.deepEqual(contents((await search({ query: 'retry failed steps', collection: 'runbooks' })).output), ['Runbook']);
+  assert.deepEqual(contents((await search({ query: 'retry failed steps', tags: ['basics'] })).output), ['Retries']);
+  assert.deepEqual(contents((await search({ query: 'retry failed steps', filter: { level: 'advanced' } })).output), ['Backoff']);
+  assert.deepEqual(contents((await search({ query: 'send a slack message', category: 'errors' })).output), []);
+});
+
+test('an empty query fails the step without embedding or retrying', async () => {
+  const workflow = {
+    steps: [{ id: 'search', tool: 'vector_search', input: { query: '' }, retry: { max_attempts: 3, delay_ms: 0 } }],
+  };
+
+  const result = await executeWorkflow(workflow, {}, 'exec-1', null);
+
+  assert.equal(result.log[0].status, 'failed');
+  assert.equal(result.log[0].attempts.length, 1);
+  assert.match(result.log[0].attempts[0].error, /vector_search needs a query string/);
+  assert.equal(embeddingRequests.length, 0);
+});
@@ -0,0 +1,57 @@
+/**
+ * Workflow save / run gate tests
+ * Run with: npm test
+ */
+
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import workflowsHandler from '@/pages/api/workflows';
+import executeHandler from '@/pages/api/execute-workflow';
+import { getRows, resetDatabase } from './support/db';
+import { callHandler } from './support/http';
+
+beforeEach(() => resetDatabase());
+
+// http_request without its required url
+const brokenSteps = [{ id: 'fetch', tool: 'http_request', input: {} }];
+
+test('POST /api/workflows saves a draft with errors and returns the diagnostics', async () => {
+  const response = await callHandler(workflowsHandler, { body: { name: 'Draft', steps: brokenSteps } });
+
+  assert.equal(response.status, 201);
+  assert.equal(response.body.workflow.status, 'draft');
+  assert.deepEqual(response.body.diagnostics.map(diagnostic => diagnostic.code), ['missing_input']);
+  assert.equal(getRows('workflows').length, 1);
+});
+
+test('POST /api/workflows rejects an active workflow with errors', async () => {
+  const response = await callHandler(workflowsHandler, {
+    body: { name: 'Active', steps: brokenSteps, status: 'active' },
+  });
+
+  assert.equal(response.status, 400);
+  assert.equal(response.body.error, 'Workflow has errors');
+  assert.equal(getRows('workflows').length, 0);
+});
+
+test('PUT /api/workflows cannot activate a draft with errors', async () => {
+  const created = await callHandler(workflowsHandler, { body: { name: 'Draft', steps: brokenSteps } });
+  const id = created.body.workflow.id;
+
+  const edited = await callHandler(workflowsHandler, { method: 'PUT', body: { id, description: 'Still a draft' } });
+  assert.equal(edited.status, 200);
+
+  const activated = await callHandler(workflowsHandler, { method: 'PUT', body: { id, status: 'active' } });
+  assert.equal(activated.status, 400);
+  assert.equal(getRows('workflows')[0].status, 'draft');
+});
+
+test('POST /api/execute-workflow does not run a workflow with errors', async () => {
+  const created = await callHandler(workflowsHandler, { body: { name: 'Draft', steps: brokenSteps } });
+
+  const response = await callHandler(executeHandler, { body: { workflowId: created.body.workflow.id } });
+
+  assert.equal(response.status, 400);
+  assert.equal(response.body.error, 'Workflow has errors');
+  assert.equal(getRows('executions').length, 0);
+});
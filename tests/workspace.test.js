@@ -0,0 +1,68 @@
+/**
+ * Workspace path confinement tests
+ * Run with: npm test
+ */
+
+import { test, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { readWorkspaceFile, resolveWorkspacePath, writeWorkspaceFile } from '@/lib/workflow/workspace';
+
+let root;
+let workspace;
+let outside;
+
+beforeEach(async () => {
+  root = await fs.mkdtemp(path.join(os.tmpdir(), 'workspace-test-'));
+  workspace = path.join(root, 'workspace');
+  outside = path.join(root, 'outside');
+  await fs.mkdir(workspace);
+  await fs.mkdir(outside);
+  await fs.writeFile(path.join(outside, 'secret.txt'), 'secret');
+});
+
+afterEach(async () => {
+  await fs.rm(root, { recursive: true, force: true });
+});
+
+test('resolves relative paths inside the workspace', async () => {
+  assert.equal(await resolveWorkspacePath(workspace, 'exports/leads.csv'), path.join(workspace, 'exports', 'leads.csv'));
+  assert.equal(await resolveWorkspacePath(workspace, 'a/../b.txt'), path.join(workspace, 'b.txt'));
+  assert.equal(await resolveWorkspacePath(workspace, '..notes.txt'), path.join(workspace, '..notes.txt'));
+});
+
+test('rejects ../ traversal', async () => {
+  for (const filePath of ['../outside/secret.txt', 'a/../../outside/secret.txt', '..', '.']) {
+    await assert.rejects(resolveWorkspacePath(workspace, filePath), /Path escapes the workspace/, filePath);
+  }
+});
+
+test('rejects absolute paths and NUL bytes', async () => {
+  await assert.rejects(resolveWorkspacePath(workspace, path.join(outside, 'secret.txt')), /Invalid workspace path/);
+  await assert.rejects(resolveWorkspacePath(workspace, '/etc/passwd'), /Invalid workspace path/);
+  await assert.rejects(resolveWorkspacePath(workspace, 'a\0b'), /Invalid workspace path/);
+});
+
+test('rejects symlinks that point outside the workspace', async () => {
+  await fs.symlink(outside, path.join(workspace, 'linked-dir'));
+  await fs.symlink(path.join(outside, 'secret.txt'), path.join(workspace, 'linked-file'));
+
+  await assert.rejects(readWorkspaceFile(workspace, { path: 'linked-dir/secret.txt' }), /Path escapes the workspace/);
+  await assert.rejects(readWorkspaceFile(workspace, { path: 'linked-file' }), /Path escapes the workspace/);
+  await assert.rejects(
+    writeWorkspaceFile(workspace, { path: 'linked-dir/new/planted.txt', content: 'x' }),
+    /Path escapes the workspace/
+  );
+  await assert.rejects(fs.stat(path.join(outside, 'new')), { code: 'ENOENT' });
+});
+
+test('follows symlinks that stay inside the workspace', async () => {
+  await writeWorkspaceFile(workspace, { path: 'data/report.txt', content: 'ok' });
+  await fs.symlink(path.join(workspace, 'data'), path.join(workspace, 'alias'));
+
+  const file = await readWorkspaceFile(workspace, { path: 'alias/report.txt' });
+
+  assert.equal(file.content, 'ok');
+});